@@ -85,6 +85,7 @@ contract FungibleOriginationPool is
     // true if sale has started, false otherwise
     bool public saleInitiated;
     // the timestamp of the beginning of the sale
+    // in the future if the sale is scheduled, purchases are open after it
     uint256 public saleInitiatedTimestamp;
     // the timestamp of the end of the sale
     // sale can end when the offer tokens are purchased or when sale duration has passed
@@ -111,6 +112,15 @@ contract FungibleOriginationPool is
     uint256 public originationCoreFees;
     // true if the sponsor has claimed purchase tokens / remaining offer tokens at conclusion of sale, false otherwise
     bool public sponsorTokensClaimed;
+    // max amount of purchase tokens an address can contribute in the public sale (0 for no cap)
+    // whitelist contributions count towards it
+    uint256 public publicMaxContributionAmount;
+    // true if the sponsor cancelled the sale, contributions are refunded in full
+    bool public saleCancelled;
+    // true if the owner or manager paused purchases and claims of offer tokens, refunds stay available
+    bool public paused;
+    // period from the sale start in which contributors can withdraw their contribution (0 for no withdrawals)
+    uint256 public withdrawalPeriod;
 
     //--------------------------------------------------------------------------
     // Events
@@ -118,8 +128,11 @@ contract FungibleOriginationPool is
 
     // Management events
     event InitiateSale(uint256 totalOfferingAmount);
+    event ScheduleSale(uint256 saleStartTimestamp);
+    event CancelSale(uint256 saleEndTimestamp);
     event ManagerSet(address indexed manager);
     event WhitelistSet(bytes32 indexed whitelistMerkleRoot);
+    event PauseSet(bool paused);
     // Token retrieval events
     event PurchaseTokensRetrieved(
         address indexed user,
@@ -146,6 +159,12 @@ contract FungibleOriginationPool is
         uint256 vestingId,
         uint256 offerTokenAmount
     );
+    event WithdrawContribution(
+        address indexed purchaser,
+        uint256 contributionAmount,
+        uint256 offerAmount,
+        uint256 purchaseFee
+    );
 
     //--------------------------------------------------------------------------
     // Modifiers
@@ -156,6 +175,11 @@ contract FungibleOriginationPool is
         _;
     }
 
+    modifier whenNotPaused() {
+        require(!isPaused(), "Pool paused");
+        _;
+    }
+
     //--------------------------------------------------------------------------
     // Constructor / Initializer
     //--------------------------------------------------------------------------
@@ -212,11 +236,21 @@ contract FungibleOriginationPool is
         publicSaleDuration = _saleParams.publicSaleDuration;
         whitelistSaleDuration = _saleParams.whitelistSaleDuration;
         saleDuration = whitelistSaleDuration + publicSaleDuration;
+        require(
+            _saleParams.withdrawalPeriod <= saleDuration,
+            "Invalid withdrawal period"
+        );
+        require(
+            _saleParams.withdrawalPeriod == 0 || _saleParams.reserveAmount > 0,
+            "Withdrawals require a reserve amount"
+        );
 
         totalOfferingAmount = _saleParams.totalOfferingAmount;
         reserveAmount = _saleParams.reserveAmount;
         vestingPeriod = _saleParams.vestingPeriod;
         cliffPeriod = _saleParams.cliffPeriod;
+        publicMaxContributionAmount = _saleParams.publicMaxContributionAmount;
+        withdrawalPeriod = _saleParams.withdrawalPeriod;
         originationFee = _originationFee;
         originationCore = _originationCore;
 
@@ -245,7 +279,7 @@ contract FungibleOriginationPool is
         bytes32[] calldata merkleProof,
         uint256 contributionAmount,
         uint256 maxContributionAmount
-    ) external payable {
+    ) external payable whenNotPaused {
         require(isWhitelistMintPeriod(), "Not whitelist period");
         bytes32 leaf = keccak256(
             abi.encodePacked(msg.sender, maxContributionAmount)
@@ -267,23 +301,113 @@ contract FungibleOriginationPool is
             );
         }
 
-        _purchase(contributionAmount);
+        _purchase(contributionAmount, 0);
     }
 
     /**
      * @dev Purchases an offer token amount with a contribution amount of purchase tokens
      * @dev If purchasing with ETH, the contribution amount must equal ETH sent
+     * @dev The contribution above the public max contribution amount is refunded
      *
      * @param contributionAmount The contribution amount in purchase tokens
      */
-    function purchase(uint256 contributionAmount) external payable {
+    function purchase(uint256 contributionAmount)
+        external
+        payable
+        whenNotPaused
+    {
         require(isPublicMintPeriod(), "Not public mint period");
 
-        _purchase(contributionAmount);
+        _purchase(contributionAmount, publicMaxContributionAmount);
     }
 
-    function _purchase(uint256 contributionAmount) internal nonReentrant {
+    /**
+     * @dev Withdraws part or all of the caller's contribution in the withdrawal period
+     * @dev The contribution is refunded at the caller's average purchase price, the offer tokens
+     * @dev bought with it go back on sale and its origination fees are dropped
+     * @dev In sales with vesting the offer tokens are deducted from the caller's vesting entry
+     * @dev Withdrawals are available while paused
+     *
+     * @param contributionAmount The contribution amount in purchase tokens to withdraw
+     */
+    function withdrawContribution(uint256 contributionAmount)
+        external
+        nonReentrant
+    {
+        require(isWithdrawalPeriod(), "Not withdrawal period");
+        uint256 contribution = purchaseTokenContribution[msg.sender];
+        require(
+            contributionAmount > 0 && contributionAmount <= contribution,
+            "Invalid withdrawal amount"
+        );
+
+        // the offer tokens kept are rounded down
+        uint256 purchasedAmount = offerTokenAmountPurchased[msg.sender];
+        uint256 offerTokenAmount = purchasedAmount -
+            _mulDiv(
+                purchasedAmount,
+                contribution - contributionAmount,
+                contribution
+            );
+        // fees are rounded down on every purchase
+        uint256 feeInPurchaseToken = _mulDiv(
+            contributionAmount,
+            originationFee,
+            1e18
+        );
+        if (feeInPurchaseToken > originationCoreFees) {
+            feeInPurchaseToken = originationCoreFees;
+        }
+
+        // Update the sale trackers
+        offerTokenAmountPurchased[msg.sender] -= offerTokenAmount;
+        purchaseTokenContribution[msg.sender] -= contributionAmount;
+        offerTokenAmountSold -= offerTokenAmount;
+        purchaseTokensAcquired -= contributionAmount;
+        originationCoreFees -= feeInPurchaseToken;
+
+        if (vestingPeriod > 0) {
+            uint256 entryId = userToVestingId[msg.sender];
+            require(
+                vestingEntryNFT.ownerOf(entryId) == msg.sender,
+                "User not owner of vest id"
+            );
+            (uint256 tokenAmount, ) = vestingEntryNFT.tokenIdVestingAmounts(
+                entryId
+            );
+            require(
+                tokenAmount >= offerTokenAmount,
+                "Withdrawal above the vesting entry"
+            );
+            vestingEntryNFT.setVestingAmounts(
+                entryId,
+                tokenAmount - offerTokenAmount,
+                0
+            );
+            vestableTokenAmount -= offerTokenAmount;
+        }
+
+        _returnPurchaseTokens(msg.sender, contributionAmount);
+        emit WithdrawContribution(
+            msg.sender,
+            contributionAmount,
+            offerTokenAmount,
+            feeInPurchaseToken
+        );
+    }
+
+    /**
+     * @dev Purchases an offer token amount with a contribution amount of purchase tokens
+     *
+     * @param contributionAmount The contribution amount in purchase tokens
+     * @param maxContributionAmount The max contribution of the purchaser, refunding the contribution above it (0 for no cap)
+     */
+    function _purchase(
+        uint256 contributionAmount,
+        uint256 maxContributionAmount
+    ) internal nonReentrant {
         require(saleInitiated, "Sale not open");
+        require(!saleCancelled, "Sale cancelled");
         require(block.timestamp <= saleEndTimestamp, "Sale over");
         require(
             contributionAmount >= minContributionAmount,
@@ -301,6 +425,24 @@ contract FungibleOriginationPool is
             );
         }
 
+        // Check if over the max contribution amount
+        uint256 currentContribution = purchaseTokenContribution[msg.sender];
+        if (
+            maxContributionAmount > 0 &&
+            currentContribution + contributionAmount > maxContributionAmount
+        ) {
+            require(
+                currentContribution < maxContributionAmount,
+                "User has reached their max contribution amount"
+            );
+            // Refund sender for the amount above the max contribution
+            uint256 refundAmount = currentContribution +
+                contributionAmount -
+                maxContributionAmount;
+            _returnPurchaseTokens(msg.sender, refundAmount);
+            contributionAmount -= refundAmount;
+        }
+
         uint256 offerTokenAmount = getCurrentMintAmount(contributionAmount);
         uint256 feeInPurchaseToken = _mulDiv(
             contributionAmount,
@@ -380,6 +522,25 @@ contract FungibleOriginationPool is
     function _createVestingEntry(address _sender, uint256 _offerTokenAmount)
         private
     {
+        // With withdrawals, purchases add to the purchaser's entry, withdrawals deduct from it
+        uint256 entryId = userToVestingId[_sender];
+        if (
+            withdrawalPeriod > 0 &&
+            offerTokenAmountPurchased[_sender] > _offerTokenAmount &&
+            vestingEntryNFT.ownerOf(entryId) == _sender
+        ) {
+            (uint256 tokenAmount, ) = vestingEntryNFT.tokenIdVestingAmounts(
+                entryId
+            );
+            vestingEntryNFT.setVestingAmounts(
+                entryId,
+                tokenAmount + _offerTokenAmount,
+                0
+            );
+            vestableTokenAmount += _offerTokenAmount;
+            return;
+        }
+
         // Add user address to vesting id mapping
         userToVestingId[_sender] = vestingID;
 
@@ -404,8 +565,13 @@ contract FungibleOriginationPool is
      * @dev Users claiming their vestings must hold the nft representing the vesting entry
      * @param _nftIds Array containing the vesting entries ids owned by the msg.sender
      */
-    function claimVested(uint256[] calldata _nftIds) external nonReentrant {
+    function claimVested(uint256[] calldata _nftIds)
+        external
+        nonReentrant
+        whenNotPaused
+    {
         require(_nftIds.length > 0, "No vesting entry NFT id provided");
+        require(!saleCancelled, "Sale cancelled");
         require(
             saleEndTimestamp + cliffPeriod < block.timestamp,
             "Not past cliff period"
@@ -450,27 +616,32 @@ contract FungibleOriginationPool is
 
     /**
      * @dev User callable function
-     * @dev If the reserve amount was not reached, it sends back the caller's contribution in purchase tokens
+     * @dev If the reserve amount was not reached or the sale was cancelled,
+     * @dev it sends back the caller's contribution in purchase tokens
      * @dev otherwise, it returns the acquired offer tokens amount to the caller
-     * @dev Can only be called at the conclusion of the sale
+     * @dev Can only be called at the conclusion of the sale, refunds are available while paused
      */
     function claimTokens() external nonReentrant {
-        require(block.timestamp > saleEndTimestamp, "Sale has not ended");
+        require(
+            saleCancelled || block.timestamp > saleEndTimestamp,
+            "Sale has not ended"
+        );
         require(
             vestingPeriod != 0 || reserveAmount != 0,
             "Tokens already claimed once purchased"
         );
 
-        if (purchaseTokensAcquired >= reserveAmount) {
+        if (!saleCancelled && purchaseTokensAcquired >= reserveAmount) {
             // Sale reached the reserve amount therefore send acquired offer tokens
             require(
                 vestingPeriod == 0,
                 "Tokens must be claimed using claimVested"
             );
+            require(!isPaused(), "Pool paused");
 
             _claimPurchasedOfferTokens(msg.sender);
         } else {
-            // Sale did not reach reserve amount therefore return purchase tokens
+            // Sale did not reach reserve amount or was cancelled therefore return purchase tokens
             require(
                 purchaseTokenContribution[msg.sender] > 0,
                 "No contribution made"
@@ -553,8 +724,8 @@ contract FungibleOriginationPool is
         view
         returns (uint256 offerTokenPrice)
     {
-        // Token sale was not initiated yet
-        if (!saleInitiated) {
+        // Token sale was not initiated or has not started yet
+        if (!saleInitiated || block.timestamp <= saleInitiatedTimestamp) {
             return
                 whitelistSaleDuration > 0
                     ? whitelistStartingPrice
@@ -618,6 +789,27 @@ contract FungibleOriginationPool is
                 tokenAmountClaimed;
     }
 
+    /**
+     * @dev Returns the amount of purchase tokens an address can still contribute in the public sale
+     *
+     * @param _address The purchaser address
+     * @return The remaining contribution, type(uint256).max if there is no cap
+     */
+    function getRemainingPublicContribution(address _address)
+        public
+        view
+        returns (uint256)
+    {
+        if (publicMaxContributionAmount == 0) {
+            return type(uint256).max;
+        }
+        uint256 contribution = purchaseTokenContribution[_address];
+        return
+            contribution < publicMaxContributionAmount
+                ? publicMaxContributionAmount - contribution
+                : 0;
+    }
+
     function isWhitelistMintPeriod() public view returns (bool) {
         return
             block.timestamp > saleInitiatedTimestamp &&
@@ -632,6 +824,19 @@ contract FungibleOriginationPool is
             block.timestamp <= (endOfWhitelistPeriod + publicSaleDuration);
     }
 
+    /**
+     * @dev Checks if contributors can withdraw, from the sale start until the end of the
+     * @dev withdrawal period or of the sale
+     */
+    function isWithdrawalPeriod() public view returns (bool) {
+        return
+            withdrawalPeriod > 0 &&
+            !saleCancelled &&
+            block.timestamp > saleInitiatedTimestamp &&
+            block.timestamp <= (saleInitiatedTimestamp + withdrawalPeriod) &&
+            block.timestamp <= saleEndTimestamp;
+    }
+
     /**
      * @dev Checks to see if address is an admin (owner or manager)
      *
@@ -642,6 +847,14 @@ contract FungibleOriginationPool is
         return _address == owner() || _address == manager;
     }
 
+    /**
+     * @dev Checks if purchases and claims of offer tokens are paused,
+     * @dev by the pool owner or manager or protocol wide by the origination core owner
+     */
+    function isPaused() public view returns (bool) {
+        return paused || originationCore.paused();
+    }
+
     //--------------------------------------------------------------------------
     // Admin Functions
     //--------------------------------------------------------------------------
@@ -652,6 +865,84 @@ contract FungibleOriginationPool is
      * from the admin address to this contract
      */
     function initiateSale() external onlyOwnerOrManager {
+        _initiateSale(block.timestamp);
+    }
+
+    /**
+     * @dev Admin function used to fund the sale and schedule its start
+     * @dev The function will transfer the total offer tokens amount available to sell
+     * from the admin address to this contract, purchases are open after the start timestamp
+     *
+     * @param _saleStartTimestamp The timestamp of the beginning of the sale
+     */
+    function scheduleSale(uint256 _saleStartTimestamp)
+        external
+        onlyOwnerOrManager
+    {
+        require(
+            _saleStartTimestamp >= block.timestamp,
+            "Sale start must not be in the past"
+        );
+        _initiateSale(_saleStartTimestamp);
+
+        emit ScheduleSale(_saleStartTimestamp);
+    }
+
+    /**
+     * @dev Admin function used to move the start of a scheduled sale
+     * @dev The sale can be rescheduled until it begins
+     *
+     * @param _saleStartTimestamp The new timestamp of the beginning of the sale
+     */
+    function rescheduleSale(uint256 _saleStartTimestamp)
+        external
+        onlyOwnerOrManager
+    {
+        require(saleInitiated, "Sale not initiated");
+        require(!saleCancelled, "Sale cancelled");
+        require(
+            block.timestamp <= saleInitiatedTimestamp,
+            "Sale already started"
+        );
+        require(
+            _saleStartTimestamp >= block.timestamp,
+            "Sale start must not be in the past"
+        );
+        saleInitiatedTimestamp = _saleStartTimestamp;
+        saleEndTimestamp = _saleStartTimestamp + saleDuration;
+
+        emit ScheduleSale(_saleStartTimestamp);
+    }
+
+    /**
+     * @dev Admin function used to cancel the sale before it ends
+     * @dev The sale ends immediately, contributors claim back their whole contribution with claimTokens,
+     * @dev vesting entries can't be claimed, no origination fees are charged and the offer tokens are returned to the owner
+     * @dev Sales without reserve and vesting can't be cancelled as the offer tokens are sent on purchase
+     */
+    function cancelSale() external nonReentrant onlyOwnerOrManager {
+        require(saleInitiated, "Sale not initiated");
+        require(!saleCancelled, "Sale already cancelled");
+        require(block.timestamp <= saleEndTimestamp, "Sale over");
+        require(
+            vestingPeriod != 0 || reserveAmount != 0,
+            "Tokens already distributed once purchased"
+        );
+
+        saleCancelled = true;
+        saleEndTimestamp = block.timestamp;
+        sponsorTokensClaimed = true;
+        originationCoreFees = 0;
+        vestableTokenAmount = 0;
+
+        // return all offer tokens back to owner
+        uint256 retrieveAmount = offerToken.balanceOf(address(this));
+        offerToken.safeTransfer(owner(), retrieveAmount);
+        emit OfferTokensRetrieved(owner(), retrieveAmount);
+        emit CancelSale(block.timestamp);
+    }
+
+    function _initiateSale(uint256 _saleStartTimestamp) internal {
         require(!saleInitiated, "Sale already initiated");
 
         offerToken.safeTransferFrom(
@@ -660,7 +951,7 @@ contract FungibleOriginationPool is
             totalOfferingAmount
         );
         saleInitiated = true;
-        saleInitiatedTimestamp = block.timestamp;
+        saleInitiatedTimestamp = _saleStartTimestamp;
         saleEndTimestamp = saleInitiatedTimestamp + saleDuration;
 
         emit InitiateSale(totalOfferingAmount);
@@ -669,12 +960,14 @@ contract FungibleOriginationPool is
     /**
      * @dev Admin function to claim the purchase tokens raised during the sale
      * @dev Returns unsold offer tokens or all offer tokens if reserve amount was not met
+     * @dev Purchase tokens can't be claimed while paused, offer tokens of sales below the reserve can
      */
     function claimPurchaseToken() external nonReentrant onlyOwnerOrManager {
         require(!sponsorTokensClaimed, "Tokens already claimed");
 
         if (vestingPeriod == 0 && reserveAmount == 0) {
             // purchase tokens can be claimed even if the sale has not ended
+            require(!isPaused(), "Pool paused");
             _transferPurchaseTokenToOwner();
 
             // if the sale has ended
@@ -699,6 +992,8 @@ contract FungibleOriginationPool is
 
         // check if reserve amount was reached
         if (purchaseTokensAcquired >= reserveAmount) {
+            // the proceeds aren't paid out while buyers can't claim their offer tokens
+            require(!isPaused(), "Pool paused");
             _transferPurchaseTokenToOwner();
 
             // return the unsold offerTokens
@@ -731,6 +1026,25 @@ contract FungibleOriginationPool is
         emit WhitelistSet(_whitelistMerkleRoot);
     }
 
+    /**
+     * @dev Admin function to pause purchases and claims of offer tokens
+     * @dev Refunds of cancelled sales and sales below the reserve stay available
+     */
+    function pause() external onlyOwnerOrManager {
+        require(!paused, "Already paused");
+        paused = true;
+        emit PauseSet(true);
+    }
+
+    /**
+     * @dev Admin function to unpause the pool
+     */
+    function unpause() external onlyOwnerOrManager {
+        require(paused, "Not paused");
+        paused = false;
+        emit PauseSet(false);
+    }
+
     /**
      * @dev Admin function to set a manager
      * @dev Manager has same rights as owner (except setting a manager)
@@ -53,6 +53,10 @@ contract OriginationCore is
     // NFT deployer address responsible for deploying pool proxies
     INFTDeployer public nftDeployer;
 
+    // True if the protocol is paused: no new listings, pool purchases and claims of offer tokens
+    // refunds of pools stay available
+    bool public override paused;
+
     //--------------------------------------------------------------------------
     // Events
     //--------------------------------------------------------------------------
@@ -61,6 +65,8 @@ contract OriginationCore is
     event SetListingFee(uint256 fee);
     event CustomListingFeeEnabled(address indexed deployer, uint256 customFee);
     event CustomListingFeeDisabled(address indexed deployer);
+    event SetPaused(bool paused);
+    event FeesClaimed(address indexed token, uint256 amount);
 
     //--------------------------------------------------------------------------
     // Constructor / Initializer
@@ -113,6 +119,7 @@ contract OriginationCore is
     function createFungibleListing(
         IFungibleOriginationPool.SaleParams calldata saleParams
     ) external payable {
+        require(!paused, "Origination paused");
         uint256 feeOwed = customListingFeeEnabled[msg.sender]
             ? customListingFee[msg.sender]
             : listingFee;
@@ -190,6 +197,25 @@ contract OriginationCore is
         emit CustomListingFeeDisabled(deployer);
     }
 
+    /**
+     * @dev Pauses listings and every pool's purchases and claims of offer tokens
+     * @dev Refunds of the pools stay available
+     */
+    function pause() external onlyOwner {
+        require(!paused, "Already paused");
+        paused = true;
+        emit SetPaused(true);
+    }
+
+    /**
+     * @dev Unpauses listings and pools
+     */
+    function unpause() external onlyOwner {
+        require(paused, "Not paused");
+        paused = false;
+        emit SetPaused(false);
+    }
+
     /**
      * @dev Claims the accrued fees in the origination pools
      *
@@ -201,18 +227,18 @@ contract OriginationCore is
             "Only callable by revenue controller."
         );
 
+        uint256 amount;
         if (_feeToken == address(0)) {
-            (bool success, ) = msg.sender.call{value: address(this).balance}(
-                ""
-            );
+            amount = address(this).balance;
+            (bool success, ) = msg.sender.call{value: amount}("");
             require(success);
         } else {
-            bool success = IERC20(_feeToken).transfer(
-                msg.sender,
-                IERC20(_feeToken).balanceOf(address(this))
-            );
+            amount = IERC20(_feeToken).balanceOf(address(this));
+            bool success = IERC20(_feeToken).transfer(msg.sender, amount);
             require(success);
         }
+
+        emit FeesClaimed(_feeToken, amount);
     }
 
     /**
@@ -3,6 +3,7 @@ pragma solidity ^0.8.2;
 
 import "@openzeppelin/contracts-upgradeable/token/ERC721/ERC721Upgradeable.sol";
 import "./interface/IVestingEntryNFT.sol";
+import "./interface/IFungibleOriginationPool.sol";
 
 /**
  * NFT representing a FungibleOriginationPool vesting entry
@@ -71,6 +72,26 @@ contract VestingEntryNFT is ERC721Upgradeable, IVestingEntryNFT {
         emit VestingAmountSet(tokenId, tokenAmount, tokenAmountClaimed);
     }
 
+    /**
+     * @dev Entries can't be transferred during the withdrawal period of the pool
+     * @dev Withdrawals deduct from the entry of the contributor, which purchases in the period add to
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 tokenId
+    ) internal override {
+        super._beforeTokenTransfer(from, to, tokenId);
+        if (from != address(0)) {
+            // pools before withdrawals don't expose the withdrawal period
+            try IFungibleOriginationPool(pool).isWithdrawalPeriod() returns (
+                bool withdrawalPeriod
+            ) {
+                require(!withdrawalPeriod, "Entry locked in withdrawal period");
+            } catch {}
+        }
+    }
+
     modifier onlyPool() {
         require(
             msg.sender == pool,
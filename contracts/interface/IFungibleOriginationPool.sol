@@ -17,6 +17,8 @@ interface IFungibleOriginationPool {
         uint256 reserveAmount; // need to raise this amount of purchase tokens for sale completion
         uint256 vestingPeriod; // the total vesting period (can be 0)
         uint256 cliffPeriod; // the cliff period in case of vesting (must be <= vesting period)
+        uint256 publicMaxContributionAmount; // max contribution per address in the public sale (0 for no cap)
+        uint256 withdrawalPeriod; // period from the sale start in which contributors can withdraw (0 for none, needs a reserve)
     }
 
     struct VestingEntry {
@@ -32,4 +34,6 @@ interface IFungibleOriginationPool {
         address vestingEntryNFT,
         SaleParams calldata saleParams
     ) external;
+
+    function isWithdrawalPeriod() external view returns (bool);
 }
@@ -4,4 +4,7 @@ pragma solidity ^0.8.2;
 interface IOriginationCore {
     // Function used by origination pools to send the origination fees to this contract
     function receiveFees() external payable;
+
+    // True if the protocol is paused, pools block purchases and claims of offer tokens
+    function paused() external view returns (bool);
 }
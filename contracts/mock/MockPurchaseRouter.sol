@@ -0,0 +1,35 @@
+//SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.2;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface IPurchasePool {
+    function purchase(uint256 contributionAmount) external payable;
+}
+
+// Makes several purchases of a pool in one transaction, as routers and multicalls do
+contract MockPurchaseRouter {
+    function purchase(
+        IPurchasePool pool,
+        IERC20 purchaseToken,
+        uint256[] calldata contributionAmounts
+    ) external payable {
+        for (uint256 i = 0; i < contributionAmounts.length; i++) {
+            if (address(purchaseToken) == address(0)) {
+                pool.purchase{value: contributionAmounts[i]}(
+                    contributionAmounts[i]
+                );
+            } else {
+                purchaseToken.transferFrom(
+                    msg.sender,
+                    address(this),
+                    contributionAmounts[i]
+                );
+                purchaseToken.approve(address(pool), contributionAmounts[i]);
+                pool.purchase(contributionAmounts[i]);
+            }
+        }
+    }
+
+    receive() external payable {}
+}
@@ -3,7 +3,28 @@ pragma solidity ^0.8.2;
 
 import "../FungibleOriginationPool.sol";
 
+/**
+ * Append-only upgrade of FungibleOriginationPool used to test pool upgrades
+ * New state variables must only be declared after the inherited ones
+ */
 contract OriginationPoolUpgrade is FungibleOriginationPool {
+    // version set when upgrading to this implementation
+    uint256 public upgradeVersion;
+
+    event PoolUpgraded(uint256 upgradeVersion);
+
+    /**
+     * @dev Initializes the state added by this upgrade
+     * @dev Meant to be called through OriginationProxyAdmin.upgradeAndCall
+     * @param _upgradeVersion The version of the upgrade
+     */
+    function initializeUpgrade(uint256 _upgradeVersion) external {
+        require(upgradeVersion == 0, "Upgrade already initialized");
+        require(_upgradeVersion > 0, "Invalid upgrade version");
+        upgradeVersion = _upgradeVersion;
+        emit PoolUpgraded(_upgradeVersion);
+    }
+
     function newFunction() external pure returns (uint256) {
         return 10;
     }
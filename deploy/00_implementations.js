@@ -0,0 +1,25 @@
+const { deployStep, getDeployConfig } = require("../scripts/deployment");
+
+/**
+ * Deploys the implementations behind the pool and vesting entry nft proxies
+ * Deploys a mock xTokenManager on networks without one
+ */
+module.exports = async (hre) => {
+  const { network, getNamedAccounts } = hre;
+  const { deployer } = await getNamedAccounts();
+  const config = getDeployConfig(network.name);
+  console.log("deploying Origination contracts on", network.name, "from", deployer);
+
+  await deployStep(hre, "originationPoolImpl", "FungibleOriginationPool");
+  await deployStep(hre, "vestingEntryNFTImpl", "VestingEntryNFT");
+
+  if (config.xTokenManager === undefined) {
+    const xTokenManager = await deployStep(hre, "xTokenManager", "MockxTokenManager");
+    // set deployer as the revenue controller
+    if (!(await xTokenManager.isRevenueController(deployer))) {
+      await (await xTokenManager.setRevenueController(deployer)).wait();
+      console.log("set deployer as the revenue controller");
+    }
+  }
+};
+module.exports.tags = ["Implementations"];
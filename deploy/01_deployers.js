@@ -0,0 +1,17 @@
+const { deployStep } = require("../scripts/deployment");
+
+/**
+ * Deploys the pool and nft deployers and the origination proxy admin
+ */
+module.exports = async (hre) => {
+  const { deployments } = hre;
+
+  const originationPoolImpl = await deployments.get("originationPoolImpl");
+  const vestingEntryNFTImpl = await deployments.get("vestingEntryNFTImpl");
+
+  await deployStep(hre, "poolDeployer", "PoolDeployer", [originationPoolImpl.address]);
+  await deployStep(hre, "nftDeployer", "NFTDeployer", [vestingEntryNFTImpl.address]);
+  await deployStep(hre, "originationProxyAdmin", "OriginationProxyAdmin");
+};
+module.exports.tags = ["Deployers"];
+module.exports.dependencies = ["Implementations"];
@@ -0,0 +1,49 @@
+const { deployStep, getDeployConfig } = require("../scripts/deployment");
+const { validateCoreParams, assertValid } = require("../scripts/validation");
+
+/**
+ * Deploys the origination core behind its proxy and initializes it
+ * Initialization is skipped if the core was already initialized
+ */
+module.exports = async (hre) => {
+  const { deployments, ethers, network, getNamedAccounts } = hre;
+  const { deployer, proxyAdmin } = await getNamedAccounts();
+  const config = getDeployConfig(network.name);
+  assertValid(validateCoreParams(config));
+
+  const originationCoreImpl = await deployStep(hre, "originationCoreImpl", "OriginationCore");
+  const coreProxyAdmin = config.proxyAdmin || proxyAdmin;
+  const originationCoreProxy = await deployStep(hre, "originationCore", "OriginationCoreProxy", [
+    originationCoreImpl.address,
+    coreProxyAdmin,
+  ]);
+
+  const originationCore = await ethers.getContractAt("OriginationCore", originationCoreProxy.address, await ethers.getSigner(deployer));
+  const poolDeployer = await deployments.get("poolDeployer");
+  const nftDeployer = await deployments.get("nftDeployer");
+  const originationProxyAdmin = await deployments.get("originationProxyAdmin");
+  const xTokenManager = config.xTokenManager || (await deployments.get("xTokenManager")).address;
+
+  if ((await originationCore.poolDeployer()) != ethers.constants.AddressZero) {
+    // already initialized: make sure it was initialized with the recorded contracts
+    if ((await originationCore.poolDeployer()) != poolDeployer.address || (await originationCore.proxyAdmin()) != originationProxyAdmin.address) {
+      throw new Error("Origination core is initialized with contracts which don't match the deployment record");
+    }
+    console.log("origination core already initialized");
+    return;
+  }
+
+  await (
+    await originationCore.initialize(
+      config.listingFee,
+      config.originationFee,
+      xTokenManager,
+      poolDeployer.address,
+      nftDeployer.address,
+      originationProxyAdmin.address
+    )
+  ).wait();
+  console.log("initialized origination core");
+};
+module.exports.tags = ["Core"];
+module.exports.dependencies = ["Deployers"];
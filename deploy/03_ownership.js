@@ -0,0 +1,26 @@
+const { getDeployConfig, transferOwnershipStep } = require("../scripts/deployment");
+
+/**
+ * Transfers ownership of the deployed contracts
+ * The origination proxy admin is owned by the core, the core and the pool deployer by the multisig
+ * Each transfer is skipped if it was already done
+ */
+module.exports = async (hre) => {
+  const { deployments, ethers, network } = hre;
+  const config = getDeployConfig(network.name);
+
+  const originationCore = await ethers.getContractAt("OriginationCore", (await deployments.get("originationCore")).address);
+  const proxyAdmin = await ethers.getContractAt("OriginationProxyAdmin", (await deployments.get("originationProxyAdmin")).address);
+  const poolDeployer = await ethers.getContractAt("PoolDeployer", (await deployments.get("poolDeployer")).address);
+
+  await transferOwnershipStep(hre, "origination proxy admin", proxyAdmin, originationCore.address);
+
+  if (config.multisig === undefined) {
+    console.log(`no multisig configured for ${network.name}, keeping deployer ownership of origination core and pool deployer`);
+    return;
+  }
+  await transferOwnershipStep(hre, "origination core", originationCore, config.multisig);
+  await transferOwnershipStep(hre, "pool deployer", poolDeployer, config.multisig);
+};
+module.exports.tags = ["Ownership"];
+module.exports.dependencies = ["Core"];
@@ -0,0 +1,17 @@
+const { loadDeployment } = require("../scripts/deployment");
+const { getVerificationTargets, verifyTargets } = require("../scripts/verify");
+
+/**
+ * Verifies the recorded contracts on etherscan
+ * Only runs on live networks, contracts left unverified can be verified again with verify:deployment
+ */
+module.exports = async (hre) => {
+  const targets = await getVerificationTargets(hre, loadDeployment(hre.network.name));
+  const { unverified } = await verifyTargets(hre, targets);
+  if (unverified.length > 0) {
+    console.warn(`${unverified.length} contracts are unverified, run npx hardhat verify:deployment --network ${hre.network.name}`);
+  }
+};
+module.exports.tags = ["Verify"];
+module.exports.dependencies = ["Ownership"];
+module.exports.skip = async ({ network }) => !network.live;
@@ -7,6 +7,19 @@ require("hardhat-deploy-ethers");
 require("@openzeppelin/hardhat-upgrades");
 // require('hardhat-contract-sizer');
 require("solidity-coverage");
+require("hardhat-gas-reporter");
+
+require("./tasks/listing");
+require("./tasks/whitelist");
+require("./tasks/settlement");
+require("./tasks/verify");
+require("./tasks/upgrades");
+require("./tasks/storage");
+require("./tasks/safe");
+require("./tasks/fees");
+require("./tasks/deployment");
+require("./tasks/sdk");
+require("./tasks/vesting");
 
 require("dotenv").config();
 
@@ -24,14 +37,29 @@ if(!key) {
   return;
 }
 
+// fork of a recorded deployment at its pinned block, used by the fork test suites in test-fork/
+// e.g. FORK=polygon npx hardhat test test-fork/polygon.js
+// FORK_URL can point to a local archive node instead of alchemy
+const fork = process.env.FORK;
+const forks = require("./test-fork/forks.json");
+if (fork !== undefined && forks[fork] === undefined) {
+  throw new Error(`No pinned fork for ${fork}, expected one of ${Object.keys(forks).join(", ")}`);
+}
+
 module.exports = {
   networks: {
     hardhat: {
-      forking: {
-        url: alchemy.mainnet + key,
-        enabled: false,
-        blockNumber: 14954700,
-      },
+      forking: fork !== undefined
+        ? {
+            url: process.env.FORK_URL || alchemy[fork] + key,
+            enabled: true,
+            blockNumber: forks[fork].blockNumber,
+          }
+        : {
+            url: alchemy.mainnet + key,
+            enabled: false,
+            blockNumber: 14954700,
+          },
       initialBaseFeePerGas: 0,
       allowUnlimitedContractSize: true,
     },
@@ -64,6 +92,10 @@ module.exports = {
       accounts: [process.env.ADMIN_PRIVATE_KEY, process.env.ADMIN_2_PRIVATE_KEY],
     }
   },
+  namedAccounts: {
+    deployer: 0,
+    proxyAdmin: 1,
+  },
   etherscan: {
     apiKey: process.env.ETHERSCAN_API_KEY,
   },
@@ -76,6 +108,13 @@ module.exports = {
       },
     },
   },
+  // gas per method of the tests, e.g. REPORT_GAS=1 npx hardhat test
+  // the gas benchmarks with their baseline are in test-gas/
+  gasReporter: {
+    enabled: process.env.REPORT_GAS !== undefined,
+    currency: "USD",
+    coinmarketcap: process.env.COINMARKETCAP_API_KEY,
+  },
   contractSizer: {
     alphaSort: true,
     runOnCompile: false,
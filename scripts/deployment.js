@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const deployConfig = require("./deployConfig.json");
+
+// eip-1967 proxy slots
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+// FungibleOriginationPoolProxy pool deployer slot
+const POOL_DEPLOYER_SLOT = "0x203baa5a38edd7f7142bfc980e12e771638f6aa6d00b04b357e7d7e6be18ebfb";
+
+/**
+ * Get the deployment parameters of a network from deployConfig.json
+ * Fees are converted to wei, unset addresses are returned as undefined
+ * @param {String} network network name
+ */
+function getDeployConfig(network) {
+  const config = deployConfig[network];
+  if (config === undefined) {
+    throw new Error(`No deployment config for network ${network}`);
+  }
+  return {
+    listingFee: ethers.utils.parseEther(config.listingFee),
+    originationFee: ethers.utils.parseEther(config.originationFee),
+    xTokenManager: config.xTokenManager || undefined,
+    proxyAdmin: config.ProxyAdmin || undefined,
+    multisig: config.Multisig || undefined,
+  };
+}
+
+function getDeploymentPath(network) {
+  return path.join(__dirname, "..", "deployments", `${network}.json`);
+}
+
+/**
+ * Load the deployment record of a network
+ * @param {String} network network name
+ * @returns {Object} contract key -> address, empty if nothing was deployed yet
+ */
+function loadDeployment(network) {
+  const deploymentPath = getDeploymentPath(network);
+  if (!fs.existsSync(deploymentPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+}
+
+/**
+ * Save the deployment record of a network
+ * The in-process hardhat network is never recorded
+ */
+function saveDeployment(network, deployment) {
+  if (network == "hardhat") {
+    return;
+  }
+  fs.writeFileSync(getDeploymentPath(network), JSON.stringify(deployment, null, 4));
+}
+
+/**
+ * Deployment step: deploys a contract unless it is already recorded in deployments/<network>.json
+ * Newly deployed contracts are recorded right away so a failed deployment can be resumed
+ * @param {*} hre hardhat runtime environment
+ * @param {String} key key of the contract in the deployment record
+ * @param {String} contractName contract to deploy
+ * @param {Array} args constructor arguments
+ * @returns {ethers.Contract} the deployed or recorded contract
+ */
+async function deployStep(hre, key, contractName, args = []) {
+  const { deployments, ethers, network, getNamedAccounts } = hre;
+  const { deployer } = await getNamedAccounts();
+
+  const deployment = loadDeployment(network.name);
+  if (deployment[key] !== undefined) {
+    if ((await ethers.provider.getCode(deployment[key])) == "0x") {
+      throw new Error(`${key} is recorded at ${deployment[key]} but has no code on ${network.name}`);
+    }
+    const { abi } = await deployments.getArtifact(contractName);
+    await deployments.save(key, { abi, address: deployment[key] });
+    console.log(`reusing ${key} at ${deployment[key]}`);
+  } else {
+    const result = await deployments.deploy(key, {
+      contract: contractName,
+      from: deployer,
+      args,
+      log: true,
+    });
+    deployment[key] = result.address;
+    saveDeployment(network.name, deployment);
+  }
+
+  return await ethers.getContractAt(contractName, deployment[key]);
+}
+
+/**
+ * Ownership transfer step: transfers ownership of an Ownable contract unless it is already owned by the new owner
+ * Fails if the contract is owned by neither the deployer nor the new owner
+ * @param {*} hre hardhat runtime environment
+ * @param {String} name name of the contract, for logging
+ * @param {ethers.Contract} contract Ownable contract
+ * @param {String} newOwner new owner address
+ */
+async function transferOwnershipStep(hre, name, contract, newOwner) {
+  const { deployer } = await hre.getNamedAccounts();
+  const signer = await hre.ethers.getSigner(deployer);
+
+  const owner = await contract.owner();
+  if (owner.toLowerCase() == newOwner.toLowerCase()) {
+    console.log(`${name} already owned by ${newOwner}`);
+    return;
+  }
+  if (owner.toLowerCase() != deployer.toLowerCase()) {
+    throw new Error(`${name} is owned by ${owner}, expected deployer ${deployer} or ${newOwner}`);
+  }
+
+  await (await contract.connect(signer).transferOwnership(newOwner)).wait();
+  if ((await contract.owner()).toLowerCase() != newOwner.toLowerCase()) {
+    throw new Error(`Failed to transfer ownership of ${name} to ${newOwner}`);
+  }
+  console.log(`transferred ownership of ${name} to ${newOwner}`);
+}
+
+/**
+ * Read an address stored in a storage slot, such as the eip-1967 proxy slots
+ * @param {ethers.providers.Provider} provider
+ * @param {String} address contract address
+ * @param {String} slot storage slot
+ */
+async function readAddressSlot(provider, address, slot) {
+  const value = await provider.getStorageAt(address, slot);
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(value, 12));
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  POOL_DEPLOYER_SLOT,
+  getDeployConfig,
+  loadDeployment,
+  saveDeployment,
+  deployStep,
+  transferOwnershipStep,
+  readAddressSlot,
+};
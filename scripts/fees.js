@@ -0,0 +1,124 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const erc20Abi = [
+  "function balanceOf(address) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+/**
+ * Get the tokens origination core may hold fees in: ETH and the purchase token of every indexed pool
+ * Listing fees and ETH sale fees are received in ETH, ERC20 sale fees in the pool purchase token
+ * @param {Object} index event index, see scripts/indexer.js
+ * @returns {Array} token addresses, ETH as the zero address
+ */
+function getFeeTokens(index) {
+  const tokens = [ethers.constants.AddressZero];
+  for (const { purchaseToken } of Object.values(index.poolInfo)) {
+    if (!tokens.includes(purchaseToken)) {
+      tokens.push(purchaseToken);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Read the origination core balance of each fee token
+ * @returns {Array} [{ token, symbol, decimals, balance }]
+ */
+async function getFeeBalances(provider, core, tokens) {
+  const balances = [];
+  for (const token of tokens) {
+    if (token == ethers.constants.AddressZero) {
+      balances.push({ token, symbol: "ETH", decimals: 18, balance: await provider.getBalance(core) });
+      continue;
+    }
+    const erc20 = new ethers.Contract(token, erc20Abi, provider);
+    // symbol and decimals are optional in ERC20
+    const symbol = await erc20.symbol().catch(() => token);
+    const decimals = await erc20.decimals().catch(() => 18);
+    balances.push({ token, symbol, decimals, balance: await erc20.balanceOf(core) });
+  }
+  return balances;
+}
+
+/**
+ * Claim every non-zero fee balance of origination core
+ * Claims are sent one token at a time, a failed claim doesn't stop the others
+ * Claimed amounts are the amounts transferred, pending amounts in dry run the balances read
+ * In dry run the claims are only checked with a static call
+ * @param {ethers.Contract} originationCore OriginationCore contract connected to the revenue controller
+ * @param {Array} balances fee balances, see getFeeBalances
+ * @param {Object} options { dryRun }
+ * @returns {Array} [{ token, symbol, decimals, amount, status, transactionHash, block, error }] status is claimed, failed or pending in dry run
+ */
+async function sweepFees(originationCore, balances, { dryRun = false } = {}) {
+  const claims = [];
+  for (const { token, symbol, decimals, balance } of balances) {
+    if (balance.isZero()) {
+      continue;
+    }
+    const claim = { token, symbol, decimals, amount: balance.toString() };
+    try {
+      if (dryRun) {
+        await originationCore.callStatic.claimFees(token);
+        claim.status = "pending";
+      } else {
+        const tx = await originationCore.claimFees(token);
+        const receipt = await tx.wait();
+        // the amount transferred by the claim, the balance may have changed since it was read
+        claim.amount = receipt.events.find(({ event }) => event == "FeesClaimed").args.amount.toString();
+        claim.status = "claimed";
+        claim.transactionHash = tx.hash;
+        claim.block = receipt.blockNumber;
+      }
+    } catch (err) {
+      claim.status = "failed";
+      claim.error = err.message;
+    }
+    claims.push(claim);
+  }
+  return claims;
+}
+
+/**
+ * Load the fee collection ledger
+ * @returns {Array} ledger entries, empty if the ledger doesn't exist
+ */
+function loadLedger(ledgerPath) {
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(ledgerPath, "utf8"));
+}
+
+/**
+ * Append the claimed fees of a sweep to the fee collection ledger
+ * Failed claims are not recorded
+ * @param {String} ledgerPath ledger json file
+ * @param {Array} claims claims of the sweep, see sweepFees
+ * @param {Object} sweep { chainId, core, collector, timestamp }
+ * @returns {Array} the appended entries
+ */
+function appendLedger(ledgerPath, claims, { chainId, core, collector, timestamp }) {
+  const ledger = loadLedger(ledgerPath);
+  const entries = claims
+    .filter(({ status }) => status == "claimed")
+    .map(({ token, symbol, decimals, amount, transactionHash, block }) => ({
+      chainId,
+      core,
+      collector,
+      block,
+      timestamp,
+      token,
+      symbol,
+      amount,
+      formattedAmount: ethers.utils.formatUnits(amount, decimals),
+      transactionHash,
+    }));
+  fs.writeFileSync(ledgerPath, JSON.stringify([...ledger, ...entries], null, 2) + "\n");
+  return entries;
+}
+
+module.exports = { getFeeTokens, getFeeBalances, sweepFees, loadLedger, appendLedger };
@@ -0,0 +1,64 @@
+const fs = require("fs");
+
+// regression threshold in percent of the baseline gas
+const DEFAULT_THRESHOLD = 2;
+
+/**
+ * Load a gas baseline
+ * @returns {Object} benchmark name -> gas used, empty if there is no baseline
+ */
+function loadGasBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(baselinePath, "utf8"));
+}
+
+function saveGasBaseline(baselinePath, results) {
+  fs.writeFileSync(baselinePath, JSON.stringify(results, null, 2) + "\n");
+}
+
+/**
+ * Compare benchmark results with a baseline
+ * @param {Object} baseline benchmark name -> baseline gas
+ * @param {Object} results benchmark name -> measured gas
+ * @param {Number} threshold regression threshold in percent of the baseline
+ * @returns {Array} [{ name, baseline, gasUsed, change, status }] status is ok, regression, improvement, new or removed
+ */
+function compareGasBaseline(baseline, results, threshold = DEFAULT_THRESHOLD) {
+  const rows = [];
+  for (const [name, gasUsed] of Object.entries(results)) {
+    if (baseline[name] === undefined) {
+      rows.push({ name, baseline: undefined, gasUsed, change: undefined, status: "new" });
+      continue;
+    }
+    const change = ((gasUsed - baseline[name]) * 100) / baseline[name];
+    const status = change > threshold ? "regression" : change < -threshold ? "improvement" : "ok";
+    rows.push({ name, baseline: baseline[name], gasUsed, change, status });
+  }
+  for (const name of Object.keys(baseline)) {
+    if (results[name] === undefined) {
+      rows.push({ name, baseline: baseline[name], gasUsed: undefined, change: undefined, status: "removed" });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Format a baseline comparison as a text table
+ */
+function formatGasReport(rows) {
+  const format = (value) => (value === undefined ? "-" : value.toString());
+  const lines = rows.map(({ name, baseline, gasUsed, change, status }) => [
+    name,
+    format(baseline),
+    format(gasUsed),
+    change === undefined ? "-" : `${change > 0 ? "+" : ""}${change.toFixed(2)}%`,
+    status,
+  ]);
+  const header = ["benchmark", "baseline", "gas used", "change", "status"];
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => line[i].length)));
+  return [header, ...lines].map((line) => line.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd()).join("\n");
+}
+
+module.exports = { DEFAULT_THRESHOLD, loadGasBaseline, saveGasBaseline, compareGasBaseline, formatGasReport };
@@ -0,0 +1,77 @@
+const { IMPLEMENTATION_SLOT, ADMIN_SLOT, readAddressSlot } = require("./deployment");
+
+/**
+ * Check the on-chain wiring of a deployment against its record and config
+ * Without a multisig in the config, the core and the pool deployer are expected to be owned by the deployer
+ * The pause of the core is reported as information, it isn't a wiring failure
+ * @param {*} hre hardhat runtime environment
+ * @param {Object} deployment deployment record, see loadDeployment
+ * @param {Object} config deployment config, see getDeployConfig
+ * @returns {Array} [{ name, ok, expected, actual, info }] one entry per check, info entries only report their actual value
+ */
+async function checkDeployment(hre, deployment, config) {
+  const { ethers, getNamedAccounts } = hre;
+  const { deployer, proxyAdmin } = await getNamedAccounts();
+  const owner = config.multisig || deployer;
+
+  const checks = [];
+  const check = async (name, expected, readActual) => {
+    let actual;
+    try {
+      actual = (await readActual()).toString();
+    } catch (err) {
+      actual = `error: ${err.message}`;
+    }
+    expected = expected === undefined ? "not recorded" : expected.toString();
+    checks.push({ name, ok: actual.toLowerCase() == expected.toLowerCase(), expected, actual });
+  };
+  const contractAt = (contractName, key) => {
+    if (deployment[key] === undefined) {
+      throw new Error(`${key} not recorded`);
+    }
+    return ethers.getContractAt(contractName, deployment[key]);
+  };
+
+  await check("origination proxy admin owned by origination core", deployment.originationCore, async () =>
+    (await contractAt("OriginationProxyAdmin", "originationProxyAdmin")).owner()
+  );
+  await check("origination core owned by the multisig", owner, async () => (await contractAt("OriginationCore", "originationCore")).owner());
+  await check("pool deployer owned by the multisig", owner, async () => (await contractAt("PoolDeployer", "poolDeployer")).owner());
+
+  await check("origination core proxy implementation", deployment.originationCoreImpl, async () =>
+    readAddressSlot(ethers.provider, (await contractAt("OriginationCore", "originationCore")).address, IMPLEMENTATION_SLOT)
+  );
+  await check("origination core proxy admin", config.proxyAdmin || proxyAdmin, async () =>
+    readAddressSlot(ethers.provider, (await contractAt("OriginationCore", "originationCore")).address, ADMIN_SLOT)
+  );
+  await check("origination core pool deployer", deployment.poolDeployer, async () =>
+    (await contractAt("OriginationCore", "originationCore")).poolDeployer()
+  );
+  await check("origination core nft deployer", deployment.nftDeployer, async () =>
+    (await contractAt("OriginationCore", "originationCore")).nftDeployer()
+  );
+  await check("origination core proxy admin contract", deployment.originationProxyAdmin, async () =>
+    (await contractAt("OriginationCore", "originationCore")).proxyAdmin()
+  );
+
+  await check("pool deployer pool implementation", deployment.originationPoolImpl, async () =>
+    (await contractAt("PoolDeployer", "poolDeployer")).fungibleOriginationPoolImplementation()
+  );
+  await check("nft deployer vesting entry nft implementation", deployment.vestingEntryNFTImpl, async () =>
+    (await contractAt("NFTDeployer", "nftDeployer")).vestingEntryNFTImplementation()
+  );
+
+  await check("listing fee", config.listingFee, async () => (await contractAt("OriginationCore", "originationCore")).listingFee());
+  await check("origination fee", config.originationFee, async () => (await contractAt("OriginationCore", "originationCore")).originationFee());
+
+  try {
+    const paused = await (await contractAt("OriginationCore", "originationCore")).paused();
+    checks.push({ name: "origination core paused", ok: true, info: true, actual: paused.toString() });
+  } catch (err) {
+    // origination cores deployed before the pause don't expose it
+  }
+
+  return checks;
+}
+
+module.exports = { checkDeployment };
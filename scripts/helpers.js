@@ -43,37 +43,25 @@ async function deployArgs(contractName, ...args) {
 
 
 async function verifyContractNoArgs(address) {
-    try {
-        await hre.run("verify:verify", {
-            address: address,
-            constructorArguments: [],
-        });
-    } catch (err) {
-        console.log('error while verifying contract:', err);
-    }
+    await hre.run("verify:verify", {
+        address: address,
+        constructorArguments: [],
+    });
 }
 
 async function verifyContractWithArgs(address, ...args) {
-    try {
-        await hre.run("verify:verify", {
-            address: address,
-            constructorArguments: [...args],
-        });
-    } catch (err) {
-        console.log('error while verifying contract:', err);
-    }
+    await hre.run("verify:verify", {
+        address: address,
+        constructorArguments: [...args],
+    });
 }
 
 async function verifyContractWithArgsAndName(address, contractName, ...args) {
-    try {
-        await hre.run("verify:verify", {
-            address: address,
-            contract: contractName,
-            constructorArguments: [...args],
-        });
-    } catch (err) {
-        console.log('error while verifying contract:', err);
-    }
+    await hre.run("verify:verify", {
+        address: address,
+        contract: contractName,
+        constructorArguments: [...args],
+    });
 }
 
 
@@ -289,6 +277,8 @@ const deployERC20Offering = async (offerTokenUnits, purchaseTokenUnits, priceStr
         reserveAmount: saleThreshold,
         vestingPeriod: vestingPeriod,
         cliffPeriod: cliffPeriod,
+        publicMaxContributionAmount: 0,
+        withdrawalPeriod: 0,
       },
       { value: listingFee }
     );
@@ -0,0 +1,411 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadDeployment } = require("./deployment");
+
+const coreInterface = new ethers.utils.Interface(["event CreateFungibleListing(address indexed pool, address indexed owner)"]);
+const poolInterface = new ethers.utils.Interface([
+  "event InitiateSale(uint256 totalOfferingAmount)",
+  "event ScheduleSale(uint256 saleStartTimestamp)",
+  "event CancelSale(uint256 saleEndTimestamp)",
+  "event PauseSet(bool paused)",
+  "event Purchase(address indexed purchaser, uint256 contributionAmount, uint256 offerAmount, uint256 purchaseFee)",
+  "event WithdrawContribution(address indexed purchaser, uint256 contributionAmount, uint256 offerAmount, uint256 purchaseFee)",
+  "event CreateVestingEntry(address indexed purchaser, uint256 vestingId, uint256 offerTokenAmount)",
+  "event ClaimVested(address indexed purchaser, uint256 tokenAmountClaimed, uint256 tokenAmountRemaining)",
+  "event TokensClaimed(address indexed user, uint256 amountClaimed)",
+  "event PurchaseTokensRetrieved(address indexed user, uint256 amountRetrieved)",
+  "event PurchaseTokenClaim(address indexed owner, uint256 amountClaimed)",
+  "event OfferTokensRetrieved(address indexed owner, uint256 amountRetrieved)",
+]);
+const nftInterface = new ethers.utils.Interface([
+  "event VestingAmountSet(uint256 indexed entryId, uint256 tokenAmount, uint256 tokenAmountClaimed)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+]);
+const poolAbi = [
+  "function offerToken() view returns (address)",
+  "function purchaseToken() view returns (address)",
+  "function vestingEntryNFT() view returns (address)",
+  "function totalOfferingAmount() view returns (uint256)",
+  "function reserveAmount() view returns (uint256)",
+  "function vestingPeriod() view returns (uint256)",
+  "function cliffPeriod() view returns (uint256)",
+  "function publicSaleDuration() view returns (uint256)",
+  "function whitelistSaleDuration() view returns (uint256)",
+];
+
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_CHUNK_SIZE = 2000;
+
+/**
+ * Create an empty index
+ */
+function createIndex(core, startBlock, chainId) {
+  return {
+    chainId,
+    core: ethers.utils.getAddress(core),
+    startBlock,
+    lastIndexedBlock: startBlock - 1,
+    // block number -> hash of the blocks in the confirmation window, used to detect reorgs
+    blockHashes: {},
+    // static info of the discovered pools
+    poolInfo: {},
+    // raw decoded events, ordered by block number and log index
+    events: [],
+  };
+}
+
+/**
+ * Load an index from disk, undefined if it doesn't exist
+ */
+function loadIndex(dbPath) {
+  if (!fs.existsSync(dbPath)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(dbPath, "utf8"));
+}
+
+function saveIndex(dbPath, index) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  fs.writeFileSync(dbPath, JSON.stringify(index, null, 2));
+}
+
+/**
+ * Decode a log of the core, a pool or a vesting entry nft
+ */
+function decodeLog(log, contractInterface) {
+  const parsed = contractInterface.parseLog(log);
+  const args = {};
+  for (const input of parsed.eventFragment.inputs) {
+    const value = parsed.args[input.name];
+    args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  }
+  return {
+    event: parsed.name,
+    address: ethers.utils.getAddress(log.address),
+    args,
+    blockNumber: ethers.BigNumber.from(log.blockNumber).toNumber(),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: ethers.BigNumber.from(log.logIndex).toNumber(),
+  };
+}
+
+async function getLogs(provider, addresses, topics, fromBlock, toBlock) {
+  if (addresses.length == 0) {
+    return [];
+  }
+  return provider.send("eth_getLogs", [
+    {
+      address: addresses,
+      topics: [topics],
+      fromBlock: ethers.utils.hexValue(fromBlock),
+      toBlock: ethers.utils.hexValue(toBlock),
+    },
+  ]);
+}
+
+/**
+ * Rewind the index to the start of the confirmation window
+ * Events in the window and the pools listed in it are dropped and scanned again, so reorged events and pools are replaced
+ * Fails if the block before the window was reorged too
+ */
+async function rewindIndex(provider, index, confirmations) {
+  const rewindBlock = Math.max(index.startBlock - 1, index.lastIndexedBlock - confirmations);
+  const hash = index.blockHashes[rewindBlock];
+  if (hash !== undefined) {
+    const block = await provider.getBlock(rewindBlock);
+    if (block === null || block.hash != hash) {
+      throw new Error(`Block ${rewindBlock} was reorged, the reorg is deeper than the confirmation window. Reindex from scratch.`);
+    }
+  }
+  for (const event of index.events) {
+    if (event.blockNumber > rewindBlock && event.event == "CreateFungibleListing") {
+      delete index.poolInfo[event.args.pool];
+    }
+  }
+  index.events = index.events.filter((event) => event.blockNumber <= rewindBlock);
+  index.lastIndexedBlock = rewindBlock;
+}
+
+/**
+ * Remember the hashes of the confirmation window to detect reorgs on the next run
+ * Hashes of the blocks from fromBlock are read, the ones before the window are dropped
+ */
+async function recordBlockHashes(provider, index, fromBlock, confirmations) {
+  const windowStart = Math.max(index.startBlock, index.lastIndexedBlock - confirmations);
+  for (const blockNumber of Object.keys(index.blockHashes)) {
+    if (blockNumber < windowStart || blockNumber > index.lastIndexedBlock) {
+      delete index.blockHashes[blockNumber];
+    }
+  }
+  for (let blockNumber = Math.max(fromBlock, windowStart); blockNumber <= index.lastIndexedBlock; ++blockNumber) {
+    index.blockHashes[blockNumber] = (await provider.getBlock(blockNumber)).hash;
+  }
+}
+
+/**
+ * Index the events of the core and of every pool and vesting entry nft up to the latest block
+ * @param {ethers.providers.Provider} provider
+ * @param {Object} index index as returned by createIndex or loadIndex
+ * @param {Object} options { confirmations, chunkSize, log, save }, save is called with the index after each chunk so a failed run resumes from it
+ * @returns {Object} the updated index
+ */
+async function runIndexer(
+  provider,
+  index,
+  { confirmations = DEFAULT_CONFIRMATIONS, chunkSize = DEFAULT_CHUNK_SIZE, log = () => {}, save = () => {} } = {}
+) {
+  await rewindIndex(provider, index, confirmations);
+  const latestBlock = await provider.getBlockNumber();
+
+  const createListingTopic = coreInterface.getEventTopic("CreateFungibleListing");
+  const poolTopics = Object.values(poolInterface.events).map((event) => poolInterface.getEventTopic(event));
+  const nftTopics = Object.values(nftInterface.events).map((event) => nftInterface.getEventTopic(event));
+
+  for (let fromBlock = index.lastIndexedBlock + 1; fromBlock <= latestBlock; fromBlock += chunkSize) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, latestBlock);
+
+    // discover the pools first so their events in the same chunk are indexed
+    const listingLogs = await getLogs(provider, [index.core], [createListingTopic], fromBlock, toBlock);
+    const listings = listingLogs.map((log) => decodeLog(log, coreInterface));
+    for (const listing of listings) {
+      if (index.poolInfo[listing.args.pool] === undefined) {
+        index.poolInfo[listing.args.pool] = await readPoolInfo(provider, listing.args.pool);
+      }
+    }
+
+    const pools = Object.keys(index.poolInfo);
+    const nfts = pools.map((pool) => index.poolInfo[pool].vestingEntryNFT).filter((nft) => nft != ethers.constants.AddressZero);
+    const poolLogs = await getLogs(provider, pools, poolTopics, fromBlock, toBlock);
+    const nftLogs = await getLogs(provider, nfts, nftTopics, fromBlock, toBlock);
+
+    const events = listings
+      .concat(poolLogs.map((log) => decodeLog(log, poolInterface)))
+      .concat(nftLogs.map((log) => decodeLog(log, nftInterface)))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    index.events.push(...events);
+    index.lastIndexedBlock = toBlock;
+    await recordBlockHashes(provider, index, fromBlock, confirmations);
+    save(index);
+    log(`indexed blocks ${fromBlock} to ${toBlock}: ${events.length} events`);
+  }
+  return index;
+}
+
+/**
+ * Read the static info of a pool
+ */
+async function readPoolInfo(provider, pool) {
+  const contract = new ethers.Contract(pool, poolAbi, provider);
+  const info = {};
+  for (const name of ["offerToken", "purchaseToken", "vestingEntryNFT"]) {
+    info[name] = await contract[name]();
+  }
+  for (const name of ["totalOfferingAmount", "reserveAmount", "vestingPeriod", "cliffPeriod", "publicSaleDuration", "whitelistSaleDuration"]) {
+    info[name] = (await contract[name]()).toString();
+  }
+  return info;
+}
+
+/**
+ * Build the pools, contributors, vesting entries and claims from the indexed events
+ * All amounts are decimal strings
+ * @param {Object} index
+ * @returns {Object} { pools, contributors, vestingEntries, claims }
+ */
+function getIndexedData(index) {
+  const pools = {};
+  const contributors = {};
+  const vestingEntries = {};
+  const claims = [];
+  const nftToPool = {};
+
+  const add = (a, b) => (BigInt(a) + BigInt(b)).toString();
+  const sub = (a, b) => (BigInt(a) - BigInt(b)).toString();
+  const getContributor = (pool, user) => {
+    contributors[pool][user] = contributors[pool][user] || {
+      contribution: "0",
+      offerAmount: "0",
+      fees: "0",
+      purchases: 0,
+      tokensClaimed: "0",
+      purchaseTokensRetrieved: "0",
+      vestedClaimed: "0",
+    };
+    return contributors[pool][user];
+  };
+
+  for (const event of index.events) {
+    const { args } = event;
+    if (event.event == "CreateFungibleListing") {
+      pools[args.pool] = {
+        address: args.pool,
+        owner: args.owner,
+        ...index.poolInfo[args.pool],
+        createdBlock: event.blockNumber,
+        createdTransaction: event.transactionHash,
+        saleInitiated: false,
+        saleCancelled: false,
+        paused: false,
+        purchaseTokensAcquired: "0",
+        offerTokenAmountSold: "0",
+        originationCoreFees: "0",
+        sponsorClaimed: "0",
+        offerTokensRetrieved: "0",
+      };
+      contributors[args.pool] = {};
+      vestingEntries[args.pool] = {};
+      nftToPool[index.poolInfo[args.pool].vestingEntryNFT] = args.pool;
+      continue;
+    }
+
+    const poolAddress = pools[event.address] !== undefined ? event.address : nftToPool[event.address];
+    const pool = pools[poolAddress];
+    if (pool === undefined) {
+      continue;
+    }
+    const claim = { pool: poolAddress, blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+
+    switch (event.event) {
+      case "InitiateSale":
+        pool.saleInitiated = true;
+        pool.saleInitiatedBlock = event.blockNumber;
+        break;
+      case "ScheduleSale":
+        pool.saleStartTimestamp = args.saleStartTimestamp;
+        break;
+      case "CancelSale":
+        // no origination fees are charged on cancelled sales
+        pool.saleCancelled = true;
+        pool.originationCoreFees = "0";
+        break;
+      case "PauseSet":
+        pool.paused = args.paused;
+        break;
+      case "Purchase": {
+        const contributor = getContributor(poolAddress, args.purchaser);
+        contributor.contribution = add(contributor.contribution, args.contributionAmount);
+        contributor.offerAmount = add(contributor.offerAmount, args.offerAmount);
+        contributor.fees = add(contributor.fees, args.purchaseFee);
+        contributor.purchases++;
+        pool.purchaseTokensAcquired = add(pool.purchaseTokensAcquired, args.contributionAmount);
+        pool.offerTokenAmountSold = add(pool.offerTokenAmountSold, args.offerAmount);
+        pool.originationCoreFees = add(pool.originationCoreFees, args.purchaseFee);
+        break;
+      }
+      case "WithdrawContribution": {
+        const contributor = getContributor(poolAddress, args.purchaser);
+        contributor.contribution = sub(contributor.contribution, args.contributionAmount);
+        contributor.offerAmount = sub(contributor.offerAmount, args.offerAmount);
+        contributor.fees = sub(contributor.fees, args.purchaseFee);
+        pool.purchaseTokensAcquired = sub(pool.purchaseTokensAcquired, args.contributionAmount);
+        pool.offerTokenAmountSold = sub(pool.offerTokenAmountSold, args.offerAmount);
+        pool.originationCoreFees = sub(pool.originationCoreFees, args.purchaseFee);
+        break;
+      }
+      case "CreateVestingEntry":
+        vestingEntries[poolAddress][args.vestingId] = {
+          vestingId: args.vestingId,
+          purchaser: args.purchaser,
+          owner: args.purchaser,
+          offerTokenAmount: args.offerTokenAmount,
+          tokenAmountClaimed: "0",
+        };
+        break;
+      case "VestingAmountSet":
+        // purchases and withdrawals during the withdrawal period change the amount of the entry
+        if (vestingEntries[poolAddress][args.entryId] !== undefined) {
+          vestingEntries[poolAddress][args.entryId].offerTokenAmount = args.tokenAmount;
+          vestingEntries[poolAddress][args.entryId].tokenAmountClaimed = args.tokenAmountClaimed;
+        }
+        break;
+      case "Transfer":
+        if (vestingEntries[poolAddress][args.tokenId] !== undefined) {
+          vestingEntries[poolAddress][args.tokenId].owner = args.to;
+        }
+        break;
+      case "ClaimVested": {
+        const contributor = getContributor(poolAddress, args.purchaser);
+        contributor.vestedClaimed = add(contributor.vestedClaimed, args.tokenAmountClaimed);
+        claims.push({ ...claim, type: "ClaimVested", user: args.purchaser, amount: args.tokenAmountClaimed });
+        break;
+      }
+      case "TokensClaimed": {
+        const contributor = getContributor(poolAddress, args.user);
+        contributor.tokensClaimed = add(contributor.tokensClaimed, args.amountClaimed);
+        claims.push({ ...claim, type: "TokensClaimed", user: args.user, amount: args.amountClaimed });
+        break;
+      }
+      case "PurchaseTokensRetrieved": {
+        const contributor = getContributor(poolAddress, args.user);
+        contributor.purchaseTokensRetrieved = add(contributor.purchaseTokensRetrieved, args.amountRetrieved);
+        claims.push({ ...claim, type: "PurchaseTokensRetrieved", user: args.user, amount: args.amountRetrieved });
+        break;
+      }
+      case "PurchaseTokenClaim":
+        pool.sponsorClaimed = add(pool.sponsorClaimed, args.amountClaimed);
+        claims.push({ ...claim, type: "PurchaseTokenClaim", user: args.owner, amount: args.amountClaimed });
+        break;
+      case "OfferTokensRetrieved":
+        pool.offerTokensRetrieved = add(pool.offerTokensRetrieved, args.amountRetrieved);
+        claims.push({ ...claim, type: "OfferTokensRetrieved", user: args.owner, amount: args.amountRetrieved });
+        break;
+    }
+  }
+
+  return { pools, contributors, vestingEntries, claims };
+}
+
+/**
+ * Index a network
+ * Usage: node scripts/indexer.js [--rpc <url>] (--core <address> | --network <name>) [--from <block>]
+ *                                [--confirmations <n>] [--chunk <n>] [--db <path>]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const options = { rpc: process.env.RPC_URL || "http://127.0.0.1:8545", from: 0, confirmations: DEFAULT_CONFIRMATIONS, chunk: DEFAULT_CHUNK_SIZE };
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, "")] = args[i + 1];
+  }
+  if (options.core === undefined && options.network !== undefined) {
+    options.core = loadDeployment(options.network).originationCore;
+  }
+  if (options.core === undefined) {
+    throw new Error("Usage: node scripts/indexer.js [--rpc <url>] (--core <address> | --network <name>) [--from <block>] [--db <path>]");
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(options.rpc);
+  const { chainId } = await provider.getNetwork();
+  const dbPath = options.db || path.join("index", `${chainId}.json`);
+
+  let index = loadIndex(dbPath);
+  if (index === undefined) {
+    index = createIndex(options.core, parseInt(options.from), chainId);
+  } else if (index.chainId != chainId || index.core != ethers.utils.getAddress(options.core)) {
+    throw new Error(`Index ${dbPath} was built for core ${index.core} on chain ${index.chainId}`);
+  }
+
+  await runIndexer(provider, index, {
+    confirmations: parseInt(options.confirmations),
+    chunkSize: parseInt(options.chunk),
+    log: console.log,
+    save: (index) => saveIndex(dbPath, index),
+  });
+
+  const { pools, contributors, vestingEntries } = getIndexedData(index);
+  const count = (object) => Object.values(object).reduce((total, entries) => total + Object.keys(entries).length, 0);
+  console.log(
+    `indexed up to block ${index.lastIndexedBlock}: ${Object.keys(pools).length} pools, ` +
+      `${count(contributors)} contributors, ${count(vestingEntries)} vesting entries, saved to ${dbPath}`
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createIndex, loadIndex, saveIndex, runIndexer, getIndexedData };
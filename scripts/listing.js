@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parse a duration to seconds
+ * Accepts seconds or unit strings such as "90s", "30m", "24h", "7d", "2w" or "1d12h"
+ * @param {Number|String} duration
+ * @returns {Number} duration in seconds
+ */
+function parseDuration(duration) {
+  if (duration === undefined || duration === null) {
+    return 0;
+  }
+  if (typeof duration == "number") {
+    return duration;
+  }
+  const value = String(duration).replace(/\s/g, "");
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  if (!/^(\d+[smhdw])+$/.test(value)) {
+    throw new Error(`Invalid duration ${duration}`);
+  }
+  let seconds = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+)([smhdw])/g)) {
+    seconds += parseInt(amount) * DURATION_UNITS[unit];
+  }
+  return seconds;
+}
+
+/**
+ * Parse a timestamp to seconds
+ * Accepts unix timestamps in seconds or ISO 8601 dates such as "2024-05-01T14:00:00Z"
+ * @param {Number|String|Date} timestamp
+ * @returns {Number} unix timestamp in seconds
+ */
+function parseTimestamp(timestamp) {
+  if (timestamp instanceof Date) {
+    return Math.floor(timestamp.getTime() / 1000);
+  }
+  if (typeof timestamp == "number" || /^\d+$/.test(String(timestamp).trim())) {
+    return parseInt(timestamp);
+  }
+  const milliseconds = Date.parse(timestamp);
+  if (isNaN(milliseconds)) {
+    throw new Error(`Invalid timestamp ${timestamp}`);
+  }
+  return Math.floor(milliseconds / 1000);
+}
+
+/**
+ * Load a sale spec from a yaml or json file
+ * The spec has the SaleParams fields with human readable prices, amounts and durations
+ * and optionally whitelist (merkle root or whitelist:build output file), manager, initiateSale
+ * and saleStart (unix timestamp or ISO date) to schedule the start of the sale
+ * @param {String} file path to the sale spec
+ */
+function loadSaleSpec(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const spec = [".yaml", ".yml"].includes(path.extname(file).toLowerCase()) ? yaml.load(content) : JSON.parse(content);
+
+  if (spec.whitelist !== undefined && !ethers.utils.isHexString(spec.whitelist, 32)) {
+    // whitelist file paths are relative to the spec
+    const whitelistFile = path.resolve(path.dirname(file), spec.whitelist);
+    spec.whitelist = JSON.parse(fs.readFileSync(whitelistFile, "utf8")).merkleRoot;
+  }
+  return spec;
+}
+
+/**
+ * Convert a sale spec to IFungibleOriginationPool.SaleParams
+ * Prices, reserve and public max contribution amounts are scaled by the purchase token decimals,
+ * the total offering amount by the offer token decimals
+ * @param {Object} spec sale spec
+ * @param {Number} offerDecimals offer token decimals
+ * @param {Number} purchaseDecimals purchase token decimals (18 for ETH)
+ */
+function getSaleParams(spec, offerDecimals, purchaseDecimals) {
+  const price = (value) => ethers.utils.parseUnits(String(value || 0), purchaseDecimals);
+
+  return {
+    offerToken: ethers.utils.getAddress(spec.offerToken),
+    purchaseToken: getPurchaseTokenAddress(spec.purchaseToken),
+    publicStartingPrice: price(spec.publicStartingPrice),
+    publicEndingPrice: price(spec.publicEndingPrice !== undefined ? spec.publicEndingPrice : spec.publicStartingPrice),
+    whitelistStartingPrice: price(spec.whitelistStartingPrice),
+    whitelistEndingPrice: price(spec.whitelistEndingPrice !== undefined ? spec.whitelistEndingPrice : spec.whitelistStartingPrice),
+    publicSaleDuration: parseDuration(spec.publicSaleDuration),
+    whitelistSaleDuration: parseDuration(spec.whitelistSaleDuration),
+    totalOfferingAmount: ethers.utils.parseUnits(String(spec.totalOfferingAmount), offerDecimals),
+    reserveAmount: price(spec.reserveAmount),
+    vestingPeriod: parseDuration(spec.vestingPeriod),
+    cliffPeriod: parseDuration(spec.cliffPeriod),
+    publicMaxContributionAmount: price(spec.publicMaxContributionAmount),
+    withdrawalPeriod: parseDuration(spec.withdrawalPeriod),
+  };
+}
+
+/**
+ * Get the purchase token address of a spec, "ETH" or no purchase token means ETH
+ */
+function getPurchaseTokenAddress(purchaseToken) {
+  if (purchaseToken === undefined || String(purchaseToken).toUpperCase() == "ETH") {
+    return ethers.constants.AddressZero;
+  }
+  return ethers.utils.getAddress(purchaseToken);
+}
+
+module.exports = { parseDuration, parseTimestamp, loadSaleSpec, getSaleParams, getPurchaseTokenAddress };
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const http = require("http");
+const { ethers } = require("ethers");
+
+const poolAbi = [
+  "function whitelistMerkleRoot() view returns (bytes32)",
+  "function purchaseTokenContribution(address) view returns (uint256)",
+];
+
+/**
+ * Load whitelist trees written by the whitelist:build task
+ * Each tree must record the pool it was built for
+ * @param {Array} files whitelist tree files
+ * @returns {Object} pool address -> whitelist tree
+ */
+function loadWhitelists(files) {
+  const whitelists = {};
+  for (const file of files) {
+    const whitelist = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (whitelist.pool === undefined) {
+      throw new Error(`Whitelist ${file} has no pool address, rebuild it with --pool`);
+    }
+    const pool = ethers.utils.getAddress(whitelist.pool);
+    if (whitelists[pool] !== undefined) {
+      throw new Error(`Multiple whitelists for pool ${pool}`);
+    }
+    whitelists[pool] = whitelist;
+  }
+  return whitelists;
+}
+
+/**
+ * Check every whitelist root against the pool whitelistMerkleRoot
+ * @param {ethers.providers.Provider} provider
+ * @param {Object} whitelists pool address -> whitelist tree
+ * @returns {Object} pool address -> { merkleRoot, onchainRoot, rootMatches }
+ */
+async function checkWhitelistRoots(provider, whitelists) {
+  const status = {};
+  for (const pool of Object.keys(whitelists)) {
+    const onchainRoot = await new ethers.Contract(pool, poolAbi, provider).whitelistMerkleRoot();
+    const merkleRoot = whitelists[pool].merkleRoot;
+    status[pool] = { merkleRoot, onchainRoot, rootMatches: onchainRoot.toLowerCase() == merkleRoot.toLowerCase() };
+  }
+  return status;
+}
+
+/**
+ * Create the merkle proof lookup http server
+ * GET /pools/:pool                 whitelist root status of a pool
+ * GET /pools/:pool/proof/:address  proof, max contribution and remaining contribution of an address
+ * The pool root is read on every request, proofs aren't served once the pool whitelist changes
+ * @param {ethers.providers.Provider} provider provider of the network the pools are deployed on
+ * @param {Object} whitelists pool address -> whitelist tree
+ * @returns {http.Server}
+ */
+function createProofServer(provider, whitelists) {
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method != "GET") {
+        return reply(405, { error: "Method not allowed" });
+      }
+      const match = req.url.split("?")[0].match(/^\/pools\/([^/]+)(?:\/proof\/([^/]+))?\/?$/);
+      if (!match) {
+        return reply(404, { error: "Not found" });
+      }
+      if (!ethers.utils.isAddress(match[1]) || (match[2] !== undefined && !ethers.utils.isAddress(match[2]))) {
+        return reply(400, { error: "Invalid address" });
+      }
+      const pool = ethers.utils.getAddress(match[1]);
+      const whitelist = whitelists[pool];
+      if (whitelist === undefined) {
+        return reply(404, { error: `No whitelist loaded for pool ${pool}` });
+      }
+      const rootStatus = (await checkWhitelistRoots(provider, { [pool]: whitelist }))[pool];
+      if (match[2] === undefined) {
+        return reply(200, { pool, ...rootStatus });
+      }
+      if (!rootStatus.rootMatches) {
+        return reply(409, { error: `Whitelist root does not match the root of pool ${pool}` });
+      }
+
+      const address = ethers.utils.getAddress(match[2]);
+      const claim = whitelist.claims[address];
+      if (claim === undefined) {
+        return reply(404, { error: `Address ${address} is not whitelisted` });
+      }
+      const contribution = await new ethers.Contract(pool, poolAbi, provider).purchaseTokenContribution(address);
+      const maxContributionAmount = ethers.BigNumber.from(claim.maxContributionAmount);
+      const remainingContribution = contribution.gte(maxContributionAmount)
+        ? ethers.constants.Zero
+        : maxContributionAmount.sub(contribution);
+
+      return reply(200, {
+        pool,
+        address,
+        proof: claim.proof,
+        maxContributionAmount: maxContributionAmount.toString(),
+        contribution: contribution.toString(),
+        remainingContribution: remainingContribution.toString(),
+      });
+    } catch (err) {
+      return reply(500, { error: err.message });
+    }
+  });
+
+  /**
+   * Read the root status of every pool, e.g. to report mismatches at startup
+   */
+  server.refreshRoots = () => checkWhitelistRoots(provider, whitelists);
+
+  return server;
+}
+
+/**
+ * Start the proof server
+ * Usage: node scripts/proofServer.js [--rpc <url>] [--port <port>] <whitelist.merkle.json>...
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  let rpc = process.env.RPC_URL || "http://127.0.0.1:8545";
+  let port = process.env.PORT || 3000;
+  const files = [];
+  for (let i = 0; i < args.length; ++i) {
+    if (args[i] == "--rpc") {
+      rpc = args[++i];
+    } else if (args[i] == "--port") {
+      port = args[++i];
+    } else {
+      files.push(args[i]);
+    }
+  }
+  if (files.length == 0) {
+    throw new Error("Usage: node scripts/proofServer.js [--rpc <url>] [--port <port>] <whitelist.merkle.json>...");
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(rpc);
+  const server = createProofServer(provider, loadWhitelists(files));
+  const rootStatus = await server.refreshRoots();
+  for (const pool of Object.keys(rootStatus)) {
+    const { rootMatches, onchainRoot } = rootStatus[pool];
+    console.log(`pool ${pool}:`, rootMatches ? "whitelist root matches" : `whitelist root mismatch, pool root is ${onchainRoot}`);
+  }
+
+  server.listen(port, () => console.log(`serving whitelist proofs on port ${port} from ${rpc}`));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadWhitelists, checkWhitelistRoots, createProofServer };
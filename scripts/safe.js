@@ -0,0 +1,227 @@
+const { ethers } = require("ethers");
+
+const erc20Abi = ["function balanceOf(address) view returns (uint256)"];
+
+const parseAddress = (value) => {
+  if (!ethers.utils.isAddress(value)) {
+    throw new Error(`Invalid address ${value}`);
+  }
+  return ethers.utils.getAddress(value);
+};
+const parseFeeToken = (value) => (value.toUpperCase() == "ETH" ? ethers.constants.AddressZero : parseAddress(value));
+const parseEther = (value) => {
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new Error(`Invalid amount ${value}`);
+  }
+  return ethers.utils.parseEther(value);
+};
+
+// deployment record key -> contract name
+const CONTRACTS = { originationCore: "OriginationCore", poolDeployer: "PoolDeployer" };
+
+/**
+ * Admin commands, as `<command> <args...>`
+ * Each command is a call of a contract of the deployment record, and lists the state it changes for the simulation diff
+ */
+const ADMIN_COMMANDS = {
+  setListingFee: {
+    usage: "setListingFee <fee in ETH>",
+    contract: "originationCore",
+    method: "setListingFee",
+    parseArgs: ([fee]) => [parseEther(fee)],
+    state: () => [{ contract: "originationCore", method: "listingFee", args: [] }],
+  },
+  enableCustomListingFee: {
+    usage: "enableCustomListingFee <deployer> <fee in ETH>",
+    contract: "originationCore",
+    method: "enableCustomListingFee",
+    parseArgs: ([deployer, fee]) => [parseAddress(deployer), parseEther(fee)],
+    state: ([deployer]) => [
+      { contract: "originationCore", method: "customListingFeeEnabled", args: [deployer] },
+      { contract: "originationCore", method: "customListingFee", args: [deployer] },
+    ],
+  },
+  disableCustomListingFee: {
+    usage: "disableCustomListingFee <deployer>",
+    contract: "originationCore",
+    method: "disableCustomListingFee",
+    parseArgs: ([deployer]) => [parseAddress(deployer)],
+    state: ([deployer]) => [{ contract: "originationCore", method: "customListingFeeEnabled", args: [deployer] }],
+  },
+  pause: {
+    usage: "pause",
+    contract: "originationCore",
+    method: "pause",
+    parseArgs: () => [],
+    state: () => [{ contract: "originationCore", method: "paused", args: [] }],
+  },
+  unpause: {
+    usage: "unpause",
+    contract: "originationCore",
+    method: "unpause",
+    parseArgs: () => [],
+    state: () => [{ contract: "originationCore", method: "paused", args: [] }],
+  },
+  setPoolImplementation: {
+    usage: "setPoolImplementation <implementation>",
+    contract: "poolDeployer",
+    method: "setFungibleOriginationPoolImplementation",
+    parseArgs: ([implementation]) => [parseAddress(implementation)],
+    state: () => [{ contract: "poolDeployer", method: "fungibleOriginationPoolImplementation", args: [] }],
+  },
+  claimFees: {
+    usage: "claimFees <token address or ETH>",
+    contract: "originationCore",
+    method: "claimFees",
+    parseArgs: ([token]) => [parseFeeToken(token)],
+    // fees are claimed by the caller
+    state: ([token], safe) => [
+      { token, account: "originationCore" },
+      { token, account: safe },
+    ],
+  },
+};
+
+/**
+ * Parse an admin command such as `setListingFee 0.1`
+ * @returns {Object} { command, definition, args }
+ */
+function parseCommand(line) {
+  const [command, ...args] = line.trim().split(/\s+/);
+  const definition = ADMIN_COMMANDS[command];
+  if (definition === undefined) {
+    throw new Error(`Unknown command ${command}, expected one of:\n  ${Object.values(ADMIN_COMMANDS).map(({ usage }) => usage).join("\n  ")}`);
+  }
+  const expectedArgs = definition.usage.split("<").length - 1;
+  if (args.length != expectedArgs) {
+    throw new Error(`Invalid arguments for ${command}, usage: ${definition.usage}`);
+  }
+  return { command, definition, args: definition.parseArgs(args) };
+}
+
+/**
+ * Build a Safe Transaction Builder batch of admin commands
+ * @param {*} hre hardhat runtime environment, used for the contract abis
+ * @param {Object} deployment deployment record, see loadDeployment
+ * @param {Array} commands admin commands, see ADMIN_COMMANDS
+ * @param {Object} options { chainId, safe, name }
+ * @returns {Object} Transaction Builder json batch
+ */
+async function buildSafeBatch(hre, deployment, commands, { chainId, safe, name = "Origination admin batch" }) {
+  const transactions = [];
+  for (const line of commands) {
+    const { definition, args } = parseCommand(line);
+    const to = deployment[definition.contract];
+    if (to === undefined) {
+      throw new Error(`No ${definition.contract} in the deployment record`);
+    }
+    const contractInterface = new ethers.utils.Interface((await hre.artifacts.readArtifact(CONTRACTS[definition.contract])).abi);
+    const fragment = contractInterface.getFunction(definition.method);
+    const contractInputsValues = {};
+    fragment.inputs.forEach((input, i) => (contractInputsValues[input.name] = args[i].toString()));
+
+    transactions.push({
+      to,
+      value: "0",
+      data: contractInterface.encodeFunctionData(fragment, args),
+      contractMethod: {
+        inputs: fragment.inputs.map((input) => ({ internalType: input.type, name: input.name, type: input.type })),
+        name: fragment.name,
+        payable: fragment.payable,
+      },
+      contractInputsValues,
+    });
+  }
+
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description: commands.join("\n"),
+      txBuilderVersion: "1.10.0",
+      createdFromSafeAddress: safe,
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+}
+
+/**
+ * Read the state changed by the batch commands
+ * @returns {Object} state name -> value
+ */
+async function readCommandsState(hre, provider, deployment, commands, safe) {
+  const state = {};
+  for (const line of commands) {
+    const { definition, args } = parseCommand(line);
+    for (const { contract, method, args: methodArgs, token, account } of definition.state(args, safe)) {
+      if (token !== undefined) {
+        const address = deployment[account] || account;
+        const balance =
+          token == ethers.constants.AddressZero
+            ? await provider.getBalance(address)
+            : await new ethers.Contract(token, erc20Abi, provider).balanceOf(address);
+        state[`${token == ethers.constants.AddressZero ? "ETH" : token} balance of ${account}`] = balance.toString();
+      } else {
+        const { abi } = await hre.artifacts.readArtifact(CONTRACTS[contract]);
+        const value = await new ethers.Contract(deployment[contract], abi, provider)[method](...methodArgs);
+        state[`${contract}.${method}(${methodArgs.join(", ")})`] = value.toString();
+      }
+    }
+  }
+  return state;
+}
+
+/**
+ * Simulate a batch on a local fork by impersonating the safe
+ * The fork state is reverted after the simulation
+ * @param {*} hre hardhat runtime environment
+ * @param {ethers.providers.JsonRpcProvider} provider provider of a hardhat fork
+ * @param {Object} deployment deployment record
+ * @param {Array} commands admin commands of the batch
+ * @param {Object} batch Transaction Builder batch, see buildSafeBatch
+ * @returns {Object} { results, diff } results per transaction, diff of the changed state as { name: [before, after] }
+ */
+async function simulateSafeBatch(hre, provider, deployment, commands, batch) {
+  const safe = batch.meta.createdFromSafeAddress;
+  const snapshot = await provider.send("evm_snapshot", []);
+  try {
+    const before = await readCommandsState(hre, provider, deployment, commands, safe);
+
+    await provider.send("hardhat_impersonateAccount", [safe]);
+    const signer = provider.getSigner(safe);
+    const results = [];
+    for (const transaction of batch.transactions) {
+      // no gas cost so the safe balances only change by the batch calls
+      await provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+      try {
+        const tx = await signer.sendTransaction({
+          to: transaction.to,
+          data: transaction.data,
+          value: ethers.BigNumber.from(transaction.value),
+          gasPrice: 0,
+        });
+        await tx.wait();
+        results.push({ method: transaction.contractMethod.name, success: true });
+      } catch (err) {
+        results.push({ method: transaction.contractMethod.name, success: false, error: err.message });
+      }
+    }
+    await provider.send("hardhat_stopImpersonatingAccount", [safe]);
+
+    const after = await readCommandsState(hre, provider, deployment, commands, safe);
+    const diff = {};
+    for (const name of Object.keys(after)) {
+      if (before[name] != after[name]) {
+        diff[name] = [before[name], after[name]];
+      }
+    }
+    return { results, diff };
+  } finally {
+    await provider.send("evm_revert", [snapshot]);
+  }
+}
+
+module.exports = { ADMIN_COMMANDS, parseCommand, buildSafeBatch, simulateSafeBatch };
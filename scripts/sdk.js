@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const SDK_DIR = path.join(__dirname, "..", "sdk");
+
+// contracts the sdk clients call, their abis are shipped in sdk/abis
+const SDK_CONTRACTS = ["OriginationCore", "FungibleOriginationPool", "VestingEntryNFT"];
+
+// typechain types are generated for every contract except the mocks and test contracts
+const TYPECHAIN_GLOB = "artifacts/contracts/!(test|mock)/**/+([a-zA-Z0-9_]).json";
+
+/**
+ * Get the abis of the sdk contracts from the compiled artifacts
+ * @returns {Object} contract name -> abi
+ */
+async function getSdkAbis(hre) {
+  const abis = {};
+  for (const contractName of SDK_CONTRACTS) {
+    abis[contractName] = (await hre.artifacts.readArtifact(contractName)).abi;
+  }
+  return abis;
+}
+
+function loadSdkAbis(abiDir = path.join(SDK_DIR, "abis")) {
+  const abis = {};
+  for (const contractName of SDK_CONTRACTS) {
+    abis[contractName] = JSON.parse(fs.readFileSync(path.join(abiDir, `${contractName}.json`), "utf8"));
+  }
+  return abis;
+}
+
+function saveSdkAbis(abis, abiDir = path.join(SDK_DIR, "abis")) {
+  fs.mkdirSync(abiDir, { recursive: true });
+  for (const [contractName, abi] of Object.entries(abis)) {
+    fs.writeFileSync(path.join(abiDir, `${contractName}.json`), JSON.stringify(abi, null, 2) + "\n");
+  }
+}
+
+/**
+ * Generate the ethers-v5 typechain types of the compiled contracts
+ * @param {String} root hardhat project root
+ * @param {String} outDir types output directory
+ */
+function generateSdkTypes(root, outDir = path.join(SDK_DIR, "types")) {
+  const typechain = path.join(root, "node_modules", ".bin", "typechain");
+  execFileSync(typechain, ["--target", "ethers-v5", "--outDir", outDir, TYPECHAIN_GLOB], { cwd: root, stdio: "pipe" });
+}
+
+module.exports = { SDK_DIR, SDK_CONTRACTS, getSdkAbis, loadSdkAbis, saveSdkAbis, generateSdkTypes };
@@ -0,0 +1,247 @@
+const { ethers } = require("ethers");
+
+const erc20Abi = [
+  "function decimals() view returns (uint8)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+const CSV_COLUMNS = [
+  "address",
+  "contribution",
+  "offerTokensBought",
+  "fees",
+  "overflowRefunds",
+  "capRefunds",
+  "contributionWithdrawn",
+  "purchaseTokensRetrieved",
+  "offerTokensClaimed",
+  "status",
+];
+
+/**
+ * Amount of purchase tokens sent by the purchaser in a purchase
+ * ETH is the transaction value, ERC-20 tokens the transfers from the purchaser to the pool since the previous purchase of the transaction
+ * Fails for ETH transactions with several purchases of the pool (routers, multicalls), their value can't be split between the purchases
+ */
+async function getAmountSent(pool, purchaseToken, event) {
+  const receipt = await event.getTransactionReceipt();
+  const purchaseLogIndexes = receipt.logs
+    .filter((log) => log.address == pool.address && log.topics[0] == pool.interface.getEventTopic("Purchase"))
+    .map((log) => log.logIndex);
+  if (purchaseToken === undefined) {
+    if (purchaseLogIndexes.length > 1) {
+      throw new Error(`Transaction ${event.transactionHash} makes ${purchaseLogIndexes.length} purchases, the ETH sent by each is unknown`);
+    }
+    return (await event.getTransaction()).value;
+  }
+  const previousPurchase = Math.max(-1, ...purchaseLogIndexes.filter((logIndex) => logIndex < event.logIndex));
+  return receipt.logs
+    .filter((log) => log.logIndex > previousPurchase && log.logIndex < event.logIndex)
+    .filter((log) => log.address == purchaseToken.address && log.topics[0] == purchaseToken.interface.getEventTopic("Transfer"))
+    .map((log) => purchaseToken.interface.parseLog(log).args)
+    .filter(({ from, to }) => from == event.args.purchaser && to == pool.address)
+    .reduce((total, { value }) => total.add(value), ethers.constants.Zero);
+}
+
+function getStatus(contributor, { saleEnded, saleCancelled, reserveMet, vesting }) {
+  if (contributor.contribution.eq(0) && contributor.contributionWithdrawn.gt(0)) {
+    return "withdrawn";
+  }
+  if (!saleEnded) {
+    return "sale active";
+  }
+  if (saleCancelled || !reserveMet) {
+    return contributor.purchaseTokensRetrieved.gt(0) ? "refunded" : "refund pending";
+  }
+  if (contributor.offerTokensClaimed.eq(contributor.offerTokensBought)) {
+    return "claimed";
+  }
+  return vesting && contributor.offerTokensClaimed.gt(0) ? "partially vested" : "unclaimed";
+}
+
+/**
+ * Rebuild the settlement of a pool from its events and check it against the pool storage
+ * Amounts are in the base units of the offer and purchase tokens
+ * @param {ethers.Contract} pool FungibleOriginationPool contract
+ * @param {Object} options { fromBlock, toBlock } block range of the pool events
+ * @returns {Object} { pool, saleEnded, saleCancelled, reserveMet, contributors, totals, discrepancies }
+ */
+async function buildSettlementReport(pool, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const { provider } = pool;
+  const blockTag = toBlock;
+  const purchaseTokenAddress = await pool.purchaseToken({ blockTag });
+  const purchaseToken =
+    purchaseTokenAddress == ethers.constants.AddressZero ? undefined : new ethers.Contract(purchaseTokenAddress, erc20Abi, provider);
+  const offerToken = new ethers.Contract(await pool.offerToken({ blockTag }), erc20Abi, provider);
+
+  const block = await provider.getBlock(blockTag);
+  const saleInitiated = await pool.saleInitiated({ blockTag });
+  const saleCancelled = await pool.saleCancelled({ blockTag });
+  const saleEnded = saleInitiated && (saleCancelled || block.timestamp > (await pool.saleEndTimestamp({ blockTag })).toNumber());
+  const purchaseTokensAcquired = await pool.purchaseTokensAcquired({ blockTag });
+  const reserveMet = purchaseTokensAcquired.gte(await pool.reserveAmount({ blockTag }));
+  const vesting = (await pool.vestingPeriod({ blockTag })).gt(0);
+  const publicMaxContributionAmount = await pool.publicMaxContributionAmount({ blockTag });
+  const publicSaleStart = (await pool.saleInitiatedTimestamp({ blockTag })).add(await pool.whitelistSaleDuration({ blockTag }));
+
+  const query = (filter) => pool.queryFilter(filter, fromBlock, toBlock);
+  const contributors = {};
+  const getContributor = (address) => {
+    contributors[address] = contributors[address] || {
+      address,
+      contribution: ethers.constants.Zero,
+      offerTokensBought: ethers.constants.Zero,
+      fees: ethers.constants.Zero,
+      overflowRefunds: ethers.constants.Zero,
+      capRefunds: ethers.constants.Zero,
+      contributionWithdrawn: ethers.constants.Zero,
+      purchaseTokensRetrieved: ethers.constants.Zero,
+      offerTokensClaimed: ethers.constants.Zero,
+    };
+    return contributors[address];
+  };
+
+  // fees are sent to the core and reset in storage on every sponsor claim
+  const sponsorClaims = await query(pool.filters.PurchaseTokenClaim());
+  const lastSponsorClaim = sponsorClaims.length > 0 ? sponsorClaims[sponsorClaims.length - 1] : undefined;
+  let unclaimedFees = ethers.constants.Zero;
+  // no fees are charged if the sale is cancelled
+  const isUnclaimedFee = (event) =>
+    !saleCancelled &&
+    (lastSponsorClaim === undefined ||
+      event.blockNumber > lastSponsorClaim.blockNumber ||
+      (event.blockNumber == lastSponsorClaim.blockNumber && event.logIndex > lastSponsorClaim.logIndex));
+
+  // purchases and withdrawals in order, the public max contribution applies to the contribution at the time of the purchase
+  const purchasesAndWithdrawals = (await query(pool.filters.Purchase()))
+    .concat(await query(pool.filters.WithdrawContribution()))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  for (const event of purchasesAndWithdrawals) {
+    const { purchaser, contributionAmount, offerAmount, purchaseFee } = event.args;
+    const contributor = getContributor(purchaser);
+    if (event.event == "WithdrawContribution") {
+      // withdrawals during the sale are deducted from the contribution, offer tokens and fees
+      contributor.contribution = contributor.contribution.sub(contributionAmount);
+      contributor.contributionWithdrawn = contributor.contributionWithdrawn.add(contributionAmount);
+      contributor.offerTokensBought = contributor.offerTokensBought.sub(offerAmount);
+      contributor.fees = contributor.fees.sub(purchaseFee);
+      if (isUnclaimedFee(event)) {
+        unclaimedFees = unclaimedFees.sub(purchaseFee);
+      }
+      continue;
+    }
+
+    // public purchases above the max contribution and purchases over the total offering are refunded in the same transaction
+    const amountSent = await getAmountSent(pool, purchaseToken, event);
+    let capRefund = ethers.constants.Zero;
+    if (publicMaxContributionAmount.gt(0) && (await event.getBlock()).timestamp > publicSaleStart) {
+      const contributionAfter = contributor.contribution.add(amountSent);
+      if (contributionAfter.gt(publicMaxContributionAmount)) {
+        capRefund = contributionAfter.sub(publicMaxContributionAmount);
+      }
+    }
+    contributor.capRefunds = contributor.capRefunds.add(capRefund);
+    contributor.overflowRefunds = contributor.overflowRefunds.add(amountSent.sub(contributionAmount).sub(capRefund));
+    contributor.contribution = contributor.contribution.add(contributionAmount);
+    contributor.offerTokensBought = contributor.offerTokensBought.add(offerAmount);
+    contributor.fees = contributor.fees.add(purchaseFee);
+    if (isUnclaimedFee(event)) {
+      unclaimedFees = unclaimedFees.add(purchaseFee);
+    }
+  }
+  for (const event of await query(pool.filters.PurchaseTokensRetrieved())) {
+    const contributor = getContributor(event.args.user);
+    contributor.purchaseTokensRetrieved = contributor.purchaseTokensRetrieved.add(event.args.amountRetrieved);
+  }
+  for (const event of await query(pool.filters.TokensClaimed())) {
+    const contributor = getContributor(event.args.user);
+    contributor.offerTokensClaimed = contributor.offerTokensClaimed.add(event.args.amountClaimed);
+  }
+  // vesting entries can be transferred, the claims are attributed to the holder of the entry
+  for (const event of await query(pool.filters.ClaimVested())) {
+    const contributor = getContributor(event.args.purchaser);
+    contributor.offerTokensClaimed = contributor.offerTokensClaimed.add(event.args.tokenAmountClaimed);
+  }
+
+  const discrepancies = [];
+  const check = (name, expected, actual) => {
+    if (!expected.eq(actual)) {
+      discrepancies.push({ name, expected: expected.toString(), actual: actual.toString() });
+    }
+  };
+
+  for (const contributor of Object.values(contributors)) {
+    contributor.status = getStatus(contributor, { saleEnded, saleCancelled, reserveMet, vesting });
+    check(
+      `purchaseTokenContribution(${contributor.address})`,
+      contributor.contribution.sub(contributor.purchaseTokensRetrieved),
+      await pool.purchaseTokenContribution(contributor.address, { blockTag })
+    );
+    // vested claims don't reset the purchased amount
+    check(
+      `offerTokenAmountPurchased(${contributor.address})`,
+      vesting ? contributor.offerTokensBought : contributor.offerTokensBought.sub(contributor.offerTokensClaimed),
+      await pool.offerTokenAmountPurchased(contributor.address, { blockTag })
+    );
+  }
+
+  const sum = (field) => Object.values(contributors).reduce((total, contributor) => total.add(contributor[field]), ethers.constants.Zero);
+  const totals = {};
+  for (const field of CSV_COLUMNS.slice(1, -1)) {
+    totals[field] = sum(field);
+  }
+  check("purchaseTokensAcquired", totals.contribution, purchaseTokensAcquired);
+  check("offerTokenAmountSold", totals.offerTokensBought, await pool.offerTokenAmountSold({ blockTag }));
+  check("originationCoreFees", unclaimedFees, await pool.originationCoreFees({ blockTag }));
+
+  return {
+    pool: pool.address,
+    block: block.number,
+    offerToken: offerToken.address,
+    offerDecimals: await offerToken.decimals(),
+    purchaseToken: purchaseTokenAddress,
+    purchaseDecimals: purchaseToken === undefined ? 18 : await purchaseToken.decimals(),
+    saleInitiated,
+    saleEnded,
+    saleCancelled,
+    reserveMet,
+    contributors: Object.values(contributors),
+    totals,
+    discrepancies,
+  };
+}
+
+/**
+ * Format the amounts of a settlement report in token units
+ */
+function formatSettlementReport(report) {
+  const format = (row) => {
+    const formatted = { ...row };
+    for (const field of CSV_COLUMNS.slice(1, -1)) {
+      const decimals = field.startsWith("offer") ? report.offerDecimals : report.purchaseDecimals;
+      formatted[field] = ethers.utils.formatUnits(row[field], decimals);
+    }
+    return formatted;
+  };
+  return {
+    ...report,
+    contributors: report.contributors.map(format),
+    totals: format(report.totals),
+  };
+}
+
+/**
+ * Settlement report as csv, with a row per contributor and a totals row
+ * Discrepancies are appended as comment lines
+ */
+function settlementReportToCsv(report) {
+  const formatted = formatSettlementReport(report);
+  const rows = formatted.contributors.concat([{ ...formatted.totals, address: "total", status: "" }]);
+  const lines = [CSV_COLUMNS.join(",")].concat(rows.map((row) => CSV_COLUMNS.map((column) => row[column]).join(",")));
+  for (const { name, expected, actual } of report.discrepancies) {
+    lines.push(`# discrepancy: ${name} expected ${expected} from events, storage has ${actual}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { buildSettlementReport, formatSettlementReport, settlementReportToCsv };
@@ -0,0 +1,324 @@
+const { ethers } = require("ethers");
+
+/**
+ * Off-chain mirror of the FungibleOriginationPool price and mint amount math
+ * All amounts and timestamps are BigInt, results match the pool view functions exactly
+ * including the _mulDiv rounding and the reverts of checked arithmetic
+ *
+ * Pool state fields:
+ * offerTokenUnits, purchaseTokenUnits, publicStartingPrice, publicEndingPrice, whitelistStartingPrice,
+ * whitelistEndingPrice, publicSaleDuration, whitelistSaleDuration, totalOfferingAmount, reserveAmount,
+ * minContributionAmount, vestingPeriod, cliffPeriod, publicMaxContributionAmount, withdrawalPeriod, originationFee,
+ * saleInitiated, saleInitiatedTimestamp, saleEndTimestamp, saleCancelled, paused (isPaused of the pool), offerTokenAmountSold,
+ * originationCoreFees and isEth (true if the purchase token is ETH)
+ */
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+/**
+ * Error thrown where the pool would revert
+ */
+class PoolRevert extends Error {}
+
+function sub(a, b) {
+  if (b > a) {
+    throw new PoolRevert("Arithmetic underflow");
+  }
+  return a - b;
+}
+
+function div(a, b) {
+  if (b == 0n) {
+    throw new PoolRevert("Division by zero");
+  }
+  return a / b;
+}
+
+/**
+ * floor(a * b / denominator), reverts if denominator is 0 or the result overflows a uint256
+ */
+function mulDiv(a, b, denominator) {
+  if (denominator == 0n) {
+    throw new PoolRevert("Division by zero");
+  }
+  const result = (a * b) / denominator;
+  if (result > MAX_UINT256) {
+    throw new PoolRevert("mulDiv overflow");
+  }
+  return result;
+}
+
+function isWhitelistMintPeriod(pool, timestamp) {
+  return timestamp > pool.saleInitiatedTimestamp && timestamp <= pool.saleInitiatedTimestamp + pool.whitelistSaleDuration;
+}
+
+function isPublicMintPeriod(pool, timestamp) {
+  const endOfWhitelistPeriod = pool.saleInitiatedTimestamp + pool.whitelistSaleDuration;
+  return timestamp > endOfWhitelistPeriod && timestamp <= endOfWhitelistPeriod + pool.publicSaleDuration;
+}
+
+function isWithdrawalPeriod(pool, timestamp) {
+  return (
+    pool.withdrawalPeriod > 0n &&
+    !pool.saleCancelled &&
+    timestamp > pool.saleInitiatedTimestamp &&
+    timestamp <= pool.saleInitiatedTimestamp + pool.withdrawalPeriod &&
+    timestamp <= pool.saleEndTimestamp
+  );
+}
+
+/**
+ * Offer token price in purchase tokens at a timestamp, see FungibleOriginationPool.getOfferTokenPrice
+ * The price interpolates linearly between the starting and ending price of the current period
+ */
+function getOfferTokenPrice(pool, timestamp) {
+  // Token sale was not initiated or has not started yet
+  if (!pool.saleInitiated || timestamp <= pool.saleInitiatedTimestamp) {
+    return pool.whitelistSaleDuration > 0n ? pool.whitelistStartingPrice : pool.publicStartingPrice;
+  }
+
+  // Token sale has ended
+  if (timestamp > pool.saleEndTimestamp) {
+    return pool.publicSaleDuration > 0n ? pool.publicEndingPrice : pool.whitelistEndingPrice;
+  }
+
+  const isWhitelistPeriod = isWhitelistMintPeriod(pool, timestamp);
+  const offeringPeriodInitiatedTimestamp = isWhitelistPeriod
+    ? pool.saleInitiatedTimestamp
+    : pool.saleInitiatedTimestamp + pool.whitelistSaleDuration;
+  const offeringPeriodDuration = isWhitelistPeriod ? pool.whitelistSaleDuration : pool.publicSaleDuration;
+
+  const timeElapsed = sub(timestamp, offeringPeriodInitiatedTimestamp);
+  const startingPrice = isWhitelistPeriod ? pool.whitelistStartingPrice : pool.publicStartingPrice;
+  const endingPrice = isWhitelistPeriod ? pool.whitelistEndingPrice : pool.publicEndingPrice;
+
+  return div(startingPrice * sub(offeringPeriodDuration, timeElapsed) + endingPrice * timeElapsed, offeringPeriodDuration);
+}
+
+/**
+ * Offer token amount bought by a contribution at a timestamp, see FungibleOriginationPool.getCurrentMintAmount
+ */
+function getCurrentMintAmount(pool, contributionAmount, timestamp) {
+  return mulDiv(contributionAmount, pool.offerTokenUnits, getOfferTokenPrice(pool, timestamp));
+}
+
+/**
+ * Purchase token amount needed to buy an offer token amount at a timestamp,
+ * see FungibleOriginationPool.getPurchaseAmountFromOfferAmount
+ */
+function getPurchaseAmountFromOfferAmount(pool, offerAmount, timestamp) {
+  return mulDiv(offerAmount, getOfferTokenPrice(pool, timestamp), pool.offerTokenUnits);
+}
+
+/**
+ * Simulate a purchase at a timestamp, see FungibleOriginationPool._purchase
+ * Public purchases over the public max contribution amount and purchases over the total offering amount are partially refunded
+ * @param {Object} pool pool state
+ * @param {BigInt} contributionAmount contribution sent by the purchaser
+ * @param {BigInt} timestamp block timestamp of the purchase
+ * @param {Object} whitelist { maxContributionAmount, currentContribution } for whitelist purchases
+ * @param {BigInt} currentContribution contribution of the purchaser so far, for public purchases
+ * @returns {Object} { contributionAmount, offerTokenAmount, fee, refundAmount, saleEnded }
+ */
+function simulatePurchase(pool, contributionAmount, timestamp, whitelist, currentContribution = 0n) {
+  const amountSent = contributionAmount;
+  if (pool.paused) {
+    throw new PoolRevert("Pool paused");
+  }
+  if (whitelist !== undefined) {
+    if (!isWhitelistMintPeriod(pool, timestamp)) {
+      throw new PoolRevert("Not whitelist period");
+    }
+    // If contribution amount is exceeded invest as much as possible
+    if (whitelist.currentContribution + contributionAmount > whitelist.maxContributionAmount) {
+      contributionAmount = sub(whitelist.maxContributionAmount, whitelist.currentContribution);
+      if (contributionAmount == 0n) {
+        throw new PoolRevert("User has reached their max contribution amount");
+      }
+    }
+  } else if (!isPublicMintPeriod(pool, timestamp)) {
+    throw new PoolRevert("Not public mint period");
+  }
+  if (!pool.saleInitiated) {
+    throw new PoolRevert("Sale not open");
+  }
+  if (pool.saleCancelled) {
+    throw new PoolRevert("Sale cancelled");
+  }
+  if (timestamp > pool.saleEndTimestamp) {
+    throw new PoolRevert("Sale over");
+  }
+  if (contributionAmount < pool.minContributionAmount) {
+    throw new PoolRevert("Need to contribute at least min contribution amount");
+  }
+  // ETH sent must equal the contribution, so ETH whitelist purchases over the max contribution revert
+  if (pool.isEth && amountSent != contributionAmount) {
+    throw new PoolRevert("ETH sent is not equal to the contribution amount");
+  }
+
+  // Check if over the public max contribution amount
+  let refundAmount = 0n;
+  const maxContributionAmount = whitelist === undefined ? pool.publicMaxContributionAmount || 0n : 0n;
+  if (maxContributionAmount > 0n && currentContribution + contributionAmount > maxContributionAmount) {
+    if (currentContribution >= maxContributionAmount) {
+      throw new PoolRevert("User has reached their max contribution amount");
+    }
+    refundAmount = currentContribution + contributionAmount - maxContributionAmount;
+    contributionAmount -= refundAmount;
+  }
+
+  let offerTokenAmount = getCurrentMintAmount(pool, contributionAmount, timestamp);
+  let fee = mulDiv(contributionAmount, pool.originationFee, 10n ** 18n);
+
+  // Check if over the total offering amount
+  if (pool.offerTokenAmountSold + offerTokenAmount > pool.totalOfferingAmount) {
+    const refundAmountInOfferTokens = pool.offerTokenAmountSold + offerTokenAmount - pool.totalOfferingAmount;
+    const offeringRefundAmount = getPurchaseAmountFromOfferAmount(pool, refundAmountInOfferTokens, timestamp);
+    if (offeringRefundAmount >= contributionAmount) {
+      throw new PoolRevert("Refund should be smaller than contribution amount");
+    }
+    contributionAmount -= offeringRefundAmount;
+    refundAmount += offeringRefundAmount;
+    offerTokenAmount = pool.totalOfferingAmount - pool.offerTokenAmountSold;
+    fee = mulDiv(contributionAmount, pool.originationFee, 10n ** 18n);
+  }
+  // sales without reserve and vesting send the offer tokens on purchase
+  if (pool.vestingPeriod == 0n && pool.reserveAmount == 0n && offerTokenAmount == 0n) {
+    throw new PoolRevert("No purchase made");
+  }
+
+  return {
+    contributionAmount,
+    offerTokenAmount,
+    fee,
+    refundAmount,
+    saleEnded: pool.offerTokenAmountSold + offerTokenAmount == pool.totalOfferingAmount,
+  };
+}
+
+/**
+ * Apply a simulated purchase to the pool state
+ * @returns {Object} the new pool state
+ */
+function applyPurchase(pool, purchase, timestamp) {
+  const offerTokenAmountSold = pool.offerTokenAmountSold + purchase.offerTokenAmount;
+  return {
+    ...pool,
+    offerTokenAmountSold,
+    originationCoreFees: pool.originationCoreFees + purchase.fee,
+    saleEndTimestamp: purchase.saleEnded ? timestamp : pool.saleEndTimestamp,
+  };
+}
+
+/**
+ * Simulate a contribution withdrawal at a timestamp, see FungibleOriginationPool.withdrawContribution
+ * The contribution is refunded at the average price of the purchaser, the offer tokens kept are rounded down
+ * @param {Object} pool pool state
+ * @param {Object} position { contribution, offerTokenAmountPurchased } of the purchaser
+ * @param {BigInt} contributionAmount contribution to withdraw
+ * @param {BigInt} timestamp block timestamp of the withdrawal
+ * @returns {Object} { contributionAmount, offerTokenAmount, fee }
+ */
+function simulateWithdrawal(pool, { contribution, offerTokenAmountPurchased }, contributionAmount, timestamp) {
+  if (!isWithdrawalPeriod(pool, timestamp)) {
+    throw new PoolRevert("Not withdrawal period");
+  }
+  if (contributionAmount == 0n || contributionAmount > contribution) {
+    throw new PoolRevert("Invalid withdrawal amount");
+  }
+  const offerTokenAmount = offerTokenAmountPurchased - mulDiv(offerTokenAmountPurchased, contribution - contributionAmount, contribution);
+  const fee = mulDiv(contributionAmount, pool.originationFee, 10n ** 18n);
+  return { contributionAmount, offerTokenAmount, fee: fee > pool.originationCoreFees ? pool.originationCoreFees : fee };
+}
+
+/**
+ * Apply a simulated withdrawal to the pool state
+ * @returns {Object} the new pool state
+ */
+function applyWithdrawal(pool, withdrawal) {
+  return {
+    ...pool,
+    offerTokenAmountSold: pool.offerTokenAmountSold - withdrawal.offerTokenAmount,
+    originationCoreFees: pool.originationCoreFees - withdrawal.fee,
+  };
+}
+
+/**
+ * Claimable amount of a vesting entry at a timestamp, see FungibleOriginationPool.calculateClaimableVestedAmount
+ */
+function calculateClaimableVestedAmount(pool, tokenAmount, tokenAmountClaimed, timestamp) {
+  if (!(pool.saleEndTimestamp + pool.cliffPeriod < timestamp)) {
+    throw new PoolRevert("Not past cliff period");
+  }
+  const timeSinceInit = timestamp - pool.saleEndTimestamp;
+  return timeSinceInit >= pool.vestingPeriod
+    ? sub(tokenAmount, tokenAmountClaimed)
+    : sub(div(timeSinceInit * tokenAmount, pool.vestingPeriod), tokenAmountClaimed);
+}
+
+/**
+ * Read the state of a pool needed by the simulator
+ * @param {ethers.Contract} pool FungibleOriginationPool contract
+ * @param {Object} overrides call overrides, e.g. { blockTag }
+ * @returns {Object} pool state with BigInt values
+ */
+async function readPoolState(pool, overrides = {}) {
+  const erc20Abi = ["function decimals() view returns (uint8)"];
+  const big = async (name) => BigInt((await pool[name](overrides)).toString());
+
+  const offerToken = new ethers.Contract(await pool.offerToken(overrides), erc20Abi, pool.provider);
+  const purchaseTokenAddress = await pool.purchaseToken(overrides);
+  const purchaseDecimals =
+    purchaseTokenAddress == ethers.constants.AddressZero
+      ? 18
+      : await new ethers.Contract(purchaseTokenAddress, erc20Abi, pool.provider).decimals(overrides);
+
+  const state = {
+    offerTokenUnits: 10n ** BigInt(await offerToken.decimals(overrides)),
+    purchaseTokenUnits: 10n ** BigInt(purchaseDecimals),
+    saleInitiated: await pool.saleInitiated(overrides),
+    saleCancelled: await pool.saleCancelled(overrides),
+    paused: await pool.isPaused(overrides),
+    isEth: purchaseTokenAddress == ethers.constants.AddressZero,
+  };
+  for (const name of [
+    "publicStartingPrice",
+    "publicEndingPrice",
+    "whitelistStartingPrice",
+    "whitelistEndingPrice",
+    "publicSaleDuration",
+    "whitelistSaleDuration",
+    "totalOfferingAmount",
+    "reserveAmount",
+    "minContributionAmount",
+    "vestingPeriod",
+    "cliffPeriod",
+    "publicMaxContributionAmount",
+    "withdrawalPeriod",
+    "originationFee",
+    "saleInitiatedTimestamp",
+    "saleEndTimestamp",
+    "offerTokenAmountSold",
+    "originationCoreFees",
+  ]) {
+    state[name] = await big(name);
+  }
+  return state;
+}
+
+module.exports = {
+  PoolRevert,
+  mulDiv,
+  isWhitelistMintPeriod,
+  isPublicMintPeriod,
+  isWithdrawalPeriod,
+  getOfferTokenPrice,
+  getCurrentMintAmount,
+  getPurchaseAmountFromOfferAmount,
+  simulatePurchase,
+  applyPurchase,
+  simulateWithdrawal,
+  applyWithdrawal,
+  calculateClaimableVestedAmount,
+  readPoolState,
+};
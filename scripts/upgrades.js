@@ -0,0 +1,186 @@
+const fs = require("fs");
+const path = require("path");
+const { getContractVersion, getStorageLayout, getStorageUpgradeReport, withValidationDefaults } = require("@openzeppelin/upgrades-core");
+const { readValidations } = require("@openzeppelin/hardhat-upgrades/dist/utils/validations");
+const { IMPLEMENTATION_SLOT, readAddressSlot } = require("./deployment");
+
+/**
+ * Get the storage layout of a compiled contract from the hardhat-upgrades validations
+ * @param {*} hre hardhat runtime environment
+ * @param {String} contractName contract name
+ */
+async function getContractStorageLayout(hre, contractName) {
+  const validations = await readValidations(hre);
+  const runData = validations.log.find((run) => run[contractName] !== undefined);
+  if (runData === undefined) {
+    throw new Error(`No validations for ${contractName}, compile the contracts first`);
+  }
+  return getStorageLayout(validations, getContractVersion(runData, contractName));
+}
+
+/**
+ * Find the name of the compiled contract whose deployed bytecode matches the code at an address
+ * @returns {String} contract name, undefined if no artifact matches
+ */
+async function getDeployedContractName(hre, address) {
+  const code = await hre.ethers.provider.getCode(address);
+  for (const fullyQualifiedName of await hre.artifacts.getAllFullyQualifiedNames()) {
+    const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+    if (artifact.deployedBytecode == code) {
+      return artifact.contractName;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Compare the storage layouts of two contracts
+ * @returns {Object} { ok, explanation } explanation lists the incompatible slot changes
+ */
+async function compareStorageLayouts(hre, originalContractName, updatedContractName) {
+  const original = await getContractStorageLayout(hre, originalContractName);
+  const updated = await getContractStorageLayout(hre, updatedContractName);
+  const report = getStorageUpgradeReport(original, updated, withValidationDefaults({}));
+  return { ok: report.ok, explanation: report.ok ? "" : report.explain(false) };
+}
+
+/**
+ * Get the pools administered by an address, with their current implementation
+ * The pool creator administers the pool until it transfers the proxy ownership
+ * @param {*} hre hardhat runtime environment
+ * @param {ethers.Contract} originationCore OriginationCore contract
+ * @param {String} admin proxy admin address
+ * @param {Object} options { fromBlock } first block to look for listings
+ * @returns {Array} [{ pool, implementation }]
+ */
+async function getAdministeredPools(hre, originationCore, admin, { fromBlock = 0 } = {}) {
+  const proxyAdmin = await hre.ethers.getContractAt("OriginationProxyAdmin", await originationCore.proxyAdmin());
+  const admins = {};
+  for (const listing of await originationCore.queryFilter(originationCore.filters.CreateFungibleListing(), fromBlock)) {
+    admins[listing.args.pool] = listing.args.owner;
+  }
+  for (const transfer of await proxyAdmin.queryFilter(proxyAdmin.filters.ProxyOwnershipTransferred(), fromBlock)) {
+    if (admins[transfer.args.proxy] !== undefined) {
+      admins[transfer.args.proxy] = transfer.args.newOwner;
+    }
+  }
+
+  const pools = [];
+  for (const [pool, poolAdmin] of Object.entries(admins)) {
+    if (poolAdmin.toLowerCase() == admin.toLowerCase()) {
+      pools.push({ pool, implementation: await readAddressSlot(hre.ethers.provider, pool, IMPLEMENTATION_SLOT) });
+    }
+  }
+  return pools;
+}
+
+// contracts deployed behind proxies, their storage layouts are snapshotted in storage-layouts/
+const UPGRADEABLE_CONTRACTS = ["FungibleOriginationPool", "OriginationCore", "VestingEntryNFT"];
+const SNAPSHOT_DIR = path.join(__dirname, "..", "storage-layouts");
+
+/**
+ * Get the storage layout of a compiled contract with its slots and offsets, from the solc output
+ * Type ids are replaced by their labels so the layout doesn't depend on the ast ids
+ * @param {*} hre hardhat runtime environment
+ * @param {String} contractName contract name
+ * @returns {Array} [{ slot, offset, label, type, bytes, members }] ordered by slot
+ */
+async function getSlotLayout(hre, contractName) {
+  const { sourceName } = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { storage, types } = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+
+  // struct members are part of the layout, including structs stored in mappings and arrays
+  const describe = (typeId) => {
+    const type = types[typeId];
+    const description = { type: type.label, bytes: type.numberOfBytes };
+    if (type.members !== undefined) {
+      description.members = type.members.map((member) => ({
+        slot: member.slot,
+        offset: member.offset,
+        label: member.label,
+        ...describe(member.type),
+      }));
+    }
+    for (const key of ["value", "base"]) {
+      if (type[key] !== undefined) {
+        const inner = describe(type[key]);
+        if (inner.members !== undefined || inner.value !== undefined || inner.base !== undefined) {
+          description[key] = inner;
+        }
+      }
+    }
+    return description;
+  };
+
+  return storage.map((item) => ({
+    slot: item.slot,
+    offset: item.offset,
+    label: item.label,
+    ...describe(item.type),
+  }));
+}
+
+/**
+ * Diff a storage layout against a snapshot
+ * The layout is compatible if the snapshot is a prefix of it, i.e. variables were only appended
+ * @param {Array} snapshot snapshotted layout, see getSlotLayout
+ * @param {Array} layout current layout
+ * @returns {Object} { incompatible, appended } lists of slot changes
+ */
+function diffSlotLayouts(snapshot, layout) {
+  const format = (item) => `${item.label} (${item.type})`;
+  const sameType = (a, b) => {
+    const typeOf = ({ type, bytes, members, value, base }) => JSON.stringify({ type, bytes, members, value, base });
+    return typeOf(a) == typeOf(b);
+  };
+
+  const incompatible = [];
+  snapshot.forEach((item, i) => {
+    const current = layout[i];
+    const position = `slot ${item.slot} offset ${item.offset}`;
+    if (current === undefined) {
+      incompatible.push(`${position}: removed ${format(item)}`);
+    } else if (current.slot != item.slot || current.offset != item.offset) {
+      incompatible.push(`${position}: ${format(item)} moved to slot ${current.slot} offset ${current.offset}`);
+    } else if (current.label != item.label || !sameType(item, current)) {
+      const membersChanged = current.label == item.label && current.type == item.type ? " with different struct members" : "";
+      incompatible.push(`${position}: ${format(item)} replaced by ${format(current)}${membersChanged}`);
+    }
+  });
+  const appended = layout.slice(snapshot.length).map((item) => `slot ${item.slot} offset ${item.offset}: added ${format(item)}`);
+  return { incompatible, appended };
+}
+
+function getSnapshotPath(contractName) {
+  return path.join(SNAPSHOT_DIR, `${contractName}.json`);
+}
+
+/**
+ * Load the storage layout snapshot of a contract
+ * @returns {Array} snapshotted layout, undefined if there is no snapshot
+ */
+function loadStorageSnapshot(contractName) {
+  const snapshotPath = getSnapshotPath(contractName);
+  if (!fs.existsSync(snapshotPath)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(snapshotPath, "utf8")).storage;
+}
+
+function saveStorageSnapshot(contractName, layout) {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  fs.writeFileSync(getSnapshotPath(contractName), JSON.stringify({ contract: contractName, storage: layout }, null, 2) + "\n");
+}
+
+module.exports = {
+  UPGRADEABLE_CONTRACTS,
+  getContractStorageLayout,
+  getDeployedContractName,
+  compareStorageLayouts,
+  getAdministeredPools,
+  getSlotLayout,
+  diffSlotLayouts,
+  loadStorageSnapshot,
+  saveStorageSnapshot,
+};
@@ -0,0 +1,140 @@
+const { ethers } = require("ethers");
+
+// FungibleOriginationPool.MAX_SALE_DURATION
+const MAX_SALE_DURATION = 365 * 86400;
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+/**
+ * Validate sale params before creating a listing
+ * Errors mirror the requires of OriginationCore.createFungibleListing and FungibleOriginationPool.initialize
+ * and the sale params which make every purchase revert
+ * Warnings flag sales which can be created but are likely misconfigured
+ * @param {Object} saleParams IFungibleOriginationPool.SaleParams
+ * @param {Object} options
+ * @param {Number} options.offerDecimals offer token decimals
+ * @param {Number} options.purchaseDecimals purchase token decimals (18 for ETH)
+ * @param {String} options.whitelistMerkleRoot whitelist root which will be set on the pool
+ * @param {ethers.BigNumber} options.listingFee listing fee owed by the sponsor
+ * @param {ethers.BigNumber} options.value value sent with createFungibleListing
+ * @returns {Object} { errors, warnings } arrays of messages
+ */
+function validateSaleParams(saleParams, { offerDecimals, purchaseDecimals, whitelistMerkleRoot, listingFee, value } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  // OriginationCore.createFungibleListing
+  if (listingFee !== undefined && value !== undefined && !bn(value).eq(listingFee)) {
+    errors.push("Incorrect listing fee");
+  }
+  if (saleParams.offerToken.toLowerCase() == saleParams.purchaseToken.toLowerCase()) {
+    errors.push("Invalid offering: offer token is the same as purchase token");
+  }
+  if (bn(saleParams.vestingPeriod).lt(saleParams.cliffPeriod)) {
+    errors.push("Invalid vesting terms: vesting period is shorter than the cliff period");
+  }
+
+  // FungibleOriginationPool.initialize
+  if (saleParams.offerToken == ethers.constants.AddressZero) {
+    errors.push("Invalid offering: offer token must be an ERC-20 token");
+  }
+  if (bn(saleParams.publicSaleDuration).gt(MAX_SALE_DURATION)) {
+    errors.push("Invalid sale duration: public sale is longer than 365 days");
+  }
+  if (bn(saleParams.whitelistSaleDuration).gt(MAX_SALE_DURATION)) {
+    errors.push("Invalid whitelist sale duration: whitelist sale is longer than 365 days");
+  }
+  const withdrawalPeriod = bn(saleParams.withdrawalPeriod || 0);
+  if (withdrawalPeriod.gt(bn(saleParams.publicSaleDuration).add(saleParams.whitelistSaleDuration))) {
+    errors.push("Invalid withdrawal period: withdrawal period is longer than the sale");
+  }
+  if (withdrawalPeriod.gt(0) && bn(saleParams.reserveAmount).isZero()) {
+    errors.push("Withdrawals require a reserve amount");
+  }
+
+  // sale params which make purchases revert
+  const periods = [];
+  if (bn(saleParams.whitelistSaleDuration).gt(0)) {
+    periods.push({ name: "whitelist", startingPrice: bn(saleParams.whitelistStartingPrice), endingPrice: bn(saleParams.whitelistEndingPrice) });
+  }
+  if (bn(saleParams.publicSaleDuration).gt(0)) {
+    periods.push({ name: "public", startingPrice: bn(saleParams.publicStartingPrice), endingPrice: bn(saleParams.publicEndingPrice) });
+  }
+  if (periods.length == 0) {
+    errors.push("Invalid sale duration: both the whitelist and the public sale durations are 0");
+  }
+  for (const { name, startingPrice, endingPrice } of periods) {
+    if (startingPrice.isZero() || endingPrice.isZero()) {
+      errors.push(`Invalid ${name} sale price: prices must be positive`);
+    }
+  }
+  if (bn(saleParams.totalOfferingAmount).isZero()) {
+    errors.push("Invalid offering: total offering amount is 0");
+  }
+
+  if (errors.length > 0 || offerDecimals === undefined || purchaseDecimals === undefined) {
+    return { errors, warnings };
+  }
+
+  // sanity checks
+  const offerTokenUnits = bn(10).pow(offerDecimals);
+  const prices = periods.reduce((all, { startingPrice, endingPrice }) => all.concat([startingPrice, endingPrice]), []);
+  const maxPrice = prices.reduce((max, price) => (price.gt(max) ? price : max));
+
+  const maxRaise = bn(saleParams.totalOfferingAmount).mul(maxPrice).div(offerTokenUnits);
+  if (bn(saleParams.reserveAmount).gt(maxRaise)) {
+    warnings.push(
+      `Reserve amount ${ethers.utils.formatUnits(saleParams.reserveAmount, purchaseDecimals)} is above the maximum possible raise of ` +
+        `${ethers.utils.formatUnits(maxRaise, purchaseDecimals)}, the sale can't succeed`
+    );
+  }
+
+  const hasWhitelistRoot = whitelistMerkleRoot !== undefined && !bn(whitelistMerkleRoot).isZero();
+  if (bn(saleParams.whitelistSaleDuration).gt(0) && !hasWhitelistRoot) {
+    warnings.push("Whitelist sale duration is set but there is no whitelist merkle root, nobody can buy during the whitelist period");
+  }
+  if (bn(saleParams.whitelistSaleDuration).isZero() && hasWhitelistRoot) {
+    warnings.push("Whitelist merkle root is set but the whitelist sale duration is 0");
+  }
+  if (bn(saleParams.publicSaleDuration).isZero() && bn(saleParams.publicMaxContributionAmount || 0).gt(0)) {
+    warnings.push("Public max contribution amount is set but the public sale duration is 0");
+  }
+
+  // FungibleOriginationPool.minContributionAmount
+  const minContributionAmount = bn(10).pow(Math.floor(purchaseDecimals / 2));
+  if (minContributionAmount.mul(offerTokenUnits).div(maxPrice).isZero()) {
+    warnings.push(
+      `Minimum contribution of ${ethers.utils.formatUnits(minContributionAmount, purchaseDecimals)} purchase tokens buys 0 offer tokens at the highest price`
+    );
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate the origination core parameters before initializing it
+ * Mirrors the requires of OriginationCore.initialize
+ * @returns {Object} { errors, warnings } arrays of messages
+ */
+function validateCoreParams({ originationFee }) {
+  const errors = [];
+  if (bn(originationFee).gt(ethers.utils.parseEther("1"))) {
+    errors.push("Invalid origination fee: fee is above 100%");
+  }
+  return { errors, warnings: [] };
+}
+
+/**
+ * Print the warnings of a validation result and throw if it has errors
+ * @param {Object} result { errors, warnings } validation result
+ */
+function assertValid({ errors, warnings }) {
+  for (const warning of warnings) {
+    console.warn("warning:", warning);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid parameters:\n  ${errors.join("\n  ")}`);
+  }
+}
+
+module.exports = { MAX_SALE_DURATION, validateSaleParams, validateCoreParams, assertValid };
@@ -1,49 +1,129 @@
-const { ethers } = require("hardhat");
-const { verifyContractWithArgsAndName, verifyContractWithArgs, verifyContractNoArgs } = require("./helpers");
+const { ethers } = require("ethers");
+const { IMPLEMENTATION_SLOT, ADMIN_SLOT, POOL_DEPLOYER_SLOT, readAddressSlot } = require("./deployment");
 
-async function verify() {
-  const deployment = require("./deployment_goerli.json");
-  const [user] = await ethers.getSigners();
+const proxyInterface = new ethers.utils.Interface([
+  "event Upgraded(address indexed implementation)",
+  "event AdminChanged(address previousAdmin, address newAdmin)",
+]);
 
-  try {
-    await verifyContractNoArgs(deployment.originationPoolImpl);
-  } catch (err) {
-    console.log(err);
-  }
-  try {
-    await verifyContractNoArgs(deployment.originationCoreImpl);
-  } catch (err) {
-    console.log(err);
-  }
-  try {
-    await verifyContractNoArgs(deployment.xTokenManager);
-  } catch (err) {
-    console.log(err);
-  }
-  try {
-    await verifyContractNoArgs(deployment.originationProxyAdmin);
-  } catch (err) {
-    console.log(err);
-  }
+/**
+ * Get the constructor arguments of a TransparentUpgradeableProxy
+ * The initial implementation and admin are read from the events emitted by the proxy constructor,
+ * falling back to the current eip-1967 slots if the events are out of the block range
+ */
+async function getProxyConstructorArgs(provider, proxy, fromBlock, toBlock = "latest") {
+  const logs = await provider.getLogs({ address: proxy, fromBlock, toBlock });
+  const events = logs
+    .filter((log) => Object.values(proxyInterface.events).some((event) => proxyInterface.getEventTopic(event) == log.topics[0]))
+    .map((log) => proxyInterface.parseLog(log));
+  const upgraded = events.find((event) => event.name == "Upgraded");
+  const adminChanged = events.find((event) => event.name == "AdminChanged");
+  return [
+    upgraded !== undefined ? upgraded.args.implementation : await readAddressSlot(provider, proxy, IMPLEMENTATION_SLOT),
+    adminChanged !== undefined ? adminChanged.args.newAdmin : await readAddressSlot(provider, proxy, ADMIN_SLOT),
+  ];
+}
 
-  let originationCoreProxyName = "contracts/proxies/OriginationCoreProxy.sol:OriginationCoreProxy";
-  try {
-    await verifyContractWithArgsAndName(deployment.originationCore, originationCoreProxyName, deployment.originationCoreImpl, user.address);
-  } catch (err) {
-    console.log(err);
+/**
+ * Get every contract of a deployment to verify, with its fully qualified name and constructor arguments
+ * Pools and vesting entry nfts are found through the CreateFungibleListing events of origination core
+ * @param {*} hre hardhat runtime environment
+ * @param {Object} deployment deployment record, see loadDeployment
+ * @param {Object} options { fromBlock } first block to look for listings and proxy events
+ * @returns {Array} [{ name, address, contract, constructorArguments }]
+ */
+async function getVerificationTargets(hre, deployment, { fromBlock = 0 } = {}) {
+  const { artifacts } = hre;
+  const { provider } = hre.ethers;
+  const targets = [];
+  const add = async (name, address, contractName, constructorArguments = []) => {
+    const { sourceName } = await artifacts.readArtifact(contractName);
+    targets.push({ name, address, contract: `${sourceName}:${contractName}`, constructorArguments });
+  };
+
+  await add("originationPoolImpl", deployment.originationPoolImpl, "FungibleOriginationPool");
+  await add("originationCoreImpl", deployment.originationCoreImpl, "OriginationCore");
+  await add("vestingEntryNFTImpl", deployment.vestingEntryNFTImpl, "VestingEntryNFT");
+  await add("originationProxyAdmin", deployment.originationProxyAdmin, "OriginationProxyAdmin");
+  if (deployment.xTokenManager !== undefined) {
+    await add("xTokenManager", deployment.xTokenManager, "MockxTokenManager");
   }
 
-  try {
-    await verifyContractWithArgs(deployment.nftDeployer, deployment.vestingEntryNFTImpl);
-  } catch (err) {
-    console.log(err);
+  // the pool implementation may have been changed since, the constructor sets the first one
+  const poolDeployer = await hre.ethers.getContractAt("PoolDeployer", deployment.poolDeployer);
+  const [implementationSet] = await poolDeployer.queryFilter(poolDeployer.filters.FungibleOriginationPoolImplementationSet(), fromBlock);
+  await add("poolDeployer", deployment.poolDeployer, "PoolDeployer", [
+    implementationSet !== undefined ? implementationSet.args[0] : deployment.originationPoolImpl,
+  ]);
+  const nftDeployer = await hre.ethers.getContractAt("NFTDeployer", deployment.nftDeployer);
+  await add("nftDeployer", deployment.nftDeployer, "NFTDeployer", [await nftDeployer.vestingEntryNFTImplementation()]);
+  await add(
+    "originationCore",
+    deployment.originationCore,
+    "OriginationCoreProxy",
+    await getProxyConstructorArgs(provider, deployment.originationCore, fromBlock)
+  );
+
+  const originationCore = await hre.ethers.getContractAt("OriginationCore", deployment.originationCore);
+  for (const listing of await originationCore.queryFilter(originationCore.filters.CreateFungibleListing(), fromBlock)) {
+    const { pool } = listing.args;
+    const [implementation, proxyAdmin] = await getProxyConstructorArgs(provider, pool, listing.blockNumber, listing.blockNumber);
+    await add(`pool ${pool}`, pool, "FungibleOriginationPoolProxy", [
+      implementation,
+      proxyAdmin,
+      await readAddressSlot(provider, pool, POOL_DEPLOYER_SLOT),
+    ]);
+
+    const vestingEntryNFT = await (await hre.ethers.getContractAt("FungibleOriginationPool", pool)).vestingEntryNFT();
+    if (vestingEntryNFT != ethers.constants.AddressZero) {
+      await add(`vestingEntryNFT ${vestingEntryNFT}`, vestingEntryNFT, "VestingEntryNFTProxy", [
+        await readAddressSlot(provider, vestingEntryNFT, IMPLEMENTATION_SLOT),
+      ]);
+    }
   }
+  return targets;
+}
 
-  try {
-    await verifyContractNoArgs(deployment.vestingEntryNFTImpl);
-  } catch (err) {
-    console.log(err);
+/**
+ * Verify contracts on etherscan, retrying failures
+ * Contracts already verified count as verified
+ * @param {*} hre hardhat runtime environment
+ * @param {Array} targets contracts to verify, see getVerificationTargets
+ * @param {Object} options { retries, retryDelay } retries per contract and delay between them in ms
+ * @returns {Object} { verified, unverified } unverified targets have the last error
+ */
+async function verifyTargets(hre, targets, { retries = 3, retryDelay = 5000 } = {}) {
+  const verified = [];
+  const unverified = [];
+  for (const target of targets) {
+    let error;
+    for (let attempt = 0; attempt <= retries; ++attempt) {
+      if (attempt > 0) {
+        console.log(`retrying ${target.name} (${attempt}/${retries})`);
+        await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      }
+      try {
+        await hre.run("verify:verify", {
+          address: target.address,
+          contract: target.contract,
+          constructorArguments: target.constructorArguments,
+        });
+        error = undefined;
+      } catch (err) {
+        error = /already verified/i.test(err.message) ? undefined : err;
+      }
+      if (error === undefined) {
+        break;
+      }
+    }
+    if (error === undefined) {
+      verified.push(target);
+    } else {
+      console.warn(`failed to verify ${target.name} at ${target.address}: ${error.message}`);
+      unverified.push({ ...target, error: error.message });
+    }
   }
+  return { verified, unverified };
 }
 
-verify();
+module.exports = { getProxyConstructorArgs, getVerificationTargets, verifyTargets };
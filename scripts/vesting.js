@@ -0,0 +1,197 @@
+const { ethers } = require("ethers");
+const { PoolRevert, calculateClaimableVestedAmount } = require("./simulator");
+
+const DAY = 86400;
+
+const vestingEntryNFTAbi = [
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function tokenIdVestingAmounts(uint256 tokenId) view returns (uint256 tokenAmount, uint256 tokenAmountClaimed)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+];
+const erc20Abi = ["function decimals() view returns (uint8)", "function symbol() view returns (string)"];
+
+/**
+ * Get the ids of the vesting entry nfts a holder owns
+ * The nft isn't enumerable, the ids are found from the transfers to the holder
+ * @param {ethers.Contract} pool FungibleOriginationPool contract
+ * @param {String} holder holder address
+ * @param {Object} options { fromBlock, toBlock } block range of the nft transfers
+ * @returns {Array} nft ids as BigInt, ascending
+ */
+async function getHolderVestingIds(pool, holder, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const vestingEntryNFT = new ethers.Contract(await getVestingEntryNFT(pool), vestingEntryNFTAbi, pool.provider);
+  const transfers = await vestingEntryNFT.queryFilter(vestingEntryNFT.filters.Transfer(null, holder), fromBlock, toBlock);
+
+  const ids = [];
+  for (const id of new Set(transfers.map((event) => event.args.tokenId.toString()))) {
+    if ((await vestingEntryNFT.ownerOf(id, { blockTag: toBlock })) == ethers.utils.getAddress(holder)) {
+      ids.push(BigInt(id));
+    }
+  }
+  return ids.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Read the vesting terms of a pool and the amounts of vesting entries
+ * The schedule is provisional while the sale is running, it ends early if the offering sells out
+ * @param {ethers.Contract} pool FungibleOriginationPool contract
+ * @param {Array} nftIds vesting entry nft ids
+ * @param {Object} overrides call overrides, e.g. { blockTag }
+ * @returns {Object} { pool, offerSymbol, offerDecimals, saleEnded, saleEndTimestamp, cliffPeriod, vestingPeriod, entries }
+ * timestamps, periods and amounts are BigInt, entries are [{ id, owner, tokenAmount, tokenAmountClaimed }]
+ */
+async function readVestingSchedule(pool, nftIds, overrides = {}) {
+  const vestingEntryNFT = new ethers.Contract(await getVestingEntryNFT(pool, overrides), vestingEntryNFTAbi, pool.provider);
+  if (!(await pool.saleInitiated(overrides))) {
+    throw new Error("Sale not initiated");
+  }
+  if (await pool.saleCancelled(overrides)) {
+    throw new Error("Sale cancelled, vesting entries are void and contributions are refunded with claimTokens");
+  }
+  const big = async (name) => BigInt((await pool[name](overrides)).toString());
+  const offerToken = new ethers.Contract(await pool.offerToken(overrides), erc20Abi, pool.provider);
+
+  const schedule = {
+    pool: pool.address,
+    offerSymbol: await offerToken.symbol(overrides),
+    offerDecimals: await offerToken.decimals(overrides),
+    saleEndTimestamp: await big("saleEndTimestamp"),
+    cliffPeriod: await big("cliffPeriod"),
+    vestingPeriod: await big("vestingPeriod"),
+    entries: [],
+  };
+  const timestamp = BigInt((await pool.provider.getBlock(overrides.blockTag || "latest")).timestamp);
+  const soldOut = (await big("offerTokenAmountSold")) == (await big("totalOfferingAmount"));
+  schedule.saleEnded = timestamp > schedule.saleEndTimestamp || soldOut;
+  if (schedule.saleEnded && (await big("purchaseTokensAcquired")) < (await big("reserveAmount"))) {
+    throw new Error("Sale ended below the reserve amount, contributions are refunded with claimTokens instead of vesting");
+  }
+
+  for (const id of nftIds) {
+    const { tokenAmount, tokenAmountClaimed } = await vestingEntryNFT.tokenIdVestingAmounts(id, overrides);
+    if (tokenAmount.isZero()) {
+      throw new Error(`Vesting entry ${id} doesn't exist`);
+    }
+    schedule.entries.push({
+      id: BigInt(id),
+      owner: await vestingEntryNFT.ownerOf(id, overrides),
+      tokenAmount: BigInt(tokenAmount.toString()),
+      tokenAmountClaimed: BigInt(tokenAmountClaimed.toString()),
+    });
+  }
+  return schedule;
+}
+
+async function getVestingEntryNFT(pool, overrides = {}) {
+  const vestingEntryNFT = await pool.vestingEntryNFT(overrides);
+  if (vestingEntryNFT == ethers.constants.AddressZero) {
+    throw new Error(`Pool ${pool.address} has no vesting`);
+  }
+  return vestingEntryNFT;
+}
+
+/**
+ * Claimable amount of a vesting entry at a timestamp, 0 where claimVested would revert
+ * Uses the pool calculateClaimableVestedAmount formula, see scripts/simulator.js
+ */
+function getClaimableAmount(schedule, entry, timestamp) {
+  try {
+    return calculateClaimableVestedAmount(schedule, entry.tokenAmount, entry.tokenAmountClaimed, BigInt(timestamp));
+  } catch (err) {
+    if (err instanceof PoolRevert) {
+      return 0n;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Amount of a vesting entry unlocked at a timestamp, claimed or not
+ */
+function getUnlockedAmount(schedule, entry, timestamp) {
+  return getClaimableAmount(schedule, { ...entry, tokenAmountClaimed: 0n }, timestamp);
+}
+
+/**
+ * Claimable and unlocked amounts of all entries at the end of every UTC day
+ * from the day of a timestamp to the day the vesting ends
+ * @returns {Array} [{ date, timestamp, unlocked, claimable }] amounts summed over the entries
+ */
+function getDailyClaimable(schedule, fromTimestamp) {
+  const vestingEnd = Number(schedule.saleEndTimestamp + schedule.vestingPeriod);
+  const rows = [];
+  for (let dayStart = Math.floor(fromTimestamp / DAY) * DAY; dayStart <= vestingEnd; dayStart += DAY) {
+    const timestamp = dayStart + DAY - 1;
+    const sum = (amount) => schedule.entries.reduce((total, entry) => total + amount(schedule, entry, timestamp), 0n);
+    rows.push({
+      date: new Date(dayStart * 1000).toISOString().slice(0, 10),
+      timestamp,
+      unlocked: sum(getUnlockedAmount),
+      claimable: sum(getClaimableAmount),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Daily claimable amounts as csv, amounts in offer token units
+ */
+function dailyClaimableToCsv(schedule, rows) {
+  const format = (amount) => ethers.utils.formatUnits(amount, schedule.offerDecimals);
+  const lines = ["date,timestamp,unlocked,claimable"].concat(
+    rows.map(({ date, timestamp, unlocked, claimable }) => [date, timestamp, format(unlocked), format(claimable)].join(","))
+  );
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Unlock calendar of the entries in iCalendar format
+ * with an event when the entries become claimable after the cliff and one when they are fully vested
+ * @param {Object} schedule see readVestingSchedule
+ * @param {Number} timestamp creation timestamp of the calendar
+ */
+function vestingScheduleToIcs(schedule, timestamp) {
+  const format = (amount) => `${ethers.utils.formatUnits(amount, schedule.offerDecimals)} ${schedule.offerSymbol}`;
+  const icsDate = (seconds) =>
+    new Date(seconds * 1000)
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace(/\.\d{3}/, "");
+  const total = (amount, at) => schedule.entries.reduce((sum, entry) => sum + amount(schedule, entry, at), 0n);
+  const ids = schedule.entries.map(({ id }) => id.toString()).join(", ");
+  const provisional = schedule.saleEnded ? "" : " (provisional\\, the sale is running)";
+
+  const cliffEnd = Number(schedule.saleEndTimestamp + schedule.cliffPeriod) + 1;
+  const vestingEnd = Number(schedule.saleEndTimestamp + schedule.vestingPeriod);
+  const events = [
+    { uid: "cliff", start: cliffEnd, summary: `${format(total(getUnlockedAmount, cliffEnd))} unlocked and claimable` },
+    { uid: "vested", start: vestingEnd, summary: `${format(total(getUnlockedAmount, vestingEnd))} fully vested` },
+  ];
+
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Origination Terminal//Vesting calendar//EN", "CALSCALE:GREGORIAN"];
+  for (const { uid, start, summary } of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${schedule.pool.toLowerCase()}-${ids.replace(/, /g, "-")}-${uid}@origination-terminal`,
+      `DTSTAMP:${icsDate(timestamp)}`,
+      `DTSTART:${icsDate(start)}`,
+      `DTEND:${icsDate(start)}`,
+      `SUMMARY:${schedule.offerSymbol} vesting: ${summary}`,
+      `DESCRIPTION:Vesting entries ${ids.replace(/,/g, "\\,")} of pool ${schedule.pool}${provisional}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  // lines are folded at 75 characters
+  return lines.map((line) => line.match(/.{1,74}/g).join("\r\n ")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  getHolderVestingIds,
+  readVestingSchedule,
+  getClaimableAmount,
+  getUnlockedAmount,
+  getDailyClaimable,
+  dailyClaimableToCsv,
+  vestingScheduleToIcs,
+};
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+
+/**
+ * Get the whitelist merkle leaf of an address
+ * Matches the leaf checked in FungibleOriginationPool.whitelistPurchase:
+ * keccak256(abi.encodePacked(address, maxContributionAmount))
+ * @param {String} address whitelisted address
+ * @param {ethers.BigNumber} maxContributionAmount max contribution amount in purchase token units
+ * @returns {Buffer} leaf hash
+ */
+function getWhitelistLeaf(address, maxContributionAmount) {
+  return keccak256(ethers.utils.solidityPack(["address", "uint256"], [address, maxContributionAmount]));
+}
+
+/**
+ * Read raw whitelist entries from a csv or json file
+ * csv: one `address,maxContributionAmount` pair per line, optional header and # comments
+ * json: { address: amount } object or [{ address, maxContributionAmount }] array
+ * @param {String} file path to the whitelist file
+ * @returns {Array} entries as { address, amount, line }
+ */
+function readWhitelistEntries(file) {
+  const content = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file).toLowerCase() == ".json") {
+    const json = JSON.parse(content);
+    if (Array.isArray(json)) {
+      return json.map((entry, i) => ({ address: entry.address, amount: entry.maxContributionAmount, line: i + 1 }));
+    }
+    return Object.keys(json).map((address, i) => ({ address, amount: json[address], line: i + 1 }));
+  }
+
+  const entries = [];
+  content.split(/\r?\n/).forEach((row, i) => {
+    const line = row.trim();
+    if (line == "" || line.startsWith("#")) {
+      return;
+    }
+    const [address, amount] = line.split(",").map((cell) => cell.trim());
+    // skip the header row
+    if (entries.length == 0 && address.toLowerCase() == "address") {
+      return;
+    }
+    entries.push({ address, amount, line: i + 1 });
+  });
+  return entries;
+}
+
+/**
+ * Validate raw whitelist entries and scale the amounts to purchase token units
+ * Rejects invalid or badly checksummed addresses, duplicates and non-positive amounts
+ * @param {Array} entries raw entries as returned by readWhitelistEntries
+ * @param {Number} decimals purchase token decimals
+ * @returns {Object} checksummed address -> max contribution amount (BigNumber)
+ */
+function parseWhitelist(entries, decimals) {
+  const whitelist = {};
+  for (const { address, amount, line } of entries) {
+    let checksummed;
+    try {
+      checksummed = ethers.utils.getAddress(address);
+    } catch (err) {
+      throw new Error(`Invalid address ${address} at entry ${line}`);
+    }
+    if (whitelist[checksummed] !== undefined) {
+      throw new Error(`Duplicate address ${checksummed} at entry ${line}`);
+    }
+
+    let maxContributionAmount;
+    try {
+      maxContributionAmount = ethers.utils.parseUnits(String(amount), decimals);
+    } catch (err) {
+      throw new Error(`Invalid max contribution amount ${amount} for ${checksummed} at entry ${line}`);
+    }
+    if (maxContributionAmount.lte(0)) {
+      throw new Error(`Max contribution amount must be positive for ${checksummed} at entry ${line}`);
+    }
+    whitelist[checksummed] = maxContributionAmount;
+  }
+  if (Object.keys(whitelist).length == 0) {
+    throw new Error("Whitelist is empty");
+  }
+  return whitelist;
+}
+
+/**
+ * Build the whitelist merkle tree and the proof of every address
+ * @param {Object} whitelist address -> max contribution amount, as returned by parseWhitelist
+ * @returns {Object} { merkleRoot, claims: { address: { maxContributionAmount, proof } } }
+ */
+function buildWhitelistTree(whitelist) {
+  const addresses = Object.keys(whitelist);
+  const leaves = addresses.map((address) => getWhitelistLeaf(address, whitelist[address]));
+  const merkleTree = new MerkleTree(leaves, keccak256, {
+    sortLeaves: true,
+    sortPairs: true,
+  });
+
+  const claims = {};
+  addresses.forEach((address, i) => {
+    claims[address] = {
+      maxContributionAmount: whitelist[address].toString(),
+      proof: merkleTree.getHexProof(leaves[i]),
+    };
+  });
+
+  return { merkleRoot: merkleTree.getHexRoot(), claims };
+}
+
+module.exports = { getWhitelistLeaf, readWhitelistEntries, parseWhitelist, buildWhitelistTree };
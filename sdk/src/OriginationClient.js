@@ -0,0 +1,108 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const PoolClient = require("./PoolClient");
+const { ETH, toUnits, getTokenInfo } = require("./units");
+
+/**
+ * Client of OriginationCore for creating listings and querying the fees
+ */
+class OriginationClient {
+  /**
+   * @param {String} address origination core (proxy) address
+   * @param {Signer|Provider} signerOrProvider a signer to send transactions, a provider to read only
+   */
+  constructor(address, signerOrProvider) {
+    this.address = ethers.utils.getAddress(address);
+    this.contract = new ethers.Contract(this.address, abis.OriginationCore, signerOrProvider);
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : undefined;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+  }
+
+  /**
+   * Get the listing fee paid by a sponsor, the custom listing fee if enabled for the sponsor
+   * @param {String} sponsor sponsor address, the signer by default
+   * @returns {Promise<BigNumber>} listing fee in ETH
+   */
+  async getListingFee(sponsor) {
+    if (sponsor === undefined) {
+      sponsor = await this.signer.getAddress();
+    }
+    return (await this.contract.customListingFeeEnabled(sponsor))
+      ? await this.contract.customListingFee(sponsor)
+      : await this.contract.listingFee();
+  }
+
+  /**
+   * Get the fee taken from the purchase tokens raised by new listings
+   * @returns {Promise<BigNumber>} fee, 1e18 is 100%
+   */
+  async getOriginationFee() {
+    return this.contract.originationFee();
+  }
+
+  /**
+   * Convert listing params to IFungibleOriginationPool.SaleParams
+   * Prices, reserve and public max contribution amounts are scaled by the purchase token decimals,
+   * the total offering amount by the offer token decimals
+   * The purchase token is ETH if it is undefined or "ETH", ending prices default to the starting prices
+   * and durations are in seconds
+   * @param {Object} params SaleParams fields with human readable amounts or BigNumbers in token units
+   */
+  async toSaleParams(params) {
+    const purchaseTokenAddress =
+      params.purchaseToken === undefined || String(params.purchaseToken).toUpperCase() == "ETH" ? ETH : ethers.utils.getAddress(params.purchaseToken);
+    const [offerToken, purchaseToken] = await Promise.all([
+      getTokenInfo(ethers.utils.getAddress(params.offerToken), this.provider),
+      getTokenInfo(purchaseTokenAddress, this.provider),
+    ]);
+    const price = (value) => toUnits(value || 0, purchaseToken.decimals);
+
+    return {
+      offerToken: offerToken.address,
+      purchaseToken: purchaseToken.address,
+      publicStartingPrice: price(params.publicStartingPrice),
+      publicEndingPrice: price(params.publicEndingPrice !== undefined ? params.publicEndingPrice : params.publicStartingPrice),
+      whitelistStartingPrice: price(params.whitelistStartingPrice),
+      whitelistEndingPrice: price(params.whitelistEndingPrice !== undefined ? params.whitelistEndingPrice : params.whitelistStartingPrice),
+      publicSaleDuration: params.publicSaleDuration || 0,
+      whitelistSaleDuration: params.whitelistSaleDuration || 0,
+      totalOfferingAmount: toUnits(params.totalOfferingAmount, offerToken.decimals),
+      reserveAmount: price(params.reserveAmount),
+      vestingPeriod: params.vestingPeriod || 0,
+      cliffPeriod: params.cliffPeriod || 0,
+      publicMaxContributionAmount: price(params.publicMaxContributionAmount),
+      withdrawalPeriod: params.withdrawalPeriod || 0,
+    };
+  }
+
+  /**
+   * Create a fungible listing paying the listing fee of the signer
+   * @param {Object} params listing params, see toSaleParams
+   * @returns {Promise<Object>} { pool, receipt } with a PoolClient of the new pool
+   */
+  async createListing(params, overrides = {}) {
+    const saleParams = await this.toSaleParams(params);
+    const listingFee = await this.getListingFee();
+    const receipt = await (await this.contract.createFungibleListing(saleParams, { ...overrides, value: listingFee })).wait();
+    const event = receipt.events.find((e) => e.event === "CreateFungibleListing");
+    return { pool: this.pool(event.args.pool), receipt };
+  }
+
+  /**
+   * Get the pools created through origination core
+   * @returns {Promise<Array>} [{ pool, owner, blockNumber }]
+   */
+  async getPools(fromBlock = 0, toBlock = "latest") {
+    const events = await this.contract.queryFilter(this.contract.filters.CreateFungibleListing(), fromBlock, toBlock);
+    return events.map(({ args, blockNumber }) => ({ pool: args.pool, owner: args.owner, blockNumber }));
+  }
+
+  /**
+   * Get a client of a pool using the signer or provider of this client
+   */
+  pool(address) {
+    return new PoolClient(address, this.signer || this.provider);
+  }
+}
+
+module.exports = OriginationClient;
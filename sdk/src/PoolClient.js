@@ -0,0 +1,205 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { toUnits, getTokenInfo, ensureAllowance } = require("./units");
+const { readLifecycleState, getLifecycle } = require("./lifecycle");
+
+/**
+ * Client of a FungibleOriginationPool for sponsors and buyers
+ * Amounts are human readable strings or numbers scaled by the token decimals, or BigNumbers in token units
+ * Purchases send ETH when the purchase token is the zero address, or approve the erc20 purchase token first
+ */
+class PoolClient {
+  /**
+   * @param {String} address pool address
+   * @param {Signer|Provider} signerOrProvider a signer to send transactions, a provider to read only
+   */
+  constructor(address, signerOrProvider) {
+    this.address = ethers.utils.getAddress(address);
+    this.contract = new ethers.Contract(this.address, abis.FungibleOriginationPool, signerOrProvider);
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : undefined;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+  }
+
+  /**
+   * Get a client of the same pool sending transactions from another signer, token info is shared
+   */
+  connect(signer) {
+    const client = new PoolClient(this.address, signer);
+    client._tokens = this._tokens;
+    return client;
+  }
+
+  /**
+   * Get the offer and purchase tokens of the pool
+   * @returns {Promise<Object>} { offerToken, purchaseToken } with address, isEth, decimals and symbol
+   */
+  getTokens() {
+    if (this._tokens === undefined) {
+      this._tokens = (async () => {
+        const [offerToken, purchaseToken] = await Promise.all([this.contract.offerToken(), this.contract.purchaseToken()]);
+        return {
+          offerToken: await getTokenInfo(offerToken, this.provider),
+          purchaseToken: await getTokenInfo(purchaseToken, this.provider),
+        };
+      })();
+      // retry on the next call if reading the tokens failed
+      this._tokens.catch(() => (this._tokens = undefined));
+    }
+    return this._tokens;
+  }
+
+  async toPurchaseUnits(amount) {
+    return toUnits(amount, (await this.getTokens()).purchaseToken.decimals);
+  }
+
+  async toOfferUnits(amount) {
+    return toUnits(amount, (await this.getTokens()).offerToken.decimals);
+  }
+
+  /**
+   * Get the lifecycle state of the pool at the latest block and the actions each role can take, see getLifecycle
+   * @param {String} account optional buyer address to check the buyer claims against
+   */
+  async getLifecycle(account) {
+    const block = await this.provider.getBlock("latest");
+    const state = await readLifecycleState(this.contract, account, { blockTag: block.number });
+    return getLifecycle(state, block.timestamp);
+  }
+
+  /**
+   * Purchase offer tokens in the public sale
+   * @param {String|Number|BigNumber} contributionAmount amount of purchase tokens to contribute
+   */
+  async purchase(contributionAmount, overrides = {}) {
+    const amount = await this.toPurchaseUnits(contributionAmount);
+    return this.contract.purchase(amount, await this._payment(amount, overrides));
+  }
+
+  /**
+   * Purchase offer tokens in the whitelist sale
+   * The pool caps the contribution at the remaining max contribution of the buyer
+   * @param {String[]} merkleProof proof of the buyer, see whitelist:build
+   * @param {String|Number|BigNumber} contributionAmount amount of purchase tokens to contribute
+   * @param {BigNumber|String} maxContributionAmount max contribution of the buyer in the whitelist, in purchase token units
+   */
+  async whitelistPurchase(merkleProof, contributionAmount, maxContributionAmount, overrides = {}) {
+    const amount = await this.toPurchaseUnits(contributionAmount);
+    const contribution = await this._whitelistContribution(amount, ethers.BigNumber.from(maxContributionAmount));
+    return this.contract.whitelistPurchase(merkleProof, amount, maxContributionAmount, await this._payment(contribution, overrides));
+  }
+
+  /**
+   * Withdraw part or all of the contribution in the withdrawal period of a sale with a reserve
+   * The contribution is refunded at the buyer's average purchase price
+   * @param {String|Number|BigNumber} contributionAmount amount of purchase tokens to withdraw
+   */
+  async withdrawContribution(contributionAmount, overrides = {}) {
+    return this.contract.withdrawContribution(await this.toPurchaseUnits(contributionAmount), overrides);
+  }
+
+  /**
+   * Claim the offer tokens bought without vesting, or the refund of a sale which didn't reach the reserve or was cancelled
+   */
+  async claimTokens(overrides = {}) {
+    return this.contract.claimTokens(overrides);
+  }
+
+  /**
+   * Claim the vested offer tokens of vesting entry nfts owned by the signer
+   * @param {Array} nftIds vesting entry nft ids
+   */
+  async claimVested(nftIds, overrides = {}) {
+    return this.contract.claimVested(nftIds, overrides);
+  }
+
+  /**
+   * Start the sale, approving the total offering amount of offer tokens to the pool first
+   * Only the pool owner or manager can initiate the sale
+   */
+  async initiateSale(overrides = {}) {
+    await this._approveOffering();
+    return this.contract.initiateSale(overrides);
+  }
+
+  /**
+   * Fund the sale now and start it at a later timestamp, approving the total offering amount of offer tokens to the pool first
+   * Only the pool owner or manager can schedule the sale
+   * @param {Number|BigNumber} saleStartTimestamp timestamp in seconds, purchases are open after it
+   */
+  async scheduleSale(saleStartTimestamp, overrides = {}) {
+    await this._approveOffering();
+    return this.contract.scheduleSale(saleStartTimestamp, overrides);
+  }
+
+  /**
+   * Move the start of a scheduled sale, until the sale begins
+   * @param {Number|BigNumber} saleStartTimestamp timestamp in seconds, purchases are open after it
+   */
+  async rescheduleSale(saleStartTimestamp, overrides = {}) {
+    return this.contract.rescheduleSale(saleStartTimestamp, overrides);
+  }
+
+  /**
+   * End the sale immediately, contributors claim back their whole contribution with claimTokens
+   * and the offer tokens are returned to the owner
+   */
+  async cancelSale(overrides = {}) {
+    return this.contract.cancelSale(overrides);
+  }
+
+  /**
+   * Pause purchases and claims of offer tokens, refunds stay available
+   */
+  async pause(overrides = {}) {
+    return this.contract.pause(overrides);
+  }
+
+  /**
+   * Unpause the pool, purchases and claims stay blocked while the protocol is paused
+   */
+  async unpause(overrides = {}) {
+    return this.contract.unpause(overrides);
+  }
+
+  /**
+   * Set the whitelist merkle root, see whitelist:build
+   */
+  async setWhitelist(merkleRoot, overrides = {}) {
+    return this.contract.setWhitelist(merkleRoot, overrides);
+  }
+
+  async setManager(manager, overrides = {}) {
+    return this.contract.setManager(manager, overrides);
+  }
+
+  async _approveOffering() {
+    const { offerToken } = await this.getTokens();
+    await ensureAllowance(this.signer, offerToken.address, this.address, await this.contract.totalOfferingAmount());
+  }
+
+  /**
+   * Add the ETH value to the overrides of a purchase, or approve the erc20 purchase token
+   */
+  async _payment(amount, overrides) {
+    const { purchaseToken } = await this.getTokens();
+    if (purchaseToken.isEth) {
+      return { ...overrides, value: amount };
+    }
+    await ensureAllowance(this.signer, purchaseToken.address, this.address, amount);
+    return overrides;
+  }
+
+  /**
+   * Get the contribution the pool accepts in a whitelist purchase
+   * ETH purchases must send exactly the capped contribution
+   */
+  async _whitelistContribution(amount, maxContributionAmount) {
+    const currentContribution = await this.contract.purchaseTokenContribution(await this.signer.getAddress());
+    if (currentContribution.add(amount).gt(maxContributionAmount)) {
+      return maxContributionAmount.sub(currentContribution);
+    }
+    return amount;
+  }
+}
+
+module.exports = PoolClient;
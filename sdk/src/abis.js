@@ -0,0 +1,6 @@
+// abis of the contracts the clients call, written by sdk:build
+module.exports = {
+  OriginationCore: require("../abis/OriginationCore.json"),
+  FungibleOriginationPool: require("../abis/FungibleOriginationPool.json"),
+  VestingEntryNFT: require("../abis/VestingEntryNFT.json"),
+};
@@ -0,0 +1,182 @@
+import { BigNumber, BigNumberish, BytesLike, CallOverrides, ContractReceipt, ContractTransaction, Overrides, PayableOverrides, Signer } from "ethers";
+import { Provider } from "@ethersproject/providers";
+import { OriginationCore } from "../types/OriginationCore";
+import { FungibleOriginationPool } from "../types/FungibleOriginationPool";
+
+export * from "../types";
+
+/** Human readable amount ("1.5") scaled by the token decimals, or a BigNumber or bigint in token units */
+export type Amount = string | number | BigNumber | bigint;
+
+export interface TokenInfo {
+  address: string;
+  isEth: boolean;
+  decimals: number;
+  symbol: string;
+}
+
+export interface ListingParams {
+  offerToken: string;
+  /** erc20 address, ETH if undefined or "ETH" */
+  purchaseToken?: string;
+  publicStartingPrice?: Amount;
+  publicEndingPrice?: Amount;
+  whitelistStartingPrice?: Amount;
+  whitelistEndingPrice?: Amount;
+  /** seconds */
+  publicSaleDuration?: BigNumberish;
+  whitelistSaleDuration?: BigNumberish;
+  totalOfferingAmount: Amount;
+  reserveAmount?: Amount;
+  vestingPeriod?: BigNumberish;
+  cliffPeriod?: BigNumberish;
+  /** max contribution per address in the public sale, no cap if undefined or 0 */
+  publicMaxContributionAmount?: Amount;
+  /** seconds from the sale start in which contributors can withdraw, sales with a reserve only */
+  withdrawalPeriod?: BigNumberish;
+}
+
+export interface SaleParams {
+  offerToken: string;
+  purchaseToken: string;
+  publicStartingPrice: BigNumber;
+  publicEndingPrice: BigNumber;
+  whitelistStartingPrice: BigNumber;
+  whitelistEndingPrice: BigNumber;
+  publicSaleDuration: BigNumberish;
+  whitelistSaleDuration: BigNumberish;
+  totalOfferingAmount: BigNumber;
+  reserveAmount: BigNumber;
+  vestingPeriod: BigNumberish;
+  cliffPeriod: BigNumberish;
+  publicMaxContributionAmount: BigNumber;
+  withdrawalPeriod: BigNumberish;
+}
+
+export interface PoolListing {
+  pool: string;
+  owner: string;
+  blockNumber: number;
+}
+
+export enum LifecycleState {
+  NotStarted = "NotStarted",
+  Scheduled = "Scheduled",
+  Whitelist = "Whitelist",
+  Public = "Public",
+  EndedSuccess = "EndedSuccess",
+  EndedFailed = "EndedFailed",
+  Vesting = "Vesting",
+  FullyVested = "FullyVested",
+  SponsorSettled = "SponsorSettled",
+  Cancelled = "Cancelled",
+}
+
+export type AdminAction = "setWhitelist" | "initiateSale" | "scheduleSale" | "rescheduleSale" | "cancelSale" | "claimPurchaseToken" | "pause" | "unpause";
+export type OwnerAction = AdminAction | "setManager";
+export type BuyerAction = "whitelistPurchase" | "purchase" | "withdrawContribution" | "claimTokens" | "claimVested";
+
+export interface PoolLifecycleState {
+  saleInitiated: boolean;
+  saleCancelled: boolean;
+  sponsorTokensClaimed: boolean;
+  paused: boolean;
+  /** true if the origination core paused every pool */
+  corePaused: boolean;
+  vestingEntryNFT: string;
+  saleInitiatedTimestamp: number;
+  saleEndTimestamp: number;
+  whitelistSaleDuration: number;
+  publicSaleDuration: number;
+  vestingPeriod: number;
+  cliffPeriod: number;
+  withdrawalPeriod: number;
+  totalOfferingAmount: BigNumber;
+  offerTokenAmountSold: BigNumber;
+  reserveAmount: BigNumber;
+  purchaseTokensAcquired: BigNumber;
+  account?: {
+    address: string;
+    purchaseTokenContribution: BigNumber;
+    offerTokenAmountPurchased: BigNumber;
+    vestingEntries: BigNumber;
+  };
+}
+
+export interface Lifecycle {
+  state: LifecycleState;
+  /** first timestamp at which the state or the actions change by time alone */
+  nextChangeTimestamp?: number;
+  timestamps: {
+    saleStart?: number;
+    whitelistEnd?: number;
+    saleEnd?: number;
+    withdrawalEnd?: number;
+    cliffEnd?: number;
+    vestingEnd?: number;
+  };
+  /** true if the pool or the protocol is paused, buyers can only claim refunds */
+  paused: boolean;
+  actions: { owner: OwnerAction[]; manager: AdminAction[]; buyer: BuyerAction[] };
+}
+
+export function readLifecycleState(pool: FungibleOriginationPool, account?: string, overrides?: CallOverrides): Promise<PoolLifecycleState>;
+
+export function getLifecycle(state: PoolLifecycleState, timestamp: number): Lifecycle;
+
+export class PoolClient {
+  constructor(address: string, signerOrProvider: Signer | Provider);
+  readonly address: string;
+  readonly contract: FungibleOriginationPool;
+  readonly signer?: Signer;
+  readonly provider: Provider;
+  connect(signer: Signer): PoolClient;
+  getTokens(): Promise<{ offerToken: TokenInfo; purchaseToken: TokenInfo }>;
+  toPurchaseUnits(amount: Amount): Promise<BigNumber>;
+  toOfferUnits(amount: Amount): Promise<BigNumber>;
+  getLifecycle(account?: string): Promise<Lifecycle>;
+  purchase(contributionAmount: Amount, overrides?: PayableOverrides): Promise<ContractTransaction>;
+  whitelistPurchase(
+    merkleProof: BytesLike[],
+    contributionAmount: Amount,
+    maxContributionAmount: BigNumberish,
+    overrides?: PayableOverrides
+  ): Promise<ContractTransaction>;
+  withdrawContribution(contributionAmount: Amount, overrides?: Overrides): Promise<ContractTransaction>;
+  claimTokens(overrides?: Overrides): Promise<ContractTransaction>;
+  claimVested(nftIds: BigNumberish[], overrides?: Overrides): Promise<ContractTransaction>;
+  initiateSale(overrides?: Overrides): Promise<ContractTransaction>;
+  scheduleSale(saleStartTimestamp: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+  rescheduleSale(saleStartTimestamp: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+  cancelSale(overrides?: Overrides): Promise<ContractTransaction>;
+  pause(overrides?: Overrides): Promise<ContractTransaction>;
+  unpause(overrides?: Overrides): Promise<ContractTransaction>;
+  setWhitelist(merkleRoot: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+  setManager(manager: string, overrides?: Overrides): Promise<ContractTransaction>;
+}
+
+export class OriginationClient {
+  constructor(address: string, signerOrProvider: Signer | Provider);
+  readonly address: string;
+  readonly contract: OriginationCore;
+  readonly signer?: Signer;
+  readonly provider: Provider;
+  getListingFee(sponsor?: string): Promise<BigNumber>;
+  getOriginationFee(): Promise<BigNumber>;
+  toSaleParams(params: ListingParams): Promise<SaleParams>;
+  createListing(params: ListingParams, overrides?: Overrides): Promise<{ pool: PoolClient; receipt: ContractReceipt }>;
+  getPools(fromBlock?: number, toBlock?: number | string): Promise<PoolListing[]>;
+  pool(address: string): PoolClient;
+}
+
+export const abis: {
+  OriginationCore: any[];
+  FungibleOriginationPool: any[];
+  VestingEntryNFT: any[];
+};
+
+export const ETH: string;
+
+export function toUnits(amount: Amount, decimals: number): BigNumber;
+
+export function getTokenInfo(address: string, provider: Provider): Promise<TokenInfo>;
@@ -0,0 +1,7 @@
+const OriginationClient = require("./OriginationClient");
+const PoolClient = require("./PoolClient");
+const abis = require("./abis");
+const { LifecycleState, readLifecycleState, getLifecycle } = require("./lifecycle");
+const { ETH, toUnits, getTokenInfo } = require("./units");
+
+module.exports = { OriginationClient, PoolClient, abis, ETH, toUnits, getTokenInfo, LifecycleState, readLifecycleState, getLifecycle };
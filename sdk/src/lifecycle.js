@@ -0,0 +1,195 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+
+/**
+ * Lifecycle states of a FungibleOriginationPool
+ * NotStarted     the sale isn't initiated
+ * Scheduled      the sale is funded and starts at a later timestamp, it can be rescheduled until then
+ * Whitelist      whitelist sale period
+ * Public         public sale period
+ * EndedSuccess   the sale ended with the reserve met and no vesting, the sponsor hasn't claimed the purchase tokens
+ * EndedFailed    the sale ended below the reserve, contributors claim refunds and the sponsor the offer tokens
+ * Vesting        the sale ended with the reserve met and the offer tokens vest (cliff included)
+ * FullyVested    the vesting period is over, every vesting entry is claimable in full
+ * SponsorSettled the sponsor claimed the purchase tokens of a successful sale and no vesting is left
+ * Cancelled      the sponsor cancelled the sale, contributors claim refunds and vesting entries are void
+ * Pauses of the pool or the protocol don't change the state, they block the buyer actions but refunds and withdrawals
+ * Contributions can be withdrawn in the whitelist and public periods until the end of the withdrawal period
+ */
+const LifecycleState = Object.freeze({
+  NotStarted: "NotStarted",
+  Scheduled: "Scheduled",
+  Whitelist: "Whitelist",
+  Public: "Public",
+  EndedSuccess: "EndedSuccess",
+  EndedFailed: "EndedFailed",
+  Vesting: "Vesting",
+  FullyVested: "FullyVested",
+  SponsorSettled: "SponsorSettled",
+  Cancelled: "Cancelled",
+});
+
+/**
+ * Read the pool state the lifecycle depends on
+ * @param {ethers.Contract} pool FungibleOriginationPool contract
+ * @param {String} account optional buyer address to read the claimable positions of
+ * @param {Object} overrides call overrides, e.g. { blockTag }
+ */
+async function readLifecycleState(pool, account, overrides = {}) {
+  const state = {};
+  for (const name of ["saleInitiated", "saleCancelled", "sponsorTokensClaimed", "paused", "vestingEntryNFT"]) {
+    state[name] = await pool[name](overrides);
+  }
+  const originationCore = new ethers.Contract(await pool.originationCore(overrides), abis.OriginationCore, pool.provider);
+  state.corePaused = await originationCore.paused(overrides);
+  for (const name of [
+    "saleInitiatedTimestamp",
+    "saleEndTimestamp",
+    "whitelistSaleDuration",
+    "publicSaleDuration",
+    "vestingPeriod",
+    "cliffPeriod",
+    "withdrawalPeriod",
+  ]) {
+    state[name] = (await pool[name](overrides)).toNumber();
+  }
+  for (const name of ["totalOfferingAmount", "offerTokenAmountSold", "reserveAmount", "purchaseTokensAcquired"]) {
+    state[name] = await pool[name](overrides);
+  }
+
+  if (account !== undefined) {
+    state.account = {
+      address: ethers.utils.getAddress(account),
+      purchaseTokenContribution: await pool.purchaseTokenContribution(account, overrides),
+      offerTokenAmountPurchased: await pool.offerTokenAmountPurchased(account, overrides),
+      vestingEntries: ethers.constants.Zero,
+    };
+    if (state.vestingEntryNFT != ethers.constants.AddressZero) {
+      const vestingEntryNFT = new ethers.Contract(state.vestingEntryNFT, abis.VestingEntryNFT, pool.provider);
+      state.account.vestingEntries = await vestingEntryNFT.balanceOf(account, overrides);
+    }
+  }
+  return state;
+}
+
+/**
+ * Get the lifecycle state of a pool at a timestamp, when it changes next and the actions each role can take
+ * Roles are owner (sponsor), manager and buyer, the manager can take every owner action but setManager.
+ * Buyer claims are only checked against the buyer position if the state was read with an account
+ * @param {Object} state pool state, see readLifecycleState
+ * @param {Number} timestamp block timestamp
+ * @returns {Object} { state, nextChangeTimestamp, timestamps, paused, actions: { owner, manager, buyer } }
+ * nextChangeTimestamp is the first timestamp at which the state or the actions change by time alone,
+ * undefined if they only change with a transaction. paused is true if the pool or the protocol is paused
+ */
+function getLifecycle(state, timestamp) {
+  const timestamps = {};
+  if (state.saleInitiated) {
+    timestamps.saleStart = state.saleInitiatedTimestamp;
+    timestamps.whitelistEnd = state.saleInitiatedTimestamp + state.whitelistSaleDuration;
+    timestamps.saleEnd = state.saleEndTimestamp;
+    if (state.withdrawalPeriod > 0) {
+      timestamps.withdrawalEnd = state.saleInitiatedTimestamp + state.withdrawalPeriod;
+    }
+    if (state.vestingPeriod > 0) {
+      timestamps.cliffEnd = state.saleEndTimestamp + state.cliffPeriod;
+      timestamps.vestingEnd = state.saleEndTimestamp + state.vestingPeriod;
+    }
+  }
+
+  const soldOut = state.offerTokenAmountSold.eq(state.totalOfferingAmount);
+  const ended = state.saleInitiated && (state.saleCancelled || timestamp > state.saleEndTimestamp || soldOut);
+  const reserveMet = state.purchaseTokensAcquired.gte(state.reserveAmount);
+  // purchase tokens of pools without vesting and reserve are claimable during the sale
+  const instant = state.vestingPeriod == 0 && state.reserveAmount.isZero();
+  const paused = state.paused || state.corePaused;
+
+  let lifecycleState, nextChangeTimestamp;
+  if (!state.saleInitiated) {
+    lifecycleState = LifecycleState.NotStarted;
+  } else if (state.saleCancelled) {
+    lifecycleState = LifecycleState.Cancelled;
+  } else if (timestamp <= state.saleInitiatedTimestamp) {
+    // purchases are open after the start, the pool doesn't sell in the block the sale is initiated
+    lifecycleState = LifecycleState.Scheduled;
+    nextChangeTimestamp = state.saleInitiatedTimestamp + 1;
+  } else if (!ended) {
+    lifecycleState = timestamp <= timestamps.whitelistEnd && state.whitelistSaleDuration > 0 ? LifecycleState.Whitelist : LifecycleState.Public;
+    nextChangeTimestamp = (lifecycleState == LifecycleState.Whitelist ? timestamps.whitelistEnd : state.saleEndTimestamp) + 1;
+    if (timestamp <= timestamps.withdrawalEnd) {
+      nextChangeTimestamp = Math.min(nextChangeTimestamp, timestamps.withdrawalEnd + 1);
+    }
+  } else if (!reserveMet) {
+    lifecycleState = LifecycleState.EndedFailed;
+  } else if (state.vestingPeriod > 0 && timestamp < timestamps.vestingEnd) {
+    lifecycleState = LifecycleState.Vesting;
+    // entries become claimable after the cliff
+    nextChangeTimestamp = timestamp <= timestamps.cliffEnd ? timestamps.cliffEnd + 1 : timestamps.vestingEnd;
+  } else if (state.sponsorTokensClaimed) {
+    lifecycleState = LifecycleState.SponsorSettled;
+  } else {
+    lifecycleState = state.vestingPeriod > 0 ? LifecycleState.FullyVested : LifecycleState.EndedSuccess;
+  }
+
+  const admin = [];
+  if (!state.saleInitiated) {
+    admin.push("setWhitelist", "initiateSale", "scheduleSale");
+  } else if (lifecycleState == LifecycleState.Scheduled) {
+    admin.push("rescheduleSale");
+  } else if (!state.sponsorTokensClaimed && (ended || instant) && (!paused || lifecycleState == LifecycleState.EndedFailed)) {
+    // the proceeds aren't paid out while paused, the offer tokens of sales below the reserve are
+    admin.push("claimPurchaseToken");
+  }
+  // sales without vesting and reserve distribute the offer tokens on purchase and can't be cancelled
+  if (state.saleInitiated && !ended && !instant) {
+    admin.push("cancelSale");
+  }
+  // pauses don't block refunds, there is nothing to pause once they are the only buyer action
+  const refunding = lifecycleState == LifecycleState.EndedFailed || lifecycleState == LifecycleState.Cancelled;
+  if (state.paused) {
+    admin.push("unpause");
+  } else if (state.saleInitiated && !refunding) {
+    admin.push("pause");
+  }
+
+  const buyer = [];
+  const account = state.account;
+  if (lifecycleState == LifecycleState.Whitelist) {
+    buyer.push("whitelistPurchase");
+  } else if (lifecycleState == LifecycleState.Public) {
+    buyer.push("purchase");
+  } else if (refunding) {
+    if (account === undefined || account.purchaseTokenContribution.gt(0)) {
+      buyer.push("claimTokens");
+    }
+  } else if (ended && state.vestingPeriod == 0) {
+    // without reserve the offer tokens are sent on purchase
+    if (!instant && (account === undefined || account.offerTokenAmountPurchased.gt(0))) {
+      buyer.push("claimTokens");
+    }
+  } else if (ended && timestamp > timestamps.cliffEnd) {
+    if (account === undefined || account.vestingEntries.gt(0)) {
+      buyer.push("claimVested");
+    }
+  }
+  // contributions can be withdrawn during the withdrawal period, even while paused
+  const withdrawal = (lifecycleState == LifecycleState.Whitelist || lifecycleState == LifecycleState.Public) && timestamp <= timestamps.withdrawalEnd;
+  if (withdrawal && (account === undefined || account.purchaseTokenContribution.gt(0))) {
+    buyer.push("withdrawContribution");
+  }
+
+  return {
+    state: lifecycleState,
+    nextChangeTimestamp,
+    timestamps,
+    paused,
+    // purchases and claims of offer tokens are blocked while paused, refunds and withdrawals aren't
+    actions: {
+      owner: admin.concat(["setManager"]),
+      manager: admin,
+      buyer: paused && !refunding ? buyer.filter((action) => action == "withdrawContribution") : buyer,
+    },
+  };
+}
+
+module.exports = { LifecycleState, readLifecycleState, getLifecycle };
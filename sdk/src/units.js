@@ -0,0 +1,55 @@
+const { ethers } = require("ethers");
+
+const ETH = ethers.constants.AddressZero;
+
+// the subset of erc20 the clients call
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/**
+ * Scale an amount to token units
+ * Strings and numbers are human readable amounts ("1.5"), BigNumbers and bigints are already in token units
+ * @param {String|Number|BigNumber|BigInt} amount
+ * @param {Number} decimals token decimals
+ * @returns {BigNumber}
+ */
+function toUnits(amount, decimals) {
+  if (ethers.BigNumber.isBigNumber(amount) || typeof amount == "bigint") {
+    return ethers.BigNumber.from(amount);
+  }
+  if (typeof amount == "number" || typeof amount == "string") {
+    return ethers.utils.parseUnits(String(amount), decimals);
+  }
+  throw new Error(`Invalid amount ${amount}`);
+}
+
+/**
+ * Get the address, decimals and symbol of a token, the zero address is ETH
+ */
+async function getTokenInfo(address, provider) {
+  if (address == ETH) {
+    return { address, isEth: true, decimals: 18, symbol: "ETH" };
+  }
+  const token = new ethers.Contract(address, ERC20_ABI, provider);
+  const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+  return { address, isEth: false, decimals, symbol };
+}
+
+/**
+ * Approve a spender for an amount of an erc20 token if the allowance of the signer is lower
+ * Waits for the approval to be mined so the following call can spend it
+ */
+async function ensureAllowance(signer, tokenAddress, spender, amount) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const allowance = await token.allowance(await signer.getAddress(), spender);
+  if (allowance.lt(amount)) {
+    await (await token.approve(spender, amount)).wait();
+  }
+}
+
+module.exports = { ETH, ERC20_ABI, toUnits, getTokenInfo, ensureAllowance };
@@ -0,0 +1,32 @@
+const { task } = require("hardhat/config");
+const { getDeployConfig, loadDeployment } = require("../scripts/deployment");
+const { checkDeployment } = require("../scripts/healthCheck");
+
+/**
+ * Check the ownership, proxy and implementation wiring and the fees of deployments/<network>.json on-chain
+ * Fails listing the checks which don't match the record or the deployment config
+ */
+task("deployment:check", "Checks the on-chain wiring of the recorded contracts of a network")
+  .setAction(async (_, hre) => {
+    const { network } = hre;
+    const deployment = loadDeployment(network.name);
+    if (deployment.originationCore === undefined) {
+      throw new Error(`No origination core recorded for ${network.name}`);
+    }
+
+    const checks = await checkDeployment(hre, deployment, getDeployConfig(network.name));
+    for (const { name, ok, expected, actual, info } of checks) {
+      if (info) {
+        console.log(`INFO ${name}: ${actual}`);
+      } else {
+        console.log(ok ? `PASS ${name}` : `FAIL ${name}: expected ${expected}, got ${actual}`);
+      }
+    }
+
+    const failed = checks.filter(({ ok }) => !ok);
+    if (failed.length > 0) {
+      throw new Error(`${failed.length}/${checks.length} deployment checks failed on ${network.name}`);
+    }
+    console.log(`all ${checks.length} deployment checks passed on ${network.name}`);
+    return checks;
+  });
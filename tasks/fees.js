@@ -0,0 +1,58 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/deployment");
+const { createIndex, loadIndex, saveIndex, runIndexer } = require("../scripts/indexer");
+const { getFeeTokens, getFeeBalances, sweepFees, appendLedger } = require("../scripts/fees");
+
+/**
+ * Claim the origination core fees in ETH and in the purchase token of every pool, as the revenue controller
+ * The pools are read from the event index, which is updated first
+ */
+task("fees:sweep", "Claims the origination core fees in ETH and every pool purchase token and records them in a ledger")
+  .addOptionalParam("core", "origination core address, defaults to the one in deployments/<network>.json")
+  .addOptionalParam("db", "event index path, defaults to index/<chainId>.json")
+  .addOptionalParam("fromBlock", "first block to index if the index doesn't exist, e.g. the core deployment block", 0, types.int)
+  .addOptionalParam("confirmations", "blocks rescanned by the indexer to pick up reorgs", 12, types.int)
+  .addOptionalParam("ledger", "fee collection ledger json file", "fee-ledger.json")
+  .addFlag("dryRun", "only print the claims")
+  .setAction(async ({ core, db, fromBlock, confirmations, ledger, dryRun }, hre) => {
+    const { ethers, network } = hre;
+    const [signer] = await ethers.getSigners();
+
+    if (core === undefined) {
+      core = loadDeployment(network.name).originationCore;
+      if (core === undefined) {
+        throw new Error(`No origination core recorded for ${network.name}`);
+      }
+    }
+    const { chainId } = await ethers.provider.getNetwork();
+    const dbPath = db || path.join("index", `${chainId}.json`);
+
+    let index = loadIndex(dbPath);
+    if (index === undefined) {
+      index = createIndex(core, fromBlock, chainId);
+    } else if (index.chainId != chainId || index.core != ethers.utils.getAddress(core)) {
+      throw new Error(`Index ${dbPath} was built for core ${index.core} on chain ${index.chainId}`);
+    }
+    await runIndexer(ethers.provider, index, { confirmations });
+    saveIndex(dbPath, index);
+
+    const tokens = getFeeTokens(index);
+    console.log(`${Object.keys(index.poolInfo).length} pools indexed up to block ${index.lastIndexedBlock}, ${tokens.length} fee tokens`);
+    const balances = await getFeeBalances(ethers.provider, index.core, tokens);
+
+    const originationCore = await ethers.getContractAt("OriginationCore", index.core, signer);
+    const claims = await sweepFees(originationCore, balances, { dryRun });
+    for (const { symbol, decimals, amount, status, error } of claims) {
+      console.log(`${symbol}: ${ethers.utils.formatUnits(amount, decimals)} ${status}${error !== undefined ? ` (${error})` : ""}`);
+    }
+    if (claims.length == 0) {
+      console.log("no fees to claim");
+    }
+
+    if (!dryRun) {
+      const entries = appendLedger(ledger, claims, { chainId, core: index.core, collector: signer.address, timestamp: new Date().toISOString() });
+      console.log(`recorded ${entries.length} claims in ${ledger}`);
+    }
+    return claims;
+  });
@@ -0,0 +1,76 @@
+const { task } = require("hardhat/config");
+const { loadSaleSpec, parseTimestamp, getSaleParams, getPurchaseTokenAddress } = require("../scripts/listing");
+const { loadDeployment } = require("../scripts/deployment");
+const { validateSaleParams, assertValid } = require("../scripts/validation");
+
+/**
+ * Create a fungible listing from a sale spec, then set the whitelist and manager,
+ * approve the offer tokens and initiate the sale, or schedule it if the spec has a saleStart
+ */
+task("listing:create", "Creates, funds and initiates a fungible token sale from a yaml or json spec")
+  .addParam("spec", "yaml or json sale spec")
+  .addOptionalParam("core", "origination core address, defaults to the one in deployments/<network>.json")
+  .addFlag("noInitiate", "only create and configure the pool, without initiating the sale")
+  .setAction(async ({ spec: specFile, core, noInitiate }, { ethers, network }) => {
+    const [sponsor] = await ethers.getSigners();
+    const spec = loadSaleSpec(specFile);
+
+    if (core === undefined) {
+      core = loadDeployment(network.name).originationCore;
+      if (core === undefined) {
+        throw new Error(`No origination core recorded for ${network.name}`);
+      }
+    }
+    const originationCore = await ethers.getContractAt("OriginationCore", core);
+
+    const offerToken = await ethers.getContractAt("IERC20Metadata", spec.offerToken);
+    const offerDecimals = await offerToken.decimals();
+    const purchaseToken = getPurchaseTokenAddress(spec.purchaseToken);
+    const purchaseDecimals =
+      purchaseToken == ethers.constants.AddressZero ? 18 : await (await ethers.getContractAt("IERC20Metadata", purchaseToken)).decimals();
+    const saleParams = getSaleParams(spec, offerDecimals, purchaseDecimals);
+    assertValid(validateSaleParams(saleParams, { offerDecimals, purchaseDecimals, whitelistMerkleRoot: spec.whitelist }));
+    const saleStart = spec.saleStart !== undefined ? parseTimestamp(spec.saleStart) : undefined;
+    if (saleStart !== undefined && saleStart < (await ethers.provider.getBlock("latest")).timestamp) {
+      throw new Error(`Sale start ${new Date(saleStart * 1000).toISOString()} is in the past`);
+    }
+
+    // pay the custom listing fee if enabled for the sponsor
+    const listingFee = (await originationCore.customListingFeeEnabled(sponsor.address))
+      ? await originationCore.customListingFee(sponsor.address)
+      : await originationCore.listingFee();
+    console.log("creating listing on", network.name, "with listing fee", ethers.utils.formatEther(listingFee));
+
+    const receipt = await (await originationCore.createFungibleListing(saleParams, { value: listingFee })).wait();
+    const eventListing = receipt.events.find((e) => e.event === "CreateFungibleListing");
+    const poolAddress = eventListing.args.pool;
+    console.log("created origination pool at", poolAddress);
+
+    const originationPool = await ethers.getContractAt("FungibleOriginationPool", poolAddress);
+    if (spec.whitelist !== undefined) {
+      await (await originationPool.setWhitelist(spec.whitelist)).wait();
+      console.log("set whitelist merkle root", spec.whitelist);
+    }
+    if (spec.manager !== undefined) {
+      await (await originationPool.setManager(spec.manager)).wait();
+      console.log("set pool manager", spec.manager);
+    }
+
+    const initiateSale = !noInitiate && spec.initiateSale !== false;
+    if (initiateSale) {
+      const allowance = await offerToken.allowance(sponsor.address, poolAddress);
+      if (allowance.lt(saleParams.totalOfferingAmount)) {
+        await (await offerToken.approve(poolAddress, saleParams.totalOfferingAmount)).wait();
+      }
+      const offering = `${ethers.utils.formatUnits(saleParams.totalOfferingAmount, offerDecimals)} offer tokens`;
+      if (saleStart !== undefined) {
+        await (await originationPool.scheduleSale(saleStart)).wait();
+        console.log("scheduled sale of", offering, "starting at", new Date(saleStart * 1000).toISOString());
+      } else {
+        await (await originationPool.initiateSale()).wait();
+        console.log("initiated sale of", offering);
+      }
+    }
+
+    return { pool: poolAddress, saleParams, saleInitiated: initiateSale, saleStart };
+  });
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { getDeployConfig, loadDeployment } = require("../scripts/deployment");
+const { buildSafeBatch, simulateSafeBatch } = require("../scripts/safe");
+
+/**
+ * Write a Gnosis Safe Transaction Builder batch of protocol admin operations
+ * for the contracts of deployments/<network>.json
+ * e.g. npx hardhat safe:batch --network polygon "setListingFee 0.1" "claimFees ETH" --simulate
+ */
+task("safe:batch", "Writes a Safe Transaction Builder batch of admin operations")
+  .addVariadicPositionalParam("commands", "admin commands, e.g. \"setListingFee 0.1\" \"claimFees ETH\"")
+  .addOptionalParam("out", "output json file", "safe-batch.json")
+  .addOptionalParam("safe", "safe address, defaults to the multisig of the deployment config")
+  .addOptionalParam("name", "batch name", "Origination admin batch")
+  .addFlag("simulate", "simulate the batch on a local fork of the network")
+  .addOptionalParam("fork", "rpc url of the local fork", "http://127.0.0.1:8545", types.string)
+  .setAction(async ({ commands, out, safe, name, simulate, fork }, hre) => {
+    const { network } = hre;
+    const deployment = loadDeployment(network.name);
+    if (safe === undefined) {
+      safe = getDeployConfig(network.name).multisig;
+      if (safe === undefined) {
+        throw new Error(`No multisig configured for ${network.name}, set --safe`);
+      }
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const batch = await buildSafeBatch(hre, deployment, commands, { chainId, safe, name });
+    fs.writeFileSync(out, JSON.stringify(batch, null, 2) + "\n");
+    console.log(`wrote ${batch.transactions.length} transactions for safe ${safe} to ${out}`);
+
+    if (!simulate) {
+      return { batch };
+    }
+    const provider = new ethers.providers.JsonRpcProvider(fork);
+    const simulation = await simulateSafeBatch(hre, provider, deployment, commands, batch);
+    for (const { method, success, error } of simulation.results) {
+      console.log(`${method}: ${success ? "ok" : `reverted (${error})`}`);
+    }
+    console.log("state diff:");
+    for (const [stateName, [before, after]] of Object.entries(simulation.diff)) {
+      console.log(`  ${stateName}: ${before} -> ${after}`);
+    }
+    return { batch, simulation };
+  });
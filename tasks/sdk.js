@@ -0,0 +1,18 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { SDK_DIR, getSdkAbis, saveSdkAbis, generateSdkTypes } = require("../scripts/sdk");
+
+/**
+ * Build the sdk package: write the abis of the contracts it calls to sdk/abis
+ * and generate the typechain types of all contracts in sdk/types
+ */
+task("sdk:build", "Writes the sdk abis and generates the typechain types of the contracts")
+  .setAction(async (_, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    saveSdkAbis(await getSdkAbis(hre));
+    console.log("wrote abis to", path.join(SDK_DIR, "abis"));
+
+    generateSdkTypes(hre.config.paths.root);
+    console.log("generated typechain types in", path.join(SDK_DIR, "types"));
+  });
@@ -0,0 +1,31 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { buildSettlementReport, formatSettlementReport, settlementReportToCsv } = require("../scripts/settlement");
+
+/**
+ * Export the settlement of a pool per contributor as csv and json
+ * The report is rebuilt from the pool events and reconciled with the pool storage
+ */
+task("report:settlement", "Exports the per contributor settlement of a pool and reconciles it with the pool storage")
+  .addParam("pool", "origination pool address")
+  .addOptionalParam("out", "output file path without extension, defaults to settlement-<pool>")
+  .addOptionalParam("fromBlock", "first block of the pool events, e.g. the pool creation block", 0, types.int)
+  .setAction(async ({ pool, out, fromBlock }, { ethers }) => {
+    const originationPool = await ethers.getContractAt("FungibleOriginationPool", pool);
+    const report = await buildSettlementReport(originationPool, { fromBlock });
+
+    if (out === undefined) {
+      out = `settlement-${originationPool.address}`;
+    }
+    fs.writeFileSync(`${out}.json`, JSON.stringify(formatSettlementReport(report), null, 2));
+    fs.writeFileSync(`${out}.csv`, settlementReportToCsv(report));
+
+    console.log(`wrote settlement of ${report.contributors.length} contributors to ${out}.json and ${out}.csv`);
+    for (const { name, expected, actual } of report.discrepancies) {
+      console.warn(`discrepancy: ${name} expected ${expected} from events, storage has ${actual}`);
+    }
+    if (report.discrepancies.length == 0) {
+      console.log("totals match purchaseTokensAcquired, offerTokenAmountSold and originationCoreFees");
+    }
+    return report;
+  });
@@ -0,0 +1,28 @@
+const { task } = require("hardhat/config");
+const { UPGRADEABLE_CONTRACTS, getSlotLayout, diffSlotLayouts, loadStorageSnapshot, saveStorageSnapshot } = require("../scripts/upgrades");
+
+/**
+ * Snapshot the storage layouts of the upgradeable contracts in storage-layouts/
+ * Only append-only changes are snapshotted unless forced, see test/storageLayout.js
+ */
+task("storage:snapshot", "Snapshots the storage layouts of the upgradeable contracts")
+  .addFlag("force", "overwrite the snapshots even if the layouts changed incompatibly")
+  .setAction(async ({ force }, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    for (const contractName of UPGRADEABLE_CONTRACTS) {
+      const layout = await getSlotLayout(hre, contractName);
+      const snapshot = loadStorageSnapshot(contractName);
+      if (snapshot !== undefined) {
+        const { incompatible, appended } = diffSlotLayouts(snapshot, layout);
+        if (incompatible.length > 0 && !force) {
+          throw new Error(`Incompatible storage layout changes in ${contractName}:\n  ${incompatible.join("\n  ")}`);
+        }
+        for (const change of incompatible.concat(appended)) {
+          console.log(`${contractName} ${change}`);
+        }
+      }
+      saveStorageSnapshot(contractName, layout);
+      console.log(`snapshotted storage layout of ${contractName}`);
+    }
+  });
@@ -0,0 +1,101 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/deployment");
+const { getDeployedContractName, compareStorageLayouts, getAdministeredPools } = require("../scripts/upgrades");
+
+/**
+ * Get the origination core at core, defaults to the one in deployments/<network>.json
+ */
+async function getOriginationCore({ ethers, network }, core) {
+  if (core === undefined) {
+    core = loadDeployment(network.name).originationCore;
+    if (core === undefined) {
+      throw new Error(`No origination core recorded for ${network.name}`);
+    }
+  }
+  return ethers.getContractAt("OriginationCore", core);
+}
+
+/**
+ * Upgrade every pool administered by the signer to the latest PoolDeployer implementation
+ * Pools are only upgraded if the storage layout of the new implementation is compatible with their current one
+ * Pools read the protocol pause from origination core, which has to be upgraded first to expose paused()
+ */
+task("pools:upgrade", "Upgrades the pools administered by the signer to the latest pool implementation")
+  .addOptionalParam("core", "origination core address, defaults to the one in deployments/<network>.json")
+  .addOptionalParam("implementationContract", "contract name of the latest implementation, if its bytecode doesn't match the compiled contracts")
+  .addOptionalParam("referenceContract", "contract name of the current pool implementation, defaults to the compiled contract matching its bytecode")
+  .addOptionalParam("call", "function of the new implementation to call on upgrade, e.g. initializeV2")
+  .addOptionalParam("callArgs", "arguments of the function to call on upgrade", [], types.json)
+  .addOptionalParam("fromBlock", "first block to look for listings", 0, types.int)
+  .addFlag("dryRun", "only list the pools to upgrade and check their storage layouts")
+  .setAction(async ({ core, implementationContract, referenceContract, call, callArgs, fromBlock, dryRun }, hre) => {
+    const { ethers } = hre;
+    const [signer] = await ethers.getSigners();
+
+    const originationCore = await getOriginationCore(hre, core);
+    try {
+      await originationCore.paused();
+    } catch (err) {
+      throw new Error(`Origination core ${originationCore.address} doesn't expose paused(), upgrade origination core before the pools`);
+    }
+    const poolDeployer = await ethers.getContractAt("PoolDeployer", await originationCore.poolDeployer());
+    const proxyAdmin = await ethers.getContractAt("OriginationProxyAdmin", await originationCore.proxyAdmin());
+    const latestImplementation = await poolDeployer.fungibleOriginationPoolImplementation();
+
+    const pools = (await getAdministeredPools(hre, originationCore, signer.address, { fromBlock })).filter(
+      ({ implementation }) => implementation != latestImplementation
+    );
+    console.log(`${pools.length} pools administered by ${signer.address} are behind implementation ${latestImplementation}`);
+    if (pools.length == 0) {
+      return [];
+    }
+
+    const implementationName = implementationContract || (await getDeployedContractName(hre, latestImplementation));
+    if (implementationName === undefined) {
+      throw new Error(`Implementation ${latestImplementation} doesn't match any compiled contract, set --implementation-contract`);
+    }
+    const data = call !== undefined ? (await ethers.getContractFactory(implementationName)).interface.encodeFunctionData(call, callArgs) : undefined;
+
+    // storage layout check of every current implementation
+    const layoutChecks = {};
+    for (const implementation of new Set(pools.map(({ implementation }) => implementation))) {
+      const referenceName = referenceContract || (await getDeployedContractName(hre, implementation));
+      if (referenceName === undefined) {
+        layoutChecks[implementation] = { ok: false, explanation: "unknown contract, set --reference-contract" };
+      } else {
+        layoutChecks[implementation] = await compareStorageLayouts(hre, referenceName, implementationName);
+      }
+      if (!layoutChecks[implementation].ok) {
+        console.warn(`storage layout of ${implementation} is incompatible with ${implementationName}:\n${layoutChecks[implementation].explanation}`);
+      }
+    }
+
+    const results = [];
+    for (const { pool, implementation } of pools) {
+      const result = { pool, from: implementation, to: latestImplementation };
+      const { ok, explanation } = layoutChecks[implementation];
+      if (!ok) {
+        result.status = "skipped";
+        result.reason = "incompatible storage layout";
+        result.layoutErrors = explanation;
+      } else if (dryRun) {
+        result.status = "pending";
+      } else {
+        try {
+          const tx =
+            data !== undefined
+              ? await proxyAdmin.upgradeAndCall(pool, latestImplementation, data)
+              : await proxyAdmin.upgrade(pool, latestImplementation);
+          await tx.wait();
+          result.status = "upgraded";
+          result.transactionHash = tx.hash;
+        } catch (err) {
+          result.status = "failed";
+          result.reason = err.message;
+        }
+      }
+      console.log(`${pool}: ${result.status}${result.reason !== undefined ? ` (${result.reason})` : ""}`);
+      results.push(result);
+    }
+    return results;
+  });
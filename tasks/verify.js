@@ -0,0 +1,29 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../scripts/deployment");
+const { getVerificationTargets, verifyTargets } = require("../scripts/verify");
+
+/**
+ * Verify every contract of deployments/<network>.json on etherscan,
+ * including the pool and vesting entry nft proxies created through origination core
+ * Fails listing the contracts which are still unverified after the retries
+ */
+task("verify:deployment", "Verifies the recorded contracts and every pool and vesting entry nft proxy of a network")
+  .addOptionalParam("fromBlock", "first block to look for listings, e.g. the core deployment block", 0, types.int)
+  .addOptionalParam("retries", "retries per contract", 3, types.int)
+  .addOptionalParam("retryDelay", "delay between retries in ms", 5000, types.int)
+  .setAction(async ({ fromBlock, retries, retryDelay }, hre) => {
+    const deployment = loadDeployment(hre.network.name);
+    if (deployment.originationCore === undefined) {
+      throw new Error(`No origination core recorded for ${hre.network.name}`);
+    }
+
+    const targets = await getVerificationTargets(hre, deployment, { fromBlock });
+    console.log(`verifying ${targets.length} contracts on ${hre.network.name}`);
+    const { verified, unverified } = await verifyTargets(hre, targets, { retries, retryDelay });
+
+    console.log(`verified ${verified.length}/${targets.length} contracts`);
+    if (unverified.length > 0) {
+      throw new Error(`Unverified contracts:\n  ${unverified.map(({ name, address }) => `${name} at ${address}`).join("\n  ")}`);
+    }
+    return { verified, unverified };
+  });
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+  getHolderVestingIds,
+  readVestingSchedule,
+  getClaimableAmount,
+  getDailyClaimable,
+  dailyClaimableToCsv,
+  vestingScheduleToIcs,
+} = require("../scripts/vesting");
+
+/**
+ * Export the unlock calendar of vesting entry nfts as iCalendar and a csv of the daily claimable amounts
+ * and print the amounts claimable now
+ */
+task("vesting:calendar", "Exports the unlock calendar of the vesting entry nfts of a holder or of nft ids")
+  .addParam("pool", "origination pool address")
+  .addOptionalParam("holder", "holder address, exports every vesting entry nft it owns")
+  .addOptionalParam("ids", "comma separated vesting entry nft ids")
+  .addOptionalParam("out", "output file path without extension, defaults to vesting-<pool>")
+  .addOptionalParam("fromBlock", "first block of the nft transfers to the holder, e.g. the pool creation block", 0, types.int)
+  .setAction(async ({ pool, holder, ids, out, fromBlock }, { ethers }) => {
+    if ((holder === undefined) == (ids === undefined)) {
+      throw new Error("Set either --holder or --ids");
+    }
+    const originationPool = await ethers.getContractAt("FungibleOriginationPool", pool);
+    const block = await ethers.provider.getBlock("latest");
+
+    const nftIds =
+      holder !== undefined
+        ? await getHolderVestingIds(originationPool, holder, { fromBlock, toBlock: block.number })
+        : ids.split(",").map((id) => BigInt(id.trim()));
+    if (nftIds.length == 0) {
+      throw new Error(`${holder} holds no vesting entry nfts of ${originationPool.address}`);
+    }
+    const schedule = await readVestingSchedule(originationPool, nftIds, { blockTag: block.number });
+    if (!schedule.saleEnded) {
+      console.warn("the sale is running, the calendar is provisional and moves earlier if the offering sells out");
+    }
+
+    if (out === undefined) {
+      out = `vesting-${originationPool.address}`;
+    }
+    fs.writeFileSync(`${out}.ics`, vestingScheduleToIcs(schedule, block.timestamp));
+    fs.writeFileSync(`${out}.csv`, dailyClaimableToCsv(schedule, getDailyClaimable(schedule, block.timestamp)));
+    console.log(`wrote the unlock calendar of ${nftIds.length} vesting entries to ${out}.ics and ${out}.csv`);
+
+    const format = (amount) => `${ethers.utils.formatUnits(amount, schedule.offerDecimals)} ${schedule.offerSymbol}`;
+    let claimable = 0n;
+    for (const entry of schedule.entries) {
+      const amount = getClaimableAmount(schedule, entry, block.timestamp);
+      claimable += amount;
+      console.log(`entry ${entry.id}: ${format(amount)} claimable, ${format(entry.tokenAmountClaimed)} of ${format(entry.tokenAmount)} claimed`);
+    }
+    console.log(`claimable now: ${format(claimable)}`);
+    return { schedule, claimable };
+  });
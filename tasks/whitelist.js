@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { readWhitelistEntries, parseWhitelist, buildWhitelistTree } = require("../scripts/whitelist");
+
+/**
+ * Build a whitelist merkle tree from a csv or json file of address,maxContributionAmount
+ * Amounts are human readable and get scaled by the purchase token decimals
+ * The decimals are read from the pool purchase token unless set explicitly
+ */
+task("whitelist:build", "Builds a whitelist merkle tree and the proofs of every whitelisted address")
+  .addParam("input", "csv or json file of address,maxContributionAmount")
+  .addOptionalParam("pool", "origination pool address, used to read the purchase token decimals")
+  .addOptionalParam("decimals", "purchase token decimals, if no pool is given", undefined, types.int)
+  .addOptionalParam("out", "output file for the merkle root and proofs")
+  .setAction(async ({ input, pool, decimals, out }, { ethers }) => {
+    let purchaseToken;
+    if (pool !== undefined) {
+      const originationPool = await ethers.getContractAt("FungibleOriginationPool", pool);
+      purchaseToken = await originationPool.purchaseToken();
+      const poolDecimals =
+        purchaseToken == ethers.constants.AddressZero
+          ? 18
+          : await (await ethers.getContractAt("IERC20Metadata", purchaseToken)).decimals();
+      if (decimals !== undefined && decimals != poolDecimals) {
+        throw new Error(`Pool purchase token has ${poolDecimals} decimals, not ${decimals}`);
+      }
+      decimals = poolDecimals;
+    }
+    if (decimals === undefined) {
+      throw new Error("Either a pool address or the purchase token decimals must be set");
+    }
+
+    const whitelist = parseWhitelist(readWhitelistEntries(input), decimals);
+    const { merkleRoot, claims } = buildWhitelistTree(whitelist);
+
+    if (out === undefined) {
+      out = path.join(path.dirname(input), `${path.basename(input, path.extname(input))}.merkle.json`);
+    }
+    const result = {
+      merkleRoot,
+      pool: pool !== undefined ? ethers.utils.getAddress(pool) : undefined,
+      purchaseToken,
+      decimals,
+      claims,
+    };
+    fs.writeFileSync(out, JSON.stringify(result, null, 2));
+
+    console.log("whitelist merkle root:", merkleRoot);
+    console.log(`wrote proofs of ${Object.keys(claims).length} addresses to ${out}`);
+    return result;
+  });
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deployArgs } = require("../scripts/helpers");
+const { getDeployConfig, loadDeployment, IMPLEMENTATION_SLOT, readAddressSlot } = require("../scripts/deployment");
+const { checkDeployment } = require("../scripts/healthCheck");
+const { advanceTime, getEvmSnapshot, revertEvm } = require("../test/utils");
+const forks = require("./forks.json");
+
+/**
+ * Full lifecycle on the recorded polygon deployment, forked at its pinned block
+ * Run with FORK=polygon npx hardhat test test-fork/polygon.js
+ * FORK_REVENUE_CONTROLLER sets the revenue controller to impersonate if it isn't the multisig
+ */
+describe("Polygon fork", async () => {
+  const deployment = loadDeployment("polygon");
+  const config = getDeployConfig("polygon");
+  const { blockNumber, listingsFromBlock } = forks.polygon;
+  let snapshot, originationCore, poolDeployer, proxyAdmin, multisig, lister, buyer;
+
+  const impersonate = async (address) => {
+    await network.provider.send("hardhat_impersonateAccount", [address]);
+    // gas money
+    await network.provider.send("hardhat_setBalance", [address, ethers.utils.hexValue(ethers.utils.parseEther("10000"))]);
+    return await ethers.getSigner(address);
+  };
+
+  // views of FungibleOriginationPool which must be kept by upgrades
+  const poolViews = [
+    "owner",
+    "manager",
+    "offerToken",
+    "purchaseToken",
+    "vestingEntryNFT",
+    "saleInitiated",
+    "saleInitiatedTimestamp",
+    "saleEndTimestamp",
+    "totalOfferingAmount",
+    "reserveAmount",
+    "vestingPeriod",
+    "cliffPeriod",
+    "offerTokenAmountSold",
+    "purchaseTokensAcquired",
+    "originationCoreFees",
+  ];
+  const readPoolState = async (pool) => {
+    const state = {};
+    for (const name of poolViews) {
+      state[name] = (await pool[name]()).toString();
+    }
+    return state;
+  };
+
+  /**
+   * Upgrade origination core through the recorded proxy admin and the pool implementation to the compiled contracts
+   * The live contracts take the SaleParams of their release, listings with the compiled SaleParams need the upgrade
+   */
+  const upgradeToCompiledContracts = async () => {
+    const coreImplementation = await deployArgs("OriginationCore");
+    const coreProxy = await ethers.getContractAt("OriginationCoreProxy", originationCore.address);
+    await coreProxy.connect(await impersonate(config.proxyAdmin)).upgradeTo(coreImplementation.address);
+    const poolImplementation = await deployArgs("FungibleOriginationPool");
+    await poolDeployer.connect(multisig).setFungibleOriginationPoolImplementation(poolImplementation.address);
+  };
+
+  const createListing = async () => {
+    const offerToken = await deployArgs("MockERC20", "Offer", "OFFR", 18);
+    await offerToken.transfer(lister.address, ethers.utils.parseEther("1000"));
+    const saleParams = {
+      offerToken: offerToken.address,
+      purchaseToken: ethers.constants.AddressZero,
+      publicStartingPrice: ethers.utils.parseEther("0.1"),
+      publicEndingPrice: ethers.utils.parseEther("0.1"),
+      whitelistStartingPrice: 0,
+      whitelistEndingPrice: 0,
+      publicSaleDuration: 86400,
+      whitelistSaleDuration: 0,
+      totalOfferingAmount: ethers.utils.parseEther("1000"),
+      reserveAmount: 0,
+      vestingPeriod: 0,
+      cliffPeriod: 0,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
+    };
+    const listingFee = (await originationCore.customListingFeeEnabled(lister.address))
+      ? await originationCore.customListingFee(lister.address)
+      : await originationCore.listingFee();
+    const receipt = await (await originationCore.connect(lister).createFungibleListing(saleParams, { value: listingFee })).wait();
+    const pool = await ethers.getContractAt(
+      "FungibleOriginationPool",
+      receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool,
+      lister
+    );
+    await offerToken.connect(lister).approve(pool.address, saleParams.totalOfferingAmount);
+    return { pool, offerToken, listingFee };
+  };
+
+  before(async () => {
+    const forking = network.config.forking;
+    if (forking === undefined || !forking.enabled || forking.blockNumber != blockNumber) {
+      throw new Error("The hardhat network isn't a fork of polygon at the pinned block, run with FORK=polygon");
+    }
+    if ((await ethers.provider.getCode(deployment.originationCore)) == "0x") {
+      throw new Error(`Origination core isn't deployed at the pinned block ${blockNumber}, bump the polygon block in test-fork/forks.json`);
+    }
+
+    originationCore = await ethers.getContractAt("OriginationCore", deployment.originationCore);
+    poolDeployer = await ethers.getContractAt("PoolDeployer", deployment.poolDeployer);
+    proxyAdmin = await ethers.getContractAt("OriginationProxyAdmin", deployment.originationProxyAdmin);
+    multisig = await impersonate(config.multisig);
+    [lister, buyer] = await ethers.getSigners();
+  });
+
+  beforeEach(async () => {
+    snapshot = await getEvmSnapshot();
+  });
+
+  afterEach(async () => {
+    await revertEvm(snapshot);
+  });
+
+  it("should match the recorded deployment wiring", async () => {
+    // before upgrading to the compiled contracts
+    const checks = await checkDeployment(hre, deployment, config);
+    const failed = checks.filter(({ ok }) => !ok).map(({ name, expected, actual }) => `${name}: expected ${expected}, got ${actual}`);
+    expect(failed, failed.join("\n")).to.be.empty;
+  });
+
+  it("should run a sale on the live contracts upgraded to the compiled contracts", async () => {
+    await upgradeToCompiledContracts();
+    const coreBalanceBefore = await ethers.provider.getBalance(originationCore.address);
+    const { pool, offerToken, listingFee } = await createListing();
+    expect(await pool.owner()).to.equal(lister.address);
+    const implementation = await poolDeployer.fungibleOriginationPoolImplementation();
+    expect(await readAddressSlot(ethers.provider, pool.address, IMPLEMENTATION_SLOT)).to.equal(implementation);
+
+    await pool.initiateSale();
+    await pool.connect(buyer).purchase(ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("10") });
+    await advanceTime(86401);
+    await pool.connect(buyer).claimTokens();
+    expect(await offerToken.balanceOf(buyer.address)).to.equal(ethers.utils.parseEther("100"));
+
+    await pool.claimPurchaseToken();
+    const fees = ethers.utils.parseEther("10").mul(await pool.originationFee()).div(ethers.utils.parseEther("1"));
+    expect((await ethers.provider.getBalance(originationCore.address)).sub(coreBalanceBefore)).to.equal(listingFee.add(fees));
+  });
+
+  it("should upgrade a live pool to the compiled pool implementation", async () => {
+    // origination core is upgraded before the pools, upgraded pools sync the protocol pause from it
+    await upgradeToCompiledContracts();
+    // latest live pool, administered by its creator unless the proxy ownership was transferred
+    const listings = await originationCore.queryFilter(originationCore.filters.CreateFungibleListing(), listingsFromBlock, blockNumber);
+    let pool, admin;
+    if (listings.length > 0) {
+      pool = await ethers.getContractAt("FungibleOriginationPool", listings[listings.length - 1].args.pool);
+      admin = listings[listings.length - 1].args.owner;
+      const transfers = await proxyAdmin.queryFilter(proxyAdmin.filters.ProxyOwnershipTransferred(pool.address), listingsFromBlock, blockNumber);
+      if (transfers.length > 0) {
+        admin = transfers[transfers.length - 1].args.newOwner;
+      }
+    } else {
+      ({ pool } = await createListing());
+      admin = lister.address;
+    }
+    const poolAdmin = await impersonate(admin);
+    const stateBefore = await readPoolState(pool);
+
+    const implementation = await deployArgs("FungibleOriginationPool");
+    await poolDeployer.connect(multisig).setFungibleOriginationPoolImplementation(implementation.address);
+    await proxyAdmin.connect(poolAdmin).upgrade(pool.address, implementation.address);
+
+    expect(await readAddressSlot(ethers.provider, pool.address, IMPLEMENTATION_SLOT)).to.equal(implementation.address);
+    expect(await readPoolState(pool)).to.deep.equal(stateBefore);
+
+    // new listings use the new implementation
+    const { pool: newPool } = await createListing();
+    expect(await readAddressSlot(ethers.provider, newPool.address, IMPLEMENTATION_SLOT)).to.equal(implementation.address);
+  });
+
+  it("should claim the fees through claimFees", async () => {
+    const xTokenManager = await ethers.getContractAt("IxTokenManager", config.xTokenManager);
+    const controllerAddress = process.env.FORK_REVENUE_CONTROLLER || config.multisig;
+    const isRevenueController = await xTokenManager.isRevenueController(controllerAddress);
+    expect(isRevenueController, `${controllerAddress} isn't the revenue controller, set FORK_REVENUE_CONTROLLER`).to.be.true;
+    const revenueController = await impersonate(controllerAddress);
+
+    await upgradeToCompiledContracts();
+    const { pool } = await createListing();
+    await pool.initiateSale();
+    await pool.connect(buyer).purchase(ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("10") });
+    await pool.claimPurchaseToken();
+
+    const fees = await ethers.provider.getBalance(originationCore.address);
+    expect(fees).to.be.gt(0);
+    const balanceBefore = await ethers.provider.getBalance(revenueController.address);
+    // the fork keeps the polygon base fee, claim without gas cost to compare the balances
+    await network.provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+    await originationCore.connect(revenueController).claimFees(ethers.constants.AddressZero, { gasPrice: 0 });
+
+    expect(await ethers.provider.getBalance(originationCore.address)).to.equal(0);
+    expect((await ethers.provider.getBalance(revenueController.address)).sub(balanceBefore)).to.equal(fees);
+  });
+});
@@ -0,0 +1,144 @@
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("../test/originationCoreFixture");
+const { deployArgs } = require("../scripts/helpers");
+const { buildWhitelistTree } = require("../scripts/whitelist");
+const { advanceTime } = require("../test/utils");
+const { DEFAULT_THRESHOLD, loadGasBaseline, saveGasBaseline, compareGasBaseline, formatGasReport } = require("../scripts/gas");
+
+// Set UPDATE_GAS_BASELINE=1 to write the measured gas to the baseline, GAS_THRESHOLD to change the regression threshold in percent
+const BASELINE_PATH = path.join(__dirname, "baseline.json");
+const THRESHOLD = process.env.GAS_THRESHOLD ? parseFloat(process.env.GAS_THRESHOLD) : DEFAULT_THRESHOLD;
+
+/**
+ * Gas used by the pool and core operations, compared with the committed baseline
+ * Listing fees are priced from these numbers
+ */
+describe("Gas benchmarks", async () => {
+  const results = {};
+  let originationCore, offerToken, purchaseToken, deployer, buyer, whitelistClaims, whitelistRoot;
+
+  const measure = async (name, tx) => {
+    const receipt = await (await tx).wait();
+    results[name] = receipt.gasUsed.toNumber();
+    return receipt;
+  };
+
+  const saleParams = (params = {}) => ({
+    offerToken: offerToken.address,
+    purchaseToken: purchaseToken.address,
+    publicStartingPrice: ethers.utils.parseEther("1"),
+    publicEndingPrice: ethers.utils.parseEther("1"),
+    whitelistStartingPrice: 0,
+    whitelistEndingPrice: 0,
+    publicSaleDuration: 86400,
+    whitelistSaleDuration: 0,
+    totalOfferingAmount: ethers.utils.parseEther("1000000"),
+    reserveAmount: ethers.utils.parseEther("10"),
+    vestingPeriod: 0,
+    cliffPeriod: 0,
+    publicMaxContributionAmount: 0,
+    withdrawalPeriod: 0,
+    ...params,
+  });
+
+  /**
+   * Create and initiate a pool, the deployer makes the first purchase so buyer purchases don't pay for the first sale writes
+   */
+  const createPool = async (params) => {
+    const receipt = await (await originationCore.createFungibleListing(saleParams(params), { value: await originationCore.listingFee() })).wait();
+    const pool = await ethers.getContractAt("FungibleOriginationPool", receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool);
+    await pool.setWhitelist(whitelistRoot);
+    await offerToken.approve(pool.address, ethers.constants.MaxUint256);
+    await purchaseToken.approve(pool.address, ethers.constants.MaxUint256);
+    await purchaseToken.connect(buyer).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.initiateSale();
+    if (params.whitelistSaleDuration > 0) {
+      const { proof, maxContributionAmount } = whitelistClaims[deployer.address];
+      await pool.whitelistPurchase(proof, ethers.utils.parseEther("1"), maxContributionAmount);
+    } else {
+      await pool.purchase(ethers.utils.parseEther("1"));
+    }
+    return pool;
+  };
+
+  before(async () => {
+    ({ accounts, originationCore } = await createFixture());
+    [deployer, , buyer] = accounts;
+    offerToken = await deployArgs("MockERC20", "Offer", "OFFR", 18);
+    purchaseToken = await deployArgs("MockERC20", "Purchase", "PRCH", 18);
+    await purchaseToken.transfer(buyer.address, ethers.utils.parseEther("1000000"));
+    ({ merkleRoot: whitelistRoot, claims: whitelistClaims } = buildWhitelistTree({
+      [deployer.address]: ethers.utils.parseEther("1000"),
+      [buyer.address]: ethers.utils.parseEther("1000"),
+    }));
+  });
+
+  it("should measure createFungibleListing", async () => {
+    const listingFee = await originationCore.listingFee();
+    await measure("createFungibleListing", originationCore.createFungibleListing(saleParams(), { value: listingFee }));
+    await measure("createFungibleListing with vesting", originationCore.createFungibleListing(saleParams({ vestingPeriod: 86400 }), { value: listingFee }));
+  });
+
+  it("should measure first and repeat purchases", async () => {
+    const pool = await createPool({});
+    await measure("purchase (first)", pool.connect(buyer).purchase(ethers.utils.parseEther("1")));
+    await measure("purchase (repeat)", pool.connect(buyer).purchase(ethers.utils.parseEther("1")));
+
+    const vestingPool = await createPool({ vestingPeriod: 86400 });
+    await measure("purchase with vesting (first)", vestingPool.connect(buyer).purchase(ethers.utils.parseEther("1")));
+    await measure("purchase with vesting (repeat)", vestingPool.connect(buyer).purchase(ethers.utils.parseEther("1")));
+  });
+
+  it("should measure first and repeat whitelist purchases", async () => {
+    const pool = await createPool({
+      whitelistSaleDuration: 86400,
+      whitelistStartingPrice: ethers.utils.parseEther("1"),
+      whitelistEndingPrice: ethers.utils.parseEther("1"),
+    });
+    const { proof, maxContributionAmount } = whitelistClaims[buyer.address];
+    await measure("whitelistPurchase (first)", pool.connect(buyer).whitelistPurchase(proof, ethers.utils.parseEther("1"), maxContributionAmount));
+    await measure("whitelistPurchase (repeat)", pool.connect(buyer).whitelistPurchase(proof, ethers.utils.parseEther("1"), maxContributionAmount));
+  });
+
+  it("should measure claimVested with 1, 10 and 50 vesting entries", async () => {
+    const pool = await createPool({ vestingPeriod: 86400 });
+    const entryIds = [];
+    for (let i = 0; i < 61; ++i) {
+      const receipt = await (await pool.connect(buyer).purchase(ethers.utils.parseEther("1"))).wait();
+      entryIds.push(receipt.events.find((e) => e.event === "CreateVestingEntry").args.vestingId);
+    }
+    await advanceTime(86401); // end of sale
+    await advanceTime(86401); // end of vesting
+
+    await measure("claimVested (1 entry)", pool.connect(buyer).claimVested(entryIds.slice(0, 1)));
+    await measure("claimVested (10 entries)", pool.connect(buyer).claimVested(entryIds.slice(1, 11)));
+    await measure("claimVested (50 entries)", pool.connect(buyer).claimVested(entryIds.slice(11, 61)));
+  });
+
+  it("should measure claimPurchaseToken", async () => {
+    const pool = await createPool({});
+    await pool.connect(buyer).purchase(ethers.utils.parseEther("100"));
+    await advanceTime(86401);
+    await measure("claimPurchaseToken", pool.claimPurchaseToken());
+  });
+
+  it("should not regress against the baseline", async () => {
+    const baseline = loadGasBaseline(BASELINE_PATH);
+    const rows = compareGasBaseline(baseline, results, THRESHOLD);
+    console.log(formatGasReport(rows));
+
+    if (process.env.UPDATE_GAS_BASELINE) {
+      saveGasBaseline(BASELINE_PATH, results);
+      console.log(`updated ${BASELINE_PATH}`);
+      return;
+    }
+    const changed = rows.filter(({ status }) => status != "ok" && status != "improvement");
+    expect(
+      changed,
+      `gas changed above the ${THRESHOLD}% threshold or benchmarks changed, check the report and update the baseline with UPDATE_GAS_BASELINE=1:\n  ` +
+        changed.map(({ name, status }) => `${name}: ${status}`).join("\n  ")
+    ).to.be.empty;
+  });
+});
@@ -69,7 +69,9 @@ describe("OriginationCore", async () => {
     await expect(await originationCore.claimFees("0x0000000000000000000000000000000000000000")).to.changeEtherBalance(deployer, feeAmountEth);
 
     const revenuControllerBalanceBefore = await purchaseToken.balanceOf(deployer.address);
-    await originationCore.claimFees(purchaseToken.address);
+    await expect(originationCore.claimFees(purchaseToken.address))
+      .to.emit(originationCore, "FeesClaimed")
+      .withArgs(purchaseToken.address, feeAmountToken);
     const revenuControllerBalanceAfter = await purchaseToken.balanceOf(deployer.address);
 
     expect(feeAmountToken).to.equal(revenuControllerBalanceAfter.sub(revenuControllerBalanceBefore));
@@ -123,6 +125,40 @@ describe("OriginationCore", async () => {
     expect(await originationCore.customListingFeeEnabled(address)).to.equal(false);
   });
 
+  it("should pause and unpause new listings as owner", async () => {
+    await expect(originationCore.connect(user1).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(originationCore.unpause()).to.be.revertedWith("Not paused");
+
+    await expect(originationCore.pause()).to.emit(originationCore, "SetPaused").withArgs(true);
+    expect(await originationCore.paused()).to.equal(true);
+    await expect(originationCore.pause()).to.be.revertedWith("Already paused");
+    await expect(
+      originationCore.createFungibleListing(
+        {
+          offerToken: offerToken.address,
+          purchaseToken: purchaseToken.address,
+          publicStartingPrice: bnDecimal(1),
+          publicEndingPrice: bnDecimal(1),
+          whitelistStartingPrice: 0,
+          whitelistEndingPrice: 0,
+          publicSaleDuration: 86400,
+          whitelistSaleDuration: 0,
+          totalOfferingAmount: bnDecimal(100),
+          reserveAmount: 0,
+          vestingPeriod: 0,
+          cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod: 0,
+        },
+        { value: await originationCore.listingFee() }
+      )
+    ).to.be.revertedWith("Origination paused");
+
+    await expect(originationCore.connect(user1).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(originationCore.unpause()).to.emit(originationCore, "SetPaused").withArgs(false);
+    expect(await originationCore.paused()).to.equal(false);
+  });
+
   it("should have vesting entry nft initialized after pool creation", async () => {
     const vestingEntryNFTAddr = await fungibleOriginationPoolVesting.vestingEntryNFT();
     const vestingEntryNFT = await ethers.getContractAt("VestingEntryNFT", vestingEntryNFTAddr);
@@ -149,6 +185,8 @@ describe("OriginationCore", async () => {
         reserveAmount: 0,
         vestingPeriod: 0,
         cliffPeriod: 0,
+        publicMaxContributionAmount: 0,
+        withdrawalPeriod: 0,
       })
     ).to.be.revertedWith("Initializable: contract is already initialized");
   });
@@ -187,6 +225,8 @@ describe("OriginationCore", async () => {
           reserveAmount: 0,
           vestingPeriod: 0,
           cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod: 0,
         },
         { value: listingFee.sub(1) }
       )
@@ -210,6 +250,8 @@ describe("OriginationCore", async () => {
           reserveAmount: 0,
           vestingPeriod: 0,
           cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod: 0,
         },
         { value: listingFee }
       )
@@ -233,6 +275,8 @@ describe("OriginationCore", async () => {
           reserveAmount: 0,
           vestingPeriod: 259200,
           cliffPeriod: 320000,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod: 0,
         },
         { value: listingFee }
       )
@@ -256,6 +300,8 @@ describe("OriginationCore", async () => {
           reserveAmount: 0,
           vestingPeriod: 0,
           cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod: 0,
         },
         { value: listingFee }
       )
@@ -279,6 +325,8 @@ describe("OriginationCore", async () => {
           reserveAmount: 0,
           vestingPeriod: 0,
           cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod: 0,
         },
         { value: listingFee }
       )
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+const { getDeployConfig } = require("../scripts/deployment");
+const { checkDeployment } = require("../scripts/healthCheck");
+const { expectError } = require("./utils");
+
+describe("Deployment pipeline", async () => {
+  let deployer;
+
+  beforeEach(async () => {
+    await deployments.fixture();
+    [deployer] = await ethers.getSigners();
+  });
+
+  it("should initialize origination core with the configured parameters", async () => {
+    const config = getDeployConfig("hardhat");
+    const originationCore = await ethers.getContractAt("OriginationCore", (await deployments.get("originationCore")).address);
+
+    expect(await originationCore.listingFee()).to.equal(config.listingFee);
+    expect(await originationCore.originationFee()).to.equal(config.originationFee);
+    expect(await originationCore.poolDeployer()).to.equal((await deployments.get("poolDeployer")).address);
+    expect(await originationCore.proxyAdmin()).to.equal((await deployments.get("originationProxyAdmin")).address);
+  });
+
+  it("should transfer ownership of the origination proxy admin to origination core", async () => {
+    const originationCore = await deployments.get("originationCore");
+    const proxyAdmin = await ethers.getContractAt("OriginationProxyAdmin", (await deployments.get("originationProxyAdmin")).address);
+
+    expect(await proxyAdmin.owner()).to.equal(originationCore.address);
+  });
+
+  it("should skip completed steps when deploying again", async () => {
+    const originationCore = await deployments.get("originationCore");
+    await deployments.run(undefined, { resetMemory: false, writeDeploymentsToFiles: false });
+
+    expect((await deployments.get("originationCore")).address).to.equal(originationCore.address);
+    const core = await ethers.getContractAt("OriginationCore", originationCore.address);
+    expect(await core.owner()).to.equal(deployer.address);
+  });
+
+  describe("Wiring check", async () => {
+    let deployment;
+
+    beforeEach(async () => {
+      deployment = {};
+      for (const [key, { address }] of Object.entries(await deployments.all())) {
+        deployment[key] = address;
+      }
+    });
+
+    const failedChecks = async (config = getDeployConfig("hardhat")) =>
+      (await checkDeployment(hre, deployment, config)).filter(({ ok }) => !ok).map(({ name }) => name);
+
+    it("should pass every check of a fresh deployment", async () => {
+      const checks = await checkDeployment(hre, deployment, getDeployConfig("hardhat"));
+      expect(checks.length).to.be.gt(0);
+      expect(checks.filter(({ ok }) => !ok)).to.be.empty;
+      expect(checks.find(({ info }) => info)).to.include({ name: "origination core paused", actual: "false" });
+    });
+
+    it("should detect implementation and fee drift and report the pause", async () => {
+      const originationCore = await ethers.getContractAt("OriginationCore", deployment.originationCore);
+      const poolDeployer = await ethers.getContractAt("PoolDeployer", deployment.poolDeployer);
+      await originationCore.setListingFee(ethers.utils.parseEther("1"));
+      await poolDeployer.setFungibleOriginationPoolImplementation(deployment.vestingEntryNFTImpl);
+      await originationCore.pause();
+
+      const checks = await checkDeployment(hre, deployment, getDeployConfig("hardhat"));
+      const listingFee = checks.find(({ name }) => name == "listing fee");
+      expect(listingFee).to.deep.equal({
+        name: "listing fee",
+        ok: false,
+        expected: getDeployConfig("hardhat").listingFee.toString(),
+        actual: ethers.utils.parseEther("1").toString(),
+      });
+      expect(await failedChecks()).to.deep.equal(["pool deployer pool implementation", "listing fee"]);
+      // the pause is reported, it isn't a failure
+      expect(checks.find(({ name }) => name == "origination core paused")).to.deep.equal({
+        name: "origination core paused",
+        ok: true,
+        info: true,
+        actual: "true",
+      });
+    });
+
+    it("should leave out the pause of origination cores deployed before it", async () => {
+      // any contract without paused() stands in for an origination core deployed before the pause
+      deployment.originationCore = deployment.vestingEntryNFTImpl;
+      const checks = await checkDeployment(hre, deployment, getDeployConfig("hardhat"));
+      expect(checks.map(({ name }) => name)).to.not.include("origination core paused");
+    });
+
+    it("should detect ownership and proxy drift", async () => {
+      const [, , multisig] = await ethers.getSigners();
+      expect(await failedChecks({ ...getDeployConfig("hardhat"), multisig: multisig.address })).to.deep.equal([
+        "origination core owned by the multisig",
+        "pool deployer owned by the multisig",
+      ]);
+
+      // recorded implementation which the core proxy doesn't point at
+      deployment.originationCoreImpl = deployment.originationPoolImpl;
+      delete deployment.nftDeployer;
+      expect(await failedChecks()).to.deep.equal([
+        "origination core proxy implementation",
+        "origination core nft deployer",
+        "nft deployer vesting entry nft implementation",
+      ]);
+    });
+
+    it("should fail the task without a deployment record", async () => {
+      await expectError(hre.run("deployment:check"), "No origination core recorded for hardhat");
+    });
+  });
+});
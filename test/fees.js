@@ -0,0 +1,138 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { advanceTime } = require("./utils");
+const { createIndex, runIndexer } = require("../scripts/indexer");
+const { getFeeTokens, getFeeBalances, sweepFees, loadLedger } = require("../scripts/fees");
+
+describe("Fee sweeping", async () => {
+  let tmpDir, db, ledger, ethFees;
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, originationPool, originationPoolDecimals, purchaseToken, purchaseTokenDecimalsLower } = await createFixture());
+    [deployer, user, user1] = accounts;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "fees-"));
+    db = path.join(tmpDir, "index.json");
+    ledger = path.join(tmpDir, "ledger.json");
+
+    // sale fees of the purchase token pool are sent to the core on claim
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("10"));
+    await advanceTime(86401);
+    await originationPool.claimPurchaseToken();
+    // listing fees
+    ethFees = await ethers.provider.getBalance(originationCore.address);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should find the purchase tokens of the indexed pools", async () => {
+    const index = createIndex(originationCore.address, 0, network.config.chainId);
+    await runIndexer(ethers.provider, index, { confirmations: 0 });
+
+    const tokens = getFeeTokens(index);
+    expect(tokens).to.have.members([ethers.constants.AddressZero, purchaseToken.address, purchaseTokenDecimalsLower.address]);
+
+    const balances = await getFeeBalances(ethers.provider, originationCore.address, tokens);
+    const byToken = Object.fromEntries(balances.map(({ token, decimals, balance }) => [token, { decimals, balance }]));
+    expect(byToken[ethers.constants.AddressZero].balance).to.equal(ethFees);
+    expect(byToken[purchaseToken.address].balance).to.equal(await purchaseToken.balanceOf(originationCore.address));
+    expect(byToken[purchaseToken.address].balance).to.be.gt(0);
+    expect(byToken[purchaseTokenDecimalsLower.address]).to.deep.equal({ decimals: 6, balance: ethers.BigNumber.from(0) });
+  });
+
+  it("should only print the claims in dry run", async () => {
+    const purchaseTokenFees = await purchaseToken.balanceOf(originationCore.address);
+    const claims = await hre.run("fees:sweep", { core: originationCore.address, db, ledger, confirmations: 0, dryRun: true });
+
+    expect(claims.map(({ token, amount, status }) => ({ token, amount, status }))).to.deep.equal([
+      { token: ethers.constants.AddressZero, amount: ethFees.toString(), status: "pending" },
+      { token: purchaseToken.address, amount: purchaseTokenFees.toString(), status: "pending" },
+    ]);
+    expect(await ethers.provider.getBalance(originationCore.address)).to.equal(ethFees);
+    expect(await purchaseToken.balanceOf(originationCore.address)).to.equal(purchaseTokenFees);
+    expect(fs.existsSync(ledger)).to.be.false;
+  });
+
+  it("should claim every non-zero fee balance and record it in the ledger", async () => {
+    const purchaseTokenFees = await purchaseToken.balanceOf(originationCore.address);
+    const balanceBefore = await purchaseToken.balanceOf(deployer.address);
+
+    const claims = await hre.run("fees:sweep", { core: originationCore.address, db, ledger, confirmations: 0 });
+    expect(claims.map(({ status }) => status)).to.deep.equal(["claimed", "claimed"]);
+    expect(await ethers.provider.getBalance(originationCore.address)).to.equal(0);
+    expect(await purchaseToken.balanceOf(originationCore.address)).to.equal(0);
+    expect((await purchaseToken.balanceOf(deployer.address)).sub(balanceBefore)).to.equal(purchaseTokenFees);
+
+    const entries = loadLedger(ledger);
+    expect(entries).to.have.length(2);
+    expect(entries[1]).to.include({
+      core: originationCore.address,
+      collector: deployer.address,
+      token: purchaseToken.address,
+      symbol: "PRCH",
+      amount: purchaseTokenFees.toString(),
+      formattedAmount: ethers.utils.formatEther(purchaseTokenFees),
+      transactionHash: claims[1].transactionHash,
+    });
+
+    // the next sweep resumes the index and only claims the new fees
+    await originationPoolDecimals.initiateSale();
+    await originationPoolDecimals.connect(user).purchase(ethers.utils.parseUnits("10", 6));
+    await advanceTime(86401);
+    await originationPoolDecimals.claimPurchaseToken();
+    const nextClaims = await hre.run("fees:sweep", { core: originationCore.address, db, ledger, confirmations: 0 });
+    expect(nextClaims.map(({ token }) => token)).to.deep.equal([purchaseTokenDecimalsLower.address]);
+    expect(loadLedger(ledger)).to.have.length(3);
+  });
+
+  it("should record the amounts transferred by the claims rather than the balances read", async () => {
+    const balances = await getFeeBalances(ethers.provider, originationCore.address, [ethers.constants.AddressZero, purchaseToken.address]);
+    // fees received after the balances were read are claimed too
+    await originationCore.connect(user1).receiveFees({ value: ethers.utils.parseEther("1") });
+    await purchaseToken.connect(user1).transfer(originationCore.address, ethers.utils.parseEther("2"));
+
+    const claims = await sweepFees(originationCore, balances);
+    expect(claims.map(({ amount }) => amount)).to.deep.equal([
+      balances[0].balance.add(ethers.utils.parseEther("1")).toString(),
+      balances[1].balance.add(ethers.utils.parseEther("2")).toString(),
+    ]);
+  });
+
+  it("should record the amount claimed when fees arrive in the same block as the claim", async () => {
+    const balances = await getFeeBalances(ethers.provider, originationCore.address, [ethers.constants.AddressZero]);
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      await originationCore.connect(user1).receiveFees({ value: ethers.utils.parseEther("1") });
+      const claims = sweepFees(originationCore, balances);
+      // mine the fees and the claim together
+      while ((await network.provider.send("eth_getBlockByNumber", ["pending", false])).transactions.length < 2) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      await network.provider.send("evm_mine");
+      const [claim] = await claims;
+
+      const block = await ethers.provider.getBlock(claim.block);
+      expect(block.transactions).to.have.length(2);
+      // the fees are claimed or left in the core depending on their order in the block
+      const coreBalance = await ethers.provider.getBalance(originationCore.address);
+      expect(claim.amount).to.equal(balances[0].balance.add(ethers.utils.parseEther("1")).sub(coreBalance).toString());
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("should report failed claims of other accounts than the revenue controller", async () => {
+    const balances = await getFeeBalances(ethers.provider, originationCore.address, [ethers.constants.AddressZero]);
+    const claims = await sweepFees(originationCore.connect(user1), balances);
+
+    expect(claims[0].status).to.equal("failed");
+    expect(claims[0].error).to.include("Only callable by revenue controller.");
+    expect(await ethers.provider.getBalance(originationCore.address)).to.equal(ethFees);
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungibleFixture");
+const { advanceTime } = require("../utils");
+
+describe("Fungible Pool sale cancellation", async () => {
+  beforeEach(async () => {
+    ({ accounts, originationCore, originationPool, originationPoolETH, originationPoolVesting, originationPoolNoReserveNoVesting, purchaseToken, offerToken } =
+      await createFixture());
+    [deployer, user, user1, manager] = accounts;
+  });
+
+  it("should end the sale and return the offer tokens to the owner", async () => {
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("2"));
+    expect(await originationPool.originationCoreFees()).to.be.gt(0);
+
+    const offerBalanceBefore = await offerToken.balanceOf(deployer.address);
+    const tx = originationPool.cancelSale();
+    await expect(tx).to.emit(originationPool, "CancelSale");
+    await expect(tx).to.emit(originationPool, "OfferTokensRetrieved").withArgs(deployer.address, ethers.utils.parseUnits("1000000", 10));
+
+    expect(await originationPool.saleCancelled()).to.be.true;
+    expect(await originationPool.saleEndTimestamp()).to.equal((await ethers.provider.getBlock("latest")).timestamp);
+    expect(await originationPool.originationCoreFees()).to.equal(0);
+    expect(await offerToken.balanceOf(originationPool.address)).to.equal(0);
+    expect((await offerToken.balanceOf(deployer.address)).sub(offerBalanceBefore)).to.equal(ethers.utils.parseUnits("1000000", 10));
+
+    await expect(originationPool.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("Sale cancelled");
+    await expect(originationPool.claimPurchaseToken()).to.be.revertedWith("Tokens already claimed");
+    await expect(originationPool.cancelSale()).to.be.revertedWith("Sale already cancelled");
+  });
+
+  it("should refund the whole contribution of every contributor", async () => {
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("2"));
+    await originationPool.purchase(ethers.utils.parseEther("3"));
+    // the reserve was met, the contributions are refunded anyway
+    expect(await originationPool.purchaseTokensAcquired()).to.be.gte(await originationPool.reserveAmount());
+    await originationPool.cancelSale();
+
+    await expect(() => originationPool.connect(user).claimTokens()).to.changeTokenBalance(purchaseToken, user, ethers.utils.parseEther("2"));
+    await expect(() => originationPool.claimTokens()).to.changeTokenBalance(purchaseToken, deployer, ethers.utils.parseEther("3"));
+    expect(await purchaseToken.balanceOf(originationPool.address)).to.equal(0);
+    await expect(originationPool.connect(user).claimTokens()).to.be.revertedWith("No contribution made");
+    await expect(originationPool.connect(user1).claimTokens()).to.be.revertedWith("No contribution made");
+  });
+
+  it("should refund ETH contributions", async () => {
+    const amountIn = ethers.utils.parseEther("1.5");
+    await originationPoolETH.initiateSale();
+    await originationPoolETH.connect(user).purchase(amountIn, { value: amountIn });
+    await originationPoolETH.cancelSale();
+
+    await expect(await originationPoolETH.connect(user).claimTokens()).to.changeEtherBalance(user, amountIn);
+    expect(await ethers.provider.getBalance(originationPoolETH.address)).to.equal(0);
+  });
+
+  it("should void the vesting entries", async () => {
+    await purchaseToken.connect(user1).approve(originationPoolVesting.address, ethers.constants.MaxUint256);
+    await originationPoolVesting.initiateSale();
+    await originationPoolVesting.connect(user1).purchase(ethers.utils.parseEther("2"));
+    const vestingId = await originationPoolVesting.userToVestingId(user1.address);
+    await originationPoolVesting.setManager(manager.address);
+    await originationPoolVesting.connect(manager).cancelSale();
+    expect(await originationPoolVesting.vestableTokenAmount()).to.equal(0);
+
+    await advanceTime(259200); // past the cliff and the vesting period
+    await expect(originationPoolVesting.connect(user1).claimVested([vestingId])).to.be.revertedWith("Sale cancelled");
+    await expect(() => originationPoolVesting.connect(user1).claimTokens()).to.changeTokenBalance(purchaseToken, user1, ethers.utils.parseEther("2"));
+  });
+
+  it("should only cancel running sales with a reserve or vesting", async () => {
+    await expect(originationPool.cancelSale()).to.be.revertedWith("Sale not initiated");
+    await originationPool.initiateSale();
+    await expect(originationPool.connect(user).cancelSale()).to.be.revertedWith("Not owner or manager");
+    await advanceTime(86401);
+    await expect(originationPool.cancelSale()).to.be.revertedWith("Sale over");
+
+    // offer tokens are sent on purchase
+    await originationPoolNoReserveNoVesting.initiateSale();
+    await expect(originationPoolNoReserveNoVesting.cancelSale()).to.be.revertedWith("Tokens already distributed once purchased");
+  });
+
+  it("should cancel a scheduled sale before it starts", async () => {
+    const saleStart = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    await originationPool.scheduleSale(saleStart);
+    await originationPool.cancelSale();
+
+    expect(await offerToken.balanceOf(originationPool.address)).to.equal(0);
+    await expect(originationPool.rescheduleSale(saleStart + 3600)).to.be.revertedWith("Sale cancelled");
+    await advanceTime(3601);
+    await expect(originationPool.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("Sale cancelled");
+  });
+});
@@ -82,6 +82,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -117,6 +119,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -152,6 +156,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: ethers.utils.parseUnits("1", 6),
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -187,6 +193,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -222,6 +230,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -257,6 +267,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -292,6 +304,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -327,6 +341,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: 259200, // 3 days vesting period
       cliffPeriod: 172800, // 2 days cliff period
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -362,6 +378,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: ethers.utils.parseUnits("1", 6),
       vestingPeriod: 259200, // 3 days vesting period
       cliffPeriod: 172800, // 2 days cliff period
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -398,6 +416,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -434,6 +454,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -470,6 +492,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: 0,
       vestingPeriod: 0,
       cliffPeriod: 0,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -505,6 +529,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -538,6 +564,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: 0,
       vestingPeriod: 0,
       cliffPeriod: 0,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -595,6 +623,8 @@ const createFixture = deployments.createFixture(async () => {
         reserveAmount: saleThreshold,
         vestingPeriod: vestingPeriod,
         cliffPeriod: cliffPeriod,
+        publicMaxContributionAmount: 0,
+        withdrawalPeriod: 0,
       },
     },
   };
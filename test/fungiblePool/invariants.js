@@ -0,0 +1,315 @@
+const { ethers, network } = require("hardhat");
+const createFixture = require("../originationCoreFixture");
+const { deployArgs, setBalance } = require("../../scripts/helpers");
+const { buildWhitelistTree } = require("../../scripts/whitelist");
+const { getCurrentTimestamp, createRandom, toBigInt } = require("../utils");
+
+// Fixed seed so runs are reproducible, set INVARIANT_SEED to fuzz other seeds
+// Set INVARIANT_SEED and INVARIANT_RUNS=1 to replay a failing run, INVARIANT_RUNS and INVARIANT_STEPS to fuzz longer
+const SEED = process.env.INVARIANT_SEED ? parseInt(process.env.INVARIANT_SEED) : 1;
+const RUNS = parseInt(process.env.INVARIANT_RUNS || "4");
+const STEPS = parseInt(process.env.INVARIANT_STEPS || "30");
+const BUYER_COUNT = 5;
+
+describe("Fungible Pool invariants", async () => {
+  let random, owner, buyers;
+
+  beforeEach(async () => {
+    ({ accounts, originationCore } = await createFixture());
+    [owner, ...buyers] = accounts.slice(0, BUYER_COUNT + 1);
+  });
+
+  /**
+   * Create and initiate a pool with random sale params
+   * Every buyer is whitelisted with a random max contribution and funded
+   */
+  const createRandomPool = async () => {
+    const offerDecimals = random.pick([6, 18]);
+    const purchaseDecimals = random.pick([6, 18, "ETH"]);
+    const isEth = purchaseDecimals == "ETH";
+    const purchaseUnits = 10n ** BigInt(isEth ? 18 : purchaseDecimals);
+
+    const offerToken = await deployArgs("MockERC20", "Offer", "OFFR", offerDecimals);
+    const purchaseToken = isEth ? undefined : await deployArgs("MockERC20", "Purchase", "PRCH", purchaseDecimals);
+
+    // prices between 0.01 and 10 purchase tokens
+    const price = () => random.bigint(purchaseUnits / 100n, purchaseUnits * 10n);
+    const totalOffered = random.bigint(1000n, 1000000n);
+    const whitelistSaleDuration = random.chance(0.5) ? random.int(3600, 3 * 86400) : 0;
+    const publicSaleDuration = whitelistSaleDuration == 0 || random.chance(0.7) ? random.int(3600, 3 * 86400) : 0;
+    const vestingPeriod = random.chance(0.5) ? random.int(3600, 10 * 86400) : 0;
+    const publicStartingPrice = price();
+    // reserve up to the cost of the whole offering at the starting price, met or not depending on the purchases
+    const reserveAmount = random.chance(0.4) ? random.bigint(1n, (totalOffered * publicStartingPrice) / 2n) : 0n;
+    // withdrawals are only allowed in sales with a reserve
+    const withdrawalPeriod = reserveAmount > 0n && random.chance(0.5) ? random.int(1, whitelistSaleDuration + publicSaleDuration) : 0;
+
+    const maxContributions = {};
+    for (const buyer of buyers) {
+      maxContributions[buyer.address] = ethers.BigNumber.from(random.bigint(purchaseUnits, totalOffered * purchaseUnits));
+    }
+    const { merkleRoot, claims } = buildWhitelistTree(maxContributions);
+
+    const saleParams = {
+      offerToken: offerToken.address,
+      purchaseToken: isEth ? ethers.constants.AddressZero : purchaseToken.address,
+      publicStartingPrice,
+      publicEndingPrice: price(),
+      whitelistStartingPrice: whitelistSaleDuration > 0 ? price() : 0n,
+      whitelistEndingPrice: whitelistSaleDuration > 0 ? price() : 0n,
+      publicSaleDuration,
+      whitelistSaleDuration,
+      totalOfferingAmount: totalOffered * 10n ** BigInt(offerDecimals),
+      reserveAmount,
+      vestingPeriod,
+      cliffPeriod: vestingPeriod > 0 && random.chance(0.5) ? random.int(0, vestingPeriod) : 0,
+      publicMaxContributionAmount: random.chance(0.3) ? random.bigint(1n, totalOffered / 10n) * publicStartingPrice : 0n,
+      withdrawalPeriod,
+    };
+    for (const key of Object.keys(saleParams)) {
+      if (typeof saleParams[key] == "bigint") {
+        saleParams[key] = saleParams[key].toString();
+      }
+    }
+
+    const receipt = await (await originationCore.createFungibleListing(saleParams, { value: await originationCore.listingFee() })).wait();
+    const poolAddress = receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool;
+    const pool = await ethers.getContractAt("FungibleOriginationPool", poolAddress);
+    await pool.setWhitelist(merkleRoot);
+
+    for (const buyer of buyers) {
+      if (isEth) {
+        await setBalance(buyer.address, ethers.BigNumber.from(2).pow(200));
+      } else {
+        await purchaseToken.transfer(buyer.address, ethers.BigNumber.from(totalOffered * purchaseUnits * 100n));
+        await purchaseToken.connect(buyer).approve(pool.address, ethers.constants.MaxUint256);
+      }
+    }
+    await offerToken.approve(pool.address, saleParams.totalOfferingAmount);
+    await pool.initiateSale();
+
+    const vestingEntryNFT = vestingPeriod > 0 ? await ethers.getContractAt("VestingEntryNFT", await pool.vestingEntryNFT()) : undefined;
+    // cost of the whole offering at the starting price, contributions are sized on it
+    const offeringCost = totalOffered * publicStartingPrice;
+    return { pool, offerToken, purchaseToken, vestingEntryNFT, claims, isEth, offeringCost, saleParams };
+  };
+
+  const balanceOf = async (token, address) => toBigInt(token === undefined ? await ethers.provider.getBalance(address) : await token.balanceOf(address));
+
+  /**
+   * Check the pool invariants
+   * @param {Object} poolInfo pool created by createRandomPool
+   * @param {Object} ghost state tracked from the pool events: { refunded, purchaseTokenClaims }
+   * @returns {Array} violated invariants
+   */
+  const checkInvariants = async ({ pool, offerToken, purchaseToken, vestingEntryNFT, claims, saleParams }, ghost) => {
+    const violations = [];
+    const check = (condition, message) => {
+      if (!condition) {
+        violations.push(message);
+      }
+    };
+
+    const [totalOfferingAmount, offerTokenAmountSold, purchaseTokensAcquired, reserveAmount, originationCoreFees, vestableTokenAmount] = (
+      await Promise.all([
+        pool.totalOfferingAmount(),
+        pool.offerTokenAmountSold(),
+        pool.purchaseTokensAcquired(),
+        pool.reserveAmount(),
+        pool.originationCoreFees(),
+        pool.vestableTokenAmount(),
+      ])
+    ).map(toBigInt);
+    const saleCancelled = await pool.saleCancelled();
+    const saleEnded = BigInt(await getCurrentTimestamp()) > toBigInt(await pool.saleEndTimestamp());
+    // contributions are refunded in full if the reserve wasn't met or the sale was cancelled
+    const refunding = saleCancelled || (saleEnded && purchaseTokensAcquired < reserveAmount);
+    const sponsorTokensClaimed = await pool.sponsorTokensClaimed();
+
+    let contributions = 0n;
+    let purchased = 0n;
+    const publicMaxContributionAmount = BigInt(saleParams.publicMaxContributionAmount);
+    for (const buyer of buyers) {
+      const contribution = toBigInt(await pool.purchaseTokenContribution(buyer.address));
+      contributions += contribution;
+      purchased += toBigInt(await pool.offerTokenAmountPurchased(buyer.address));
+
+      // public purchases stop at the public max contribution, whitelist purchases at the whitelist max contribution
+      const maxContributionAmount = BigInt(claims[buyer.address].maxContributionAmount);
+      if (publicMaxContributionAmount > 0n) {
+        const cap = publicMaxContributionAmount > maxContributionAmount ? publicMaxContributionAmount : maxContributionAmount;
+        check(contribution <= cap, `contribution ${contribution} of ${buyer.address} exceeds the max contribution ${cap}`);
+      }
+    }
+
+    check(offerTokenAmountSold <= totalOfferingAmount, `offerTokenAmountSold ${offerTokenAmountSold} exceeds totalOfferingAmount ${totalOfferingAmount}`);
+    check(
+      contributions + ghost.refunded == purchaseTokensAcquired,
+      `contributions ${contributions} plus refunds ${ghost.refunded} don't match purchaseTokensAcquired ${purchaseTokensAcquired}`
+    );
+
+    if (vestingEntryNFT !== undefined) {
+      let unclaimed = 0n;
+      const vestingID = toBigInt(await pool.vestingID());
+      for (let entryId = 0n; entryId < vestingID; ++entryId) {
+        const { tokenAmount, tokenAmountClaimed } = await vestingEntryNFT.tokenIdVestingAmounts(entryId);
+        unclaimed += toBigInt(tokenAmount) - toBigInt(tokenAmountClaimed);
+      }
+      // vesting entries of cancelled sales are void
+      const vested = saleCancelled ? 0n : unclaimed;
+      check(vested == vestableTokenAmount, `vestableTokenAmount ${vestableTokenAmount} doesn't match the unclaimed vesting entries ${vested}`);
+    }
+
+    // offer tokens owed to buyers and to the owner for the unsold amount, nothing is owed if the contributions are refunded
+    let offerObligations = 0n;
+    if (!refunding) {
+      offerObligations += vestingEntryNFT !== undefined ? vestableTokenAmount : purchased;
+      if (!sponsorTokensClaimed) {
+        offerObligations += totalOfferingAmount - offerTokenAmountSold;
+      }
+    }
+    const offerBalance = await balanceOf(offerToken, pool.address);
+    check(offerBalance >= offerObligations, `offer token balance ${offerBalance} doesn't cover the obligations ${offerObligations}`);
+
+    // purchase tokens owed to the core or refunds of the whole contributions owed to buyers
+    const purchaseObligations = refunding ? contributions : originationCoreFees;
+    check(
+      ghost.pausedTransfers == 0,
+      `${ghost.pausedTransfers} purchases, claims of offer tokens or sponsor claims of purchase tokens succeeded while paused`
+    );
+    check(!saleCancelled || originationCoreFees == 0n, `origination fees ${originationCoreFees} are charged on a cancelled sale`);
+    const purchaseBalance = await balanceOf(purchaseToken, pool.address);
+    check(purchaseBalance >= purchaseObligations, `purchase token balance ${purchaseBalance} doesn't cover the obligations ${purchaseObligations}`);
+    if (ghost.purchaseTokenClaims == 0) {
+      check(
+        purchaseBalance == purchaseTokensAcquired - ghost.refunded,
+        `purchase token balance ${purchaseBalance} doesn't match purchaseTokensAcquired ${purchaseTokensAcquired} minus refunds ${ghost.refunded}`
+      );
+    }
+
+    return violations;
+  };
+
+  /**
+   * Pick a random action, as { description, send } where send returns the transaction
+   * Actions are weighted by the sale phase so most of them are valid, invalid ones are kept to check reverts don't break the invariants
+   */
+  const randomAction = async ({ pool, vestingEntryNFT, claims, isEth, offeringCost, saleParams }) => {
+    const buyer = random.pick(buyers);
+    const name = buyer.address.slice(0, 8);
+    const saleOpen = BigInt(await getCurrentTimestamp()) < toBigInt(await pool.saleEndTimestamp());
+    const roll = random.int(1, 100);
+
+    if (saleOpen && roll <= 60) {
+      const contributionAmount = random.bigint(0n, offeringCost / 2n + 1n);
+      const overrides = isEth ? { value: contributionAmount } : {};
+      // mostly the purchase of the current period
+      if ((await pool.isWhitelistMintPeriod()) == random.chance(0.8)) {
+        const { proof, maxContributionAmount } = claims[buyer.address];
+        return {
+          description: `${name} whitelistPurchase ${contributionAmount}`,
+          send: () => pool.connect(buyer).whitelistPurchase(proof, contributionAmount, maxContributionAmount, overrides),
+        };
+      }
+      return { description: `${name} purchase ${contributionAmount}`, send: () => pool.connect(buyer).purchase(contributionAmount, overrides) };
+    }
+    if (saleOpen && saleParams.withdrawalPeriod > 0 && roll <= 75) {
+      // mostly a buyer with a contribution, up to the whole contribution and sometimes above it
+      const contributors = [];
+      for (const contributor of buyers) {
+        if ((await pool.purchaseTokenContribution(contributor.address)).gt(0)) {
+          contributors.push(contributor);
+        }
+      }
+      const withdrawer = contributors.length > 0 && random.chance(0.9) ? random.pick(contributors) : buyer;
+      const contributionAmount = random.bigint(0n, toBigInt(await pool.purchaseTokenContribution(withdrawer.address)) + 1n);
+      return {
+        description: `${withdrawer.address.slice(0, 8)} withdrawContribution ${contributionAmount}`,
+        send: () => pool.connect(withdrawer).withdrawContribution(contributionAmount),
+      };
+    }
+    if (roll <= 80) {
+      const saleDuration = saleParams.publicSaleDuration + saleParams.whitelistSaleDuration;
+      const seconds = random.int(1, Math.floor(Math.max(saleDuration, saleParams.vestingPeriod) / 3) + 1);
+      return {
+        description: `wait ${seconds}s`,
+        send: async () => {
+          await network.provider.send("evm_increaseTime", [seconds]);
+          await network.provider.send("evm_mine");
+        },
+      };
+    }
+    if (vestingEntryNFT !== undefined && random.chance(0.6)) {
+      // entries of a random holder
+      const holders = {};
+      const vestingID = (await pool.vestingID()).toNumber();
+      for (let entryId = 0; entryId < vestingID; ++entryId) {
+        const holder = await vestingEntryNFT.ownerOf(entryId);
+        holders[holder] = [...(holders[holder] || []), entryId];
+      }
+      const holder = buyers.find(({ address }) => address == random.pick(Object.keys(holders))) || buyer;
+      const entryIds = holders[holder.address] || [];
+      return { description: `${holder.address.slice(0, 8)} claimVested [${entryIds}]`, send: () => pool.connect(holder).claimVested(entryIds) };
+    }
+    if (random.chance(0.6)) {
+      return { description: `${name} claimTokens`, send: () => pool.connect(buyer).claimTokens() };
+    }
+    if (random.chance(0.6)) {
+      return { description: "owner claimPurchaseToken", send: () => pool.connect(owner).claimPurchaseToken() };
+    }
+    if (random.chance(0.6)) {
+      const paused = await pool.paused();
+      return { description: `owner ${paused ? "unpause" : "pause"}`, send: () => (paused ? pool.connect(owner).unpause() : pool.connect(owner).pause()) };
+    }
+    return { description: "owner cancelSale", send: () => pool.connect(owner).cancelSale() };
+  };
+
+  const fuzzPool = async (seed) => {
+    random = createRandom(seed);
+    const poolInfo = await createRandomPool();
+    const { pool } = poolInfo;
+    const ghost = { refunded: 0n, purchaseTokenClaims: 0, pausedTransfers: 0 };
+    const trace = [`pool ${JSON.stringify(poolInfo.saleParams)}`];
+
+    for (let step = 0; step < STEPS; ++step) {
+      const { description, send } = await randomAction(poolInfo);
+      let outcome = "ok";
+      const paused = await pool.isPaused();
+      try {
+        const tx = await send();
+        if (tx !== undefined) {
+          const receipt = await tx.wait();
+          for (const { event, args } of receipt.events.filter(({ address }) => address == pool.address)) {
+            if (event == "PurchaseTokensRetrieved") {
+              ghost.refunded += toBigInt(args.amountRetrieved);
+            } else if (event == "PurchaseTokenClaim") {
+              ghost.purchaseTokenClaims++;
+            }
+            if (paused && ["Purchase", "TokensClaimed", "ClaimVested", "PurchaseTokenClaim"].includes(event)) {
+              ghost.pausedTransfers++;
+            }
+          }
+        }
+      } catch (err) {
+        // random actions are often invalid, reverts are part of the sequence
+        outcome = `reverted (${(err.message.match(/reverted with reason string '(.*)'/) || [, "no reason"])[1]})`;
+      }
+      trace.push(`${step}: ${description} -> ${outcome}`);
+
+      const violations = await checkInvariants(poolInfo, ghost);
+      if (violations.length > 0) {
+        throw new Error(
+          `invariants violated at step ${step}, replay with INVARIANT_SEED=${seed} INVARIANT_RUNS=1\n  ` +
+            `${violations.join("\n  ")}\ntrace:\n  ${trace.join("\n  ")}`
+        );
+      }
+    }
+  };
+
+  for (let run = 0; run < RUNS; ++run) {
+    const seed = (SEED + run) % 2 ** 31;
+    it(`should keep the pool invariants over random actions (seed ${seed})`, async () => {
+      await fuzzPool(seed);
+    });
+  }
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungibleFixture");
+const { advanceTime } = require("../utils");
+
+describe("Fungible Pool pause", async () => {
+  beforeEach(async () => {
+    ({
+      accounts,
+      originationCore,
+      originationPool,
+      originationPoolVesting,
+      originationPoolWhitelist,
+      originationPoolNoReserveNoVesting,
+      purchaseToken,
+      offerToken,
+      userProof,
+      whitelist,
+    } = await createFixture());
+    [deployer, user, user1, manager] = accounts;
+  });
+
+  it("should pause and unpause purchases as owner or manager", async () => {
+    await originationPoolWhitelist.setManager(manager.address);
+    await originationPoolWhitelist.initiateSale();
+    await expect(originationPoolWhitelist.connect(user).pause()).to.be.revertedWith("Not owner or manager");
+    await expect(originationPoolWhitelist.unpause()).to.be.revertedWith("Not paused");
+
+    await expect(originationPoolWhitelist.connect(manager).pause()).to.emit(originationPoolWhitelist, "PauseSet").withArgs(true);
+    expect(await originationPoolWhitelist.paused()).to.be.true;
+    expect(await originationPoolWhitelist.isPaused()).to.be.true;
+    await expect(originationPoolWhitelist.pause()).to.be.revertedWith("Already paused");
+    await expect(
+      originationPoolWhitelist.connect(user).whitelistPurchase(userProof, ethers.utils.parseEther("1"), whitelist[user.address])
+    ).to.be.revertedWith("Pool paused");
+
+    await expect(originationPoolWhitelist.unpause()).to.emit(originationPoolWhitelist, "PauseSet").withArgs(false);
+    await originationPoolWhitelist.connect(user).whitelistPurchase(userProof, ethers.utils.parseEther("1"), whitelist[user.address]);
+
+    await advanceTime(86401);
+    await originationPoolWhitelist.pause();
+    await expect(originationPoolWhitelist.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("Pool paused");
+  });
+
+  it("should pause every pool while the protocol is paused", async () => {
+    await originationPool.initiateSale();
+    await originationCore.pause();
+    expect(await originationPool.paused()).to.be.false;
+    expect(await originationPool.isPaused()).to.be.true;
+    await expect(originationPool.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("Pool paused");
+
+    // the pool stays paused until both are unpaused
+    await originationPool.pause();
+    await originationCore.unpause();
+    await expect(originationPool.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("Pool paused");
+    await originationPool.unpause();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("1"));
+  });
+
+  it("should block claims of offer tokens while paused", async () => {
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("2"));
+    await originationPoolVesting.initiateSale();
+    await originationPoolVesting.connect(user).purchase(ethers.utils.parseEther("2"));
+    const vestingId = await originationPoolVesting.userToVestingId(user.address);
+    await advanceTime(259200); // past the cliff and the vesting period
+
+    await originationCore.pause();
+    await expect(originationPool.connect(user).claimTokens()).to.be.revertedWith("Pool paused");
+    await expect(originationPoolVesting.connect(user).claimVested([vestingId])).to.be.revertedWith("Pool paused");
+
+    await originationCore.unpause();
+    await expect(() => originationPool.connect(user).claimTokens()).to.changeTokenBalance(offerToken, user, ethers.utils.parseUnits("20", 10));
+    await originationPoolVesting.connect(user).claimVested([vestingId]);
+  });
+
+  it("should not pay out the proceeds while buyers can't claim their offer tokens", async () => {
+    await originationPool.setManager(manager.address);
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("2"));
+    await advanceTime(86401);
+
+    // the sponsor can't pause the pool to take the proceeds and strand the buyers
+    await originationPool.connect(manager).pause();
+    await expect(originationPool.claimPurchaseToken()).to.be.revertedWith("Pool paused");
+    await expect(originationPool.connect(user).claimTokens()).to.be.revertedWith("Pool paused");
+    await originationPool.unpause();
+    await originationCore.pause();
+    await expect(originationPool.connect(manager).claimPurchaseToken()).to.be.revertedWith("Pool paused");
+    await originationCore.unpause();
+
+    await expect(() => originationPool.claimPurchaseToken()).to.changeTokenBalance(purchaseToken, deployer, ethers.utils.parseEther("1.98")); // net of the 1% origination fee
+    await expect(() => originationPool.connect(user).claimTokens()).to.changeTokenBalance(offerToken, user, ethers.utils.parseUnits("20", 10));
+
+    // pools without reserve and vesting don't pay out the proceeds during the sale while paused either
+    await originationPoolNoReserveNoVesting.initiateSale();
+    await advanceTime(86401);
+    await originationPoolNoReserveNoVesting.connect(user).purchase(ethers.utils.parseEther("1"));
+    await originationPoolNoReserveNoVesting.pause();
+    await expect(originationPoolNoReserveNoVesting.claimPurchaseToken()).to.be.revertedWith("Pool paused");
+  });
+
+  it("should let the sponsor retrieve the offer tokens of a sale below the reserve while paused", async () => {
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("0.5"));
+    await advanceTime(86401);
+    await originationPool.pause();
+
+    await expect(originationPool.claimPurchaseToken()).to.emit(originationPool, "OfferTokensRetrieved");
+  });
+
+  it("should keep refunds available while paused", async () => {
+    // below the reserve
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("0.5"));
+    await advanceTime(86401);
+    await originationPool.pause();
+    await originationCore.pause();
+    await expect(() => originationPool.connect(user).claimTokens()).to.changeTokenBalance(purchaseToken, user, ethers.utils.parseEther("0.5"));
+
+    // cancelled
+    await originationCore.unpause();
+    await originationPoolVesting.initiateSale();
+    await originationPoolVesting.connect(user).purchase(ethers.utils.parseEther("2"));
+    await originationPoolVesting.pause();
+    await originationPoolVesting.cancelSale();
+    await expect(() => originationPoolVesting.connect(user).claimTokens()).to.changeTokenBalance(purchaseToken, user, ethers.utils.parseEther("2"));
+  });
+});
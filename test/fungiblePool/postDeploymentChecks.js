@@ -46,6 +46,8 @@ describe("Fungible Pool state check right after deployment", async () => {
     expect(await originationPool.reserveAmount()).to.eq(params.reserveAmount);
     expect(await originationPool.vestingPeriod()).to.eq(params.vestingPeriod);
     expect(await originationPool.cliffPeriod()).to.eq(params.cliffPeriod);
+    expect(await originationPool.publicMaxContributionAmount()).to.eq(params.publicMaxContributionAmount);
+    expect(await originationPool.withdrawalPeriod()).to.eq(params.withdrawalPeriod);
     expect(await originationPool.whitelistMerkleRoot()).to.eq(rootHash);
     expect(await originationPool.originationFee()).to.eq(originationFee);
     if (params.vestingPeriod === 0) {
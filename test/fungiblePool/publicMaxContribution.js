@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungibleFixture");
+const { advanceTime } = require("../utils");
+
+describe("Fungible Pool public max contribution", async () => {
+  const maxContribution = ethers.utils.parseEther("2");
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, purchaseToken, offerToken, rootHash, userProof, whitelist } = await createFixture());
+    [deployer, user, user1] = accounts;
+  });
+
+  /**
+   * Create and initiate a pool selling 1m OFFR at 0.1 purchase tokens, with a public max contribution of 2 purchase tokens
+   */
+  const createPool = async (params) => {
+    const receipt = await (
+      await originationCore.createFungibleListing(
+        {
+          offerToken: offerToken.address,
+          purchaseToken: purchaseToken.address,
+          publicStartingPrice: ethers.utils.parseEther("0.1"),
+          publicEndingPrice: ethers.utils.parseEther("0.1"),
+          whitelistStartingPrice: 0,
+          whitelistEndingPrice: 0,
+          publicSaleDuration: 86400,
+          whitelistSaleDuration: 0,
+          totalOfferingAmount: ethers.utils.parseUnits("1000000", 10),
+          reserveAmount: 0,
+          vestingPeriod: 0,
+          cliffPeriod: 0,
+          publicMaxContributionAmount: maxContribution,
+          withdrawalPeriod: 0,
+          ...params,
+        },
+        { value: await originationCore.listingFee() }
+      )
+    ).wait();
+    const pool = await ethers.getContractAt("FungibleOriginationPool", receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool);
+    await pool.setWhitelist(rootHash);
+    await offerToken.approve(pool.address, ethers.utils.parseUnits("1000000", 10));
+    await purchaseToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.initiateSale();
+    return pool;
+  };
+
+  it("should refund the contribution above the public max contribution", async () => {
+    const pool = await createPool();
+    expect(await pool.publicMaxContributionAmount()).to.equal(maxContribution);
+    expect(await pool.getRemainingPublicContribution(user.address)).to.equal(maxContribution);
+
+    await pool.connect(user).purchase(ethers.utils.parseEther("1.5"));
+    expect(await pool.getRemainingPublicContribution(user.address)).to.equal(ethers.utils.parseEther("0.5"));
+
+    // only 0.5 of the 1.5 purchase tokens are contributed
+    await expect(() => pool.connect(user).purchase(ethers.utils.parseEther("1.5"))).to.changeTokenBalance(
+      purchaseToken,
+      user,
+      ethers.utils.parseEther("-0.5")
+    );
+    expect(await pool.purchaseTokenContribution(user.address)).to.equal(maxContribution);
+    // offer tokens of pools without reserve and vesting are sent on purchase
+    expect(await offerToken.balanceOf(user.address)).to.equal(ethers.utils.parseUnits("20", 10));
+    expect(await pool.purchaseTokensAcquired()).to.equal(maxContribution);
+    expect(await pool.getRemainingPublicContribution(user.address)).to.equal(0);
+
+    await expect(pool.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("User has reached their max contribution amount");
+  });
+
+  it("should refund ETH contributions above the public max contribution", async () => {
+    const pool = await createPool({ purchaseToken: ethers.constants.AddressZero });
+    const amountIn = ethers.utils.parseEther("3");
+
+    await expect(await pool.connect(user).purchase(amountIn, { value: amountIn })).to.changeEtherBalance(user, maxContribution.mul(-1));
+    expect(await pool.purchaseTokenContribution(user.address)).to.equal(maxContribution);
+    expect(await ethers.provider.getBalance(pool.address)).to.equal(maxContribution);
+  });
+
+  it("should count whitelist contributions towards the public max contribution", async () => {
+    const pool = await createPool({
+      whitelistStartingPrice: ethers.utils.parseEther("0.05"),
+      whitelistEndingPrice: ethers.utils.parseEther("0.05"),
+      whitelistSaleDuration: 3600,
+    });
+
+    // the whitelist max contribution of the user is above the public one
+    await pool.connect(user).whitelistPurchase(userProof, ethers.utils.parseEther("5"), whitelist[user.address]);
+    expect(await pool.getRemainingPublicContribution(user.address)).to.equal(0);
+
+    await advanceTime(3601);
+    expect(await pool.isPublicMintPeriod()).to.be.true;
+    await expect(pool.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("User has reached their max contribution amount");
+  });
+
+  it("should not cap contributions without a public max contribution", async () => {
+    const pool = await createPool({ publicMaxContributionAmount: 0 });
+    expect(await pool.getRemainingPublicContribution(user.address)).to.equal(ethers.constants.MaxUint256);
+
+    await pool.connect(user).purchase(ethers.utils.parseEther("10"));
+    expect(await pool.purchaseTokenContribution(user.address)).to.equal(ethers.utils.parseEther("10"));
+    expect(await pool.getRemainingPublicContribution(user.address)).to.equal(ethers.constants.MaxUint256);
+  });
+});
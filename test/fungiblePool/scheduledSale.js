@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const createFixture = require("./fungibleFixture");
+const { getCurrentTimestamp } = require("../utils");
+
+describe("Fungible Pool scheduled sale", async () => {
+  let saleStart;
+
+  const mineAt = async (timestamp) => {
+    await network.provider.send("evm_mine", [timestamp]);
+  };
+
+  beforeEach(async () => {
+    ({ accounts, originationPool, originationPoolWhitelist, offerToken, userProof, whitelist } = await createFixture());
+    [deployer, user, manager] = accounts;
+    saleStart = (await getCurrentTimestamp()) + 3600;
+  });
+
+  it("should fund the pool and schedule the start of the sale", async () => {
+    await expect(originationPoolWhitelist.scheduleSale(saleStart))
+      .to.emit(originationPoolWhitelist, "InitiateSale")
+      .withArgs(ethers.utils.parseUnits("1000000", 10))
+      .and.to.emit(originationPoolWhitelist, "ScheduleSale")
+      .withArgs(saleStart);
+
+    expect(await originationPoolWhitelist.saleInitiated()).to.be.true;
+    expect(await originationPoolWhitelist.saleInitiatedTimestamp()).to.equal(saleStart);
+    expect(await originationPoolWhitelist.saleEndTimestamp()).to.equal(saleStart + 2 * 86400);
+    expect(await offerToken.balanceOf(originationPoolWhitelist.address)).to.equal(ethers.utils.parseUnits("1000000", 10));
+  });
+
+  it("should not sell before the sale start", async () => {
+    await originationPoolWhitelist.scheduleSale(saleStart);
+
+    expect(await originationPoolWhitelist.isWhitelistMintPeriod()).to.be.false;
+    expect(await originationPoolWhitelist.isPublicMintPeriod()).to.be.false;
+    expect(await originationPoolWhitelist.getOfferTokenPrice()).to.equal(ethers.utils.parseEther("0.05"));
+    await expect(
+      originationPoolWhitelist.connect(user).whitelistPurchase(userProof, ethers.utils.parseEther("1"), whitelist[user.address])
+    ).to.be.revertedWith("Not whitelist period");
+    await expect(originationPoolWhitelist.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("Not public mint period");
+
+    // purchases are open after the start
+    await mineAt(saleStart);
+    expect(await originationPoolWhitelist.isWhitelistMintPeriod()).to.be.false;
+    await originationPoolWhitelist.connect(user).whitelistPurchase(userProof, ethers.utils.parseEther("1"), whitelist[user.address]);
+    expect(await originationPoolWhitelist.purchaseTokenContribution(user.address)).to.equal(ethers.utils.parseEther("1"));
+
+    await mineAt(saleStart + 86401);
+    expect(await originationPoolWhitelist.isPublicMintPeriod()).to.be.true;
+    expect(await originationPoolWhitelist.getOfferTokenPrice()).to.equal(ethers.utils.parseEther("0.1"));
+  });
+
+  it("should reschedule the sale until it starts", async () => {
+    await originationPool.setManager(manager.address);
+    await originationPool.scheduleSale(saleStart);
+
+    await expect(originationPool.connect(user).rescheduleSale(saleStart + 3600)).to.be.revertedWith("Not owner or manager");
+    await expect(originationPool.connect(manager).rescheduleSale(saleStart + 3600))
+      .to.emit(originationPool, "ScheduleSale")
+      .withArgs(saleStart + 3600);
+    expect(await originationPool.saleInitiatedTimestamp()).to.equal(saleStart + 3600);
+    expect(await originationPool.saleEndTimestamp()).to.equal(saleStart + 3600 + 86400);
+
+    // bring the start forward
+    const now = await getCurrentTimestamp();
+    await originationPool.rescheduleSale(now + 10);
+    await mineAt(now + 11);
+    expect(await originationPool.isPublicMintPeriod()).to.be.true;
+    await expect(originationPool.rescheduleSale(now + 3600)).to.be.revertedWith("Sale already started");
+  });
+
+  it("shouldn't schedule a sale in the past, or reschedule a sale which isn't initiated", async () => {
+    await expect(originationPool.rescheduleSale(saleStart)).to.be.revertedWith("Sale not initiated");
+    await expect(originationPool.scheduleSale((await getCurrentTimestamp()) - 1)).to.be.revertedWith("Sale start must not be in the past");
+    await expect(originationPool.connect(user).scheduleSale(saleStart)).to.be.revertedWith("Not owner or manager");
+
+    await originationPool.scheduleSale(saleStart);
+    await expect(originationPool.scheduleSale(saleStart)).to.be.revertedWith("Sale already initiated");
+    await expect(originationPool.initiateSale()).to.be.revertedWith("Sale already initiated");
+    await expect(originationPool.rescheduleSale((await getCurrentTimestamp()) - 1)).to.be.revertedWith("Sale start must not be in the past");
+  });
+});
@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungibleFixture");
+const { advanceTime } = require("../utils");
+
+describe("Fungible Pool contribution withdrawal", async () => {
+  const withdrawalPeriod = 3600;
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, originationPool, purchaseToken, offerToken } = await createFixture());
+    [deployer, user, user1] = accounts;
+  });
+
+  /**
+   * Create and initiate a pool selling 1m OFFR from 0.1 to 0.2 purchase tokens, with a reserve of 1 purchase token
+   * and contributions withdrawable in the first hour of the sale
+   */
+  const createPool = async (params) => {
+    const receipt = await (
+      await originationCore.createFungibleListing(
+        {
+          offerToken: offerToken.address,
+          purchaseToken: purchaseToken.address,
+          publicStartingPrice: ethers.utils.parseEther("0.1"),
+          publicEndingPrice: ethers.utils.parseEther("0.2"),
+          whitelistStartingPrice: 0,
+          whitelistEndingPrice: 0,
+          publicSaleDuration: 86400,
+          whitelistSaleDuration: 0,
+          totalOfferingAmount: ethers.utils.parseUnits("1000000", 10),
+          reserveAmount: ethers.utils.parseEther("1"),
+          vestingPeriod: 0,
+          cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod,
+          ...params,
+        },
+        { value: await originationCore.listingFee() }
+      )
+    ).wait();
+    const pool = await ethers.getContractAt("FungibleOriginationPool", receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool);
+    await offerToken.approve(pool.address, ethers.utils.parseUnits("1000000", 10));
+    await purchaseToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    await purchaseToken.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.initiateSale();
+    return pool;
+  };
+
+  it("should refund withdrawals at the average purchase price", async () => {
+    const pool = await createPool();
+    expect(await pool.withdrawalPeriod()).to.equal(withdrawalPeriod);
+
+    // the price rises between the purchases
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    expect(await pool.isWithdrawalPeriod()).to.be.true;
+    await advanceTime(1800);
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await pool.connect(user1).purchase(ethers.utils.parseEther("1"));
+    const purchased = await pool.offerTokenAmountPurchased(user.address);
+    const sold = await pool.offerTokenAmountSold();
+    const fees = await pool.originationCoreFees();
+
+    const offerAmount = purchased.sub(purchased.div(2));
+    const fee = ethers.utils.parseEther("0.01");
+    await expect(() => pool.connect(user).withdrawContribution(ethers.utils.parseEther("1"))).to.changeTokenBalance(
+      purchaseToken,
+      user,
+      ethers.utils.parseEther("1")
+    );
+    expect(await pool.purchaseTokenContribution(user.address)).to.equal(ethers.utils.parseEther("1"));
+    expect(await pool.offerTokenAmountPurchased(user.address)).to.equal(purchased.div(2));
+    expect(await pool.offerTokenAmountSold()).to.equal(sold.sub(offerAmount));
+    expect(await pool.purchaseTokensAcquired()).to.equal(ethers.utils.parseEther("2"));
+    expect(await pool.originationCoreFees()).to.equal(fees.sub(fee));
+
+    await expect(pool.connect(user).withdrawContribution(ethers.utils.parseEther("1")))
+      .to.emit(pool, "WithdrawContribution")
+      .withArgs(user.address, ethers.utils.parseEther("1"), purchased.div(2), fee);
+    expect(await pool.purchaseTokenContribution(user.address)).to.equal(0);
+    expect(await pool.offerTokenAmountPurchased(user.address)).to.equal(0);
+    expect(await pool.purchaseTokensAcquired()).to.equal(ethers.utils.parseEther("1"));
+    expect(await pool.originationCoreFees()).to.equal(fees.sub(fee.mul(2)));
+
+    // the offer tokens withdrawn are sold again
+    await advanceTime(86400);
+    await expect(() => pool.connect(user1).claimTokens()).to.changeTokenBalance(
+      offerToken,
+      user1,
+      await pool.offerTokenAmountPurchased(user1.address)
+    );
+    await expect(pool.connect(user).claimTokens()).to.be.revertedWith("No purchase made");
+  });
+
+  it("should refund ETH withdrawals", async () => {
+    const pool = await createPool({ purchaseToken: ethers.constants.AddressZero });
+    const amountIn = ethers.utils.parseEther("2");
+    await pool.connect(user).purchase(amountIn, { value: amountIn });
+
+    await expect(await pool.connect(user).withdrawContribution(ethers.utils.parseEther("0.5"))).to.changeEtherBalance(
+      user,
+      ethers.utils.parseEther("0.5")
+    );
+    expect(await ethers.provider.getBalance(pool.address)).to.equal(ethers.utils.parseEther("1.5"));
+  });
+
+  it("should deduct withdrawals from the vesting entry and add purchases to it", async () => {
+    const pool = await createPool({ vestingPeriod: 259200, cliffPeriod: 172800 });
+    await pool.connect(user).purchase(ethers.utils.parseEther("2"));
+    const vestingId = await pool.userToVestingId(user.address);
+    const vestingEntryNFT = await ethers.getContractAt("VestingEntryNFT", await pool.vestingEntryNFT());
+
+    await pool.connect(user).withdrawContribution(ethers.utils.parseEther("1.5"));
+    let purchased = await pool.offerTokenAmountPurchased(user.address);
+    expect((await vestingEntryNFT.tokenIdVestingAmounts(vestingId)).tokenAmount).to.equal(purchased);
+    expect(await pool.vestableTokenAmount()).to.equal(purchased);
+
+    // purchases during the withdrawal period don't create a new entry
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    purchased = await pool.offerTokenAmountPurchased(user.address);
+    expect(await pool.userToVestingId(user.address)).to.equal(vestingId);
+    expect(await vestingEntryNFT.balanceOf(user.address)).to.equal(1);
+    expect((await vestingEntryNFT.tokenIdVestingAmounts(vestingId)).tokenAmount).to.equal(purchased);
+    expect(await pool.vestableTokenAmount()).to.equal(purchased);
+
+    await advanceTime(86400 + 259200);
+    await expect(() => pool.connect(user).claimVested([vestingId])).to.changeTokenBalance(offerToken, user, purchased);
+  });
+
+  it("should lock vesting entries until the withdrawal period ends", async () => {
+    const pool = await createPool({ vestingPeriod: 259200, cliffPeriod: 172800 });
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    const vestingId = await pool.userToVestingId(user.address);
+    const vestingEntryNFT = await ethers.getContractAt("VestingEntryNFT", await pool.vestingEntryNFT());
+
+    // a transferred entry couldn't be deducted from by the withdrawals of its purchaser
+    await expect(vestingEntryNFT.connect(user).transferFrom(user.address, user1.address, vestingId)).to.be.revertedWith(
+      "Entry locked in withdrawal period"
+    );
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await pool.connect(user).withdrawContribution(ethers.utils.parseEther("1.5"));
+    const entryAmount = (await vestingEntryNFT.tokenIdVestingAmounts(vestingId)).tokenAmount;
+    expect(entryAmount).to.equal(await pool.offerTokenAmountPurchased(user.address));
+
+    // after the withdrawal period, entries transfer and purchases mint a new entry
+    await advanceTime(withdrawalPeriod);
+    await vestingEntryNFT.connect(user).transferFrom(user.address, user1.address, vestingId);
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    const newVestingId = await pool.userToVestingId(user.address);
+    expect(newVestingId).to.not.equal(vestingId);
+    const newEntryAmount = (await vestingEntryNFT.tokenIdVestingAmounts(newVestingId)).tokenAmount;
+    expect(entryAmount.add(newEntryAmount)).to.equal(await pool.offerTokenAmountPurchased(user.address));
+    await expect(pool.connect(user).withdrawContribution(ethers.utils.parseEther("1"))).to.be.revertedWith("Not withdrawal period");
+
+    await advanceTime(86400 + 259200);
+    await expect(() => pool.connect(user1).claimVested([vestingId])).to.changeTokenBalance(offerToken, user1, entryAmount);
+    await expect(() => pool.connect(user).claimVested([newVestingId])).to.changeTokenBalance(offerToken, user, newEntryAmount);
+  });
+
+  it("should only withdraw contributions of the caller in the withdrawal period", async () => {
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("1"));
+    // the pool has no withdrawal period
+    await expect(originationPool.connect(user).withdrawContribution(ethers.utils.parseEther("1"))).to.be.revertedWith("Not withdrawal period");
+
+    const pool = await createPool();
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await expect(pool.connect(user).withdrawContribution(0)).to.be.revertedWith("Invalid withdrawal amount");
+    await expect(pool.connect(user).withdrawContribution(ethers.utils.parseEther("1.1"))).to.be.revertedWith("Invalid withdrawal amount");
+    await expect(pool.connect(user1).withdrawContribution(ethers.utils.parseEther("1"))).to.be.revertedWith("Invalid withdrawal amount");
+
+    await advanceTime(withdrawalPeriod);
+    expect(await pool.isWithdrawalPeriod()).to.be.false;
+    expect(await pool.isPublicMintPeriod()).to.be.true;
+    await expect(pool.connect(user).withdrawContribution(ethers.utils.parseEther("1"))).to.be.revertedWith("Not withdrawal period");
+  });
+
+  it("should not withdraw from cancelled sales", async () => {
+    const pool = await createPool();
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await pool.cancelSale();
+
+    expect(await pool.isWithdrawalPeriod()).to.be.false;
+    await expect(pool.connect(user).withdrawContribution(ethers.utils.parseEther("1"))).to.be.revertedWith("Not withdrawal period");
+    await expect(() => pool.connect(user).claimTokens()).to.changeTokenBalance(purchaseToken, user, ethers.utils.parseEther("1"));
+  });
+
+  it("should keep withdrawals available while paused", async () => {
+    const pool = await createPool();
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await pool.pause();
+    await originationCore.pause();
+
+    await expect(pool.connect(user).purchase(ethers.utils.parseEther("1"))).to.be.revertedWith("Pool paused");
+    await expect(() => pool.connect(user).withdrawContribution(ethers.utils.parseEther("1"))).to.changeTokenBalance(
+      purchaseToken,
+      user,
+      ethers.utils.parseEther("1")
+    );
+  });
+
+  it("should only allow withdrawal periods within the sale of pools with a reserve", async () => {
+    await expect(createPool({ withdrawalPeriod: 86401 })).to.be.revertedWith("Invalid withdrawal period");
+    await expect(createPool({ reserveAmount: 0 })).to.be.revertedWith("Withdrawals require a reserve amount");
+
+    // the withdrawal period can last the whole sale
+    const pool = await createPool({ whitelistSaleDuration: 3600, whitelistStartingPrice: 1, whitelistEndingPrice: 1, withdrawalPeriod: 90000 });
+    expect(await pool.withdrawalPeriod()).to.equal(90000);
+  });
+});
@@ -0,0 +1,28 @@
+const { expect } = require("chai");
+const { compareGasBaseline, formatGasReport } = require("../scripts/gas");
+
+describe("Gas baseline comparison", async () => {
+  it("should flag changes above the threshold", async () => {
+    const baseline = { purchase: 100000, claimVested: 200000, claimTokens: 50000, removed: 1000 };
+    const results = { purchase: 101000, claimVested: 205000, claimTokens: 40000, added: 3000 };
+
+    const rows = compareGasBaseline(baseline, results, 2);
+    expect(rows.map(({ name, status }) => [name, status])).to.deep.equal([
+      ["purchase", "ok"],
+      ["claimVested", "regression"],
+      ["claimTokens", "improvement"],
+      ["added", "new"],
+      ["removed", "removed"],
+    ]);
+    expect(rows[1].change).to.equal(2.5);
+  });
+
+  it("should format the comparison as a table", async () => {
+    const report = formatGasReport(compareGasBaseline({ purchase: 100000 }, { purchase: 103000, added: 3000 }));
+    expect(report.split("\n")).to.deep.equal([
+      "benchmark  baseline  gas used  change  status",
+      "purchase   100000    103000    +3.00%  regression",
+      "added      -         3000      -       new",
+    ]);
+  });
+});
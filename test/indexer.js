@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { advanceTime, getEvmSnapshot, revertEvm, expectError } = require("./utils");
+const { createIndex, runIndexer, getIndexedData } = require("../scripts/indexer");
+
+describe("Event indexer", async () => {
+  let index;
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, originationPool, originationPoolVesting, purchaseToken, offerToken } = await createFixture());
+    [deployer, user] = accounts;
+    index = createIndex(originationCore.address, 0, network.config.chainId);
+  });
+
+  const expectPoolTotals = async (pools, pool) => {
+    const indexed = pools[pool.address];
+    expect(indexed.purchaseTokensAcquired).to.equal((await pool.purchaseTokensAcquired()).toString());
+    expect(indexed.offerTokenAmountSold).to.equal((await pool.offerTokenAmountSold()).toString());
+    expect(indexed.originationCoreFees).to.equal((await pool.originationCoreFees()).toString());
+  };
+
+  it("should index every pool, purchase, vesting entry and claim", async () => {
+    await originationPoolVesting.initiateSale();
+    const saleStart = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    await originationPool.scheduleSale(saleStart);
+    await originationPool.pause();
+    await originationPool.cancelSale();
+    await originationPoolVesting.connect(user).purchase(ethers.utils.parseEther("1"));
+    await originationPoolVesting.purchase(ethers.utils.parseEther("0.5"));
+    await advanceTime(86401); // end of sale
+    await advanceTime(259200); // 3 days
+    const userVestingId = await originationPoolVesting.userToVestingId(user.address);
+    await originationPoolVesting.connect(user).claimVested([userVestingId]);
+
+    await runIndexer(ethers.provider, index, { confirmations: 3 });
+    const { pools, contributors, vestingEntries, claims } = getIndexedData(index);
+
+    expect(Object.keys(pools)).to.include.members([originationPool.address, originationPoolVesting.address]);
+    expect(pools[originationPoolVesting.address].owner).to.equal(deployer.address);
+    expect(pools[originationPoolVesting.address].saleInitiated).to.be.true;
+    expect(pools[originationPool.address].saleStartTimestamp).to.equal(saleStart.toString());
+    expect(pools[originationPool.address].saleCancelled).to.be.true;
+    expect(pools[originationPool.address].paused).to.be.true;
+    expect(pools[originationPoolVesting.address].paused).to.be.false;
+    await expectPoolTotals(pools, originationPoolVesting);
+
+    const contributor = contributors[originationPoolVesting.address][user.address];
+    expect(contributor.contribution).to.equal((await originationPoolVesting.purchaseTokenContribution(user.address)).toString());
+    expect(contributor.offerAmount).to.equal((await originationPoolVesting.offerTokenAmountPurchased(user.address)).toString());
+    expect(contributor.purchases).to.equal(1);
+
+    const entry = vestingEntries[originationPoolVesting.address][userVestingId.toString()];
+    expect(entry.purchaser).to.equal(user.address);
+    expect(entry.tokenAmountClaimed).to.equal(entry.offerTokenAmount);
+    expect(claims).to.have.length(2);
+    // the offer tokens are returned to the owner on cancellation
+    expect(claims[0].type).to.equal("OfferTokensRetrieved");
+    expect(claims[0].user).to.equal(deployer.address);
+    expect(claims[1].type).to.equal("ClaimVested");
+    expect(claims[1].user).to.equal(user.address);
+  });
+
+  const createPool = async (withdrawalPeriod) => {
+    const receipt = await (
+      await originationCore.createFungibleListing(
+        {
+          offerToken: offerToken.address,
+          purchaseToken: purchaseToken.address,
+          publicStartingPrice: ethers.utils.parseEther("0.1"),
+          publicEndingPrice: ethers.utils.parseEther("0.1"),
+          whitelistStartingPrice: 0,
+          whitelistEndingPrice: 0,
+          publicSaleDuration: 86400,
+          whitelistSaleDuration: 0,
+          totalOfferingAmount: ethers.utils.parseUnits("1000000", 10),
+          reserveAmount: ethers.utils.parseEther("1"),
+          vestingPeriod: 259200,
+          cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod,
+        },
+        { value: await originationCore.listingFee() }
+      )
+    ).wait();
+    return ethers.getContractAt("FungibleOriginationPool", receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool);
+  };
+
+  it("should index contribution withdrawals", async () => {
+    const pool = await createPool(3600);
+    await offerToken.approve(pool.address, ethers.utils.parseUnits("1000000", 10));
+    await purchaseToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.initiateSale();
+    await pool.connect(user).purchase(ethers.utils.parseEther("3"));
+    await pool.connect(user).withdrawContribution(ethers.utils.parseEther("2"));
+    await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+
+    await runIndexer(ethers.provider, index, { confirmations: 1 });
+    const { pools, contributors, vestingEntries } = getIndexedData(index);
+    await expectPoolTotals(pools, pool);
+    const contributor = contributors[pool.address][user.address];
+    expect(contributor.contribution).to.equal(ethers.utils.parseEther("2").toString());
+    expect(contributor.offerAmount).to.equal((await pool.offerTokenAmountPurchased(user.address)).toString());
+    expect(contributor.purchases).to.equal(2);
+    // purchases and withdrawals change the amount of the single vesting entry
+    expect(Object.keys(vestingEntries[pool.address])).to.have.length(1);
+    expect(vestingEntries[pool.address][(await pool.userToVestingId(user.address)).toString()].offerTokenAmount).to.equal(contributor.offerAmount);
+  });
+
+  it("should resume from the last indexed block", async () => {
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await runIndexer(ethers.provider, index, { confirmations: 2 });
+
+    await originationPool.purchase(ethers.utils.parseEther("2"));
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("3"));
+    await runIndexer(ethers.provider, index, { confirmations: 2, chunkSize: 3 });
+
+    const fullIndex = await runIndexer(ethers.provider, createIndex(originationCore.address, 0, network.config.chainId));
+    expect(index.events).to.deep.equal(fullIndex.events);
+    const { pools, contributors } = getIndexedData(index);
+    await expectPoolTotals(pools, originationPool);
+    expect(contributors[originationPool.address][user.address].purchases).to.equal(2);
+  });
+
+  it("should save each chunk and resume after a failed run", async () => {
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await originationPool.purchase(ethers.utils.parseEther("2"));
+    const failBlock = (await ethers.provider.getBlockNumber()) - 1;
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("3"));
+
+    // the rpc fails on the chunks after failBlock
+    const failingProvider = new ethers.providers.Web3Provider(network.provider);
+    const send = failingProvider.send.bind(failingProvider);
+    failingProvider.send = async (method, params) => {
+      if (method == "eth_getLogs" && parseInt(params[0].fromBlock) > failBlock) {
+        throw new Error("rpc unavailable");
+      }
+      return send(method, params);
+    };
+    let saved;
+    const save = (index) => (saved = JSON.parse(JSON.stringify(index)));
+    await expectError(runIndexer(failingProvider, index, { confirmations: 2, chunkSize: 2, save }), "rpc unavailable");
+    // the last chunk saved is the one starting at or before failBlock
+    expect(saved.lastIndexedBlock).to.be.within(failBlock, failBlock + 1);
+    expect(saved.events.every(({ blockNumber }) => blockNumber <= saved.lastIndexedBlock)).to.be.true;
+
+    await runIndexer(ethers.provider, saved, { confirmations: 2, chunkSize: 2, save });
+    const fullIndex = await runIndexer(ethers.provider, createIndex(originationCore.address, 0, network.config.chainId));
+    expect(saved.events).to.deep.equal(fullIndex.events);
+    const { pools, contributors } = getIndexedData(saved);
+    await expectPoolTotals(pools, originationPool);
+    expect(contributors[originationPool.address][user.address].purchases).to.equal(2);
+  });
+
+  it("should drop the pools listed in reorged blocks", async () => {
+    const snapshot = await getEvmSnapshot();
+    const pool = await createPool(0);
+    await runIndexer(ethers.provider, index, { confirmations: 5 });
+    expect(index.poolInfo[pool.address]).to.not.be.undefined;
+
+    await revertEvm(snapshot);
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+    await runIndexer(ethers.provider, index, { confirmations: 5 });
+    expect(index.poolInfo[pool.address]).to.be.undefined;
+    expect(getIndexedData(index).pools[pool.address]).to.be.undefined;
+  });
+
+  it("should replace events reorged within the confirmation window", async () => {
+    await originationPool.initiateSale();
+    const snapshot = await getEvmSnapshot();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await runIndexer(ethers.provider, index, { confirmations: 5 });
+
+    await revertEvm(snapshot);
+    await originationPool.purchase(ethers.utils.parseEther("2"));
+    await runIndexer(ethers.provider, index, { confirmations: 5 });
+
+    const { pools, contributors } = getIndexedData(index);
+    expect(contributors[originationPool.address][user.address]).to.be.undefined;
+    expect(contributors[originationPool.address][deployer.address].contribution).to.equal(ethers.utils.parseEther("2").toString());
+    await expectPoolTotals(pools, originationPool);
+  });
+
+  it("should fail if a reorg is deeper than the confirmation window", async () => {
+    const snapshot = await getEvmSnapshot();
+    await originationPool.initiateSale();
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await runIndexer(ethers.provider, index, { confirmations: 1 });
+
+    await revertEvm(snapshot);
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+    await expectError(runIndexer(ethers.provider, index, { confirmations: 1 }), "reorg is deeper than the confirmation window");
+  });
+});
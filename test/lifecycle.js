@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const createFixture = require("./originationCoreFixture");
+const { deployArgs } = require("../scripts/helpers");
+const { buildWhitelistTree } = require("../scripts/whitelist");
+const { OriginationClient, LifecycleState, getLifecycle } = require("../sdk/src");
+
+describe("SDK lifecycle", async () => {
+  let client, offerToken, deployer, manager, buyer, other;
+
+  const mineAt = async (timestamp) => {
+    await network.provider.send("evm_mine", [timestamp]);
+  };
+
+  const createPool = async (params) => {
+    const { pool } = await client.createListing({
+      offerToken: offerToken.address,
+      purchaseToken: "ETH",
+      publicStartingPrice: "1",
+      publicSaleDuration: 86400,
+      totalOfferingAmount: "100",
+      ...params,
+    });
+    return pool;
+  };
+
+  beforeEach(async () => {
+    ({ accounts, originationCore } = await createFixture());
+    [deployer, , buyer, manager, other] = accounts;
+    offerToken = await deployArgs("MockERC20", "Offer", "OFFR", 18);
+    client = new OriginationClient(originationCore.address, deployer);
+  });
+
+  it("should follow a whitelist, public and vesting sale", async () => {
+    const pool = await createPool({ whitelistStartingPrice: "1", whitelistSaleDuration: 3600, reserveAmount: "1", vestingPeriod: 7200, cliffPeriod: 600 });
+    const { merkleRoot, claims } = buildWhitelistTree({ [buyer.address]: ethers.utils.parseEther("5") });
+
+    let lifecycle = await pool.getLifecycle();
+    expect(lifecycle.state).to.equal(LifecycleState.NotStarted);
+    expect(lifecycle.nextChangeTimestamp).to.be.undefined;
+    expect(lifecycle.actions).to.deep.equal({
+      owner: ["setWhitelist", "initiateSale", "scheduleSale", "setManager"],
+      manager: ["setWhitelist", "initiateSale", "scheduleSale"],
+      buyer: [],
+    });
+
+    await pool.setWhitelist(merkleRoot);
+    await pool.initiateSale();
+    const saleStart = (await pool.contract.saleInitiatedTimestamp()).toNumber();
+    lifecycle = await pool.getLifecycle();
+    // no purchases in the block of the sale initiation
+    expect(lifecycle.state).to.equal(LifecycleState.Scheduled);
+    expect(lifecycle.nextChangeTimestamp).to.equal(saleStart + 1);
+    expect(lifecycle.actions.buyer).to.be.empty;
+
+    await mineAt(saleStart + 1);
+    lifecycle = await pool.getLifecycle();
+    expect(lifecycle.state).to.equal(LifecycleState.Whitelist);
+    expect(lifecycle.nextChangeTimestamp).to.equal(saleStart + 3601);
+    expect(lifecycle.actions).to.deep.equal({
+      owner: ["cancelSale", "pause", "setManager"],
+      manager: ["cancelSale", "pause"],
+      buyer: ["whitelistPurchase"],
+    });
+    expect(lifecycle.timestamps).to.deep.equal({
+      saleStart,
+      whitelistEnd: saleStart + 3600,
+      saleEnd: saleStart + 90000,
+      cliffEnd: saleStart + 90600,
+      vestingEnd: saleStart + 97200,
+    });
+    const { proof, maxContributionAmount } = claims[buyer.address];
+    await pool.connect(buyer).whitelistPurchase(proof, "2", maxContributionAmount);
+
+    await mineAt(saleStart + 3601);
+    lifecycle = await pool.getLifecycle();
+    expect(lifecycle.state).to.equal(LifecycleState.Public);
+    expect(lifecycle.nextChangeTimestamp).to.equal(saleStart + 90001);
+    expect(lifecycle.actions.buyer).to.deep.equal(["purchase"]);
+
+    // vesting, claimable after the cliff
+    await mineAt(saleStart + 90001);
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.Vesting);
+    expect(lifecycle.nextChangeTimestamp).to.equal(saleStart + 90601);
+    expect(lifecycle.actions).to.deep.equal({ owner: ["claimPurchaseToken", "pause", "setManager"], manager: ["claimPurchaseToken", "pause"], buyer: [] });
+
+    await mineAt(saleStart + 90601);
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.Vesting);
+    expect(lifecycle.nextChangeTimestamp).to.equal(saleStart + 97200);
+    expect(lifecycle.actions.buyer).to.deep.equal(["claimVested"]);
+    expect((await pool.getLifecycle(other.address)).actions.buyer).to.be.empty;
+
+    // the sponsor settles during the vesting, the state settles once the vesting is over
+    await pool.contract.claimPurchaseToken();
+    expect((await pool.getLifecycle()).state).to.equal(LifecycleState.Vesting);
+    await mineAt(saleStart + 97200);
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.SponsorSettled);
+    expect(lifecycle.nextChangeTimestamp).to.be.undefined;
+    expect(lifecycle.actions).to.deep.equal({ owner: ["pause", "setManager"], manager: ["pause"], buyer: ["claimVested"] });
+  });
+
+  it("should be scheduled until the sale start", async () => {
+    const pool = await createPool({ publicStartingPrice: "2", publicEndingPrice: "1" });
+    await pool.setManager(manager.address);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await pool.scheduleSale(now + 3600);
+
+    let lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.Scheduled);
+    expect(lifecycle.nextChangeTimestamp).to.equal(now + 3601);
+    expect(lifecycle.timestamps).to.deep.equal({ saleStart: now + 3600, whitelistEnd: now + 3600, saleEnd: now + 90000 });
+    expect(lifecycle.actions).to.deep.equal({ owner: ["rescheduleSale", "pause", "setManager"], manager: ["rescheduleSale", "pause"], buyer: [] });
+
+    await pool.connect(manager).rescheduleSale(now + 7200);
+    expect((await pool.getLifecycle()).nextChangeTimestamp).to.equal(now + 7201);
+
+    await mineAt(now + 7201);
+    lifecycle = await pool.getLifecycle();
+    expect(lifecycle.state).to.equal(LifecycleState.Public);
+    expect(lifecycle.actions.buyer).to.deep.equal(["purchase"]);
+    await pool.connect(buyer).purchase("2");
+  });
+
+  it("should be fully vested until the sponsor settles", async () => {
+    const pool = await createPool({ vestingPeriod: 3600 });
+    await pool.initiateSale();
+    await pool.connect(buyer).purchase("1");
+    const saleEnd = (await pool.contract.saleEndTimestamp()).toNumber();
+
+    await mineAt(saleEnd + 3600);
+    expect((await pool.getLifecycle()).state).to.equal(LifecycleState.FullyVested);
+    await pool.contract.claimPurchaseToken();
+    expect((await pool.getLifecycle()).state).to.equal(LifecycleState.SponsorSettled);
+  });
+
+  it("should end failed below the reserve", async () => {
+    const pool = await createPool({ reserveAmount: "10" });
+    await pool.setManager(manager.address);
+    await pool.initiateSale();
+    await pool.connect(buyer).purchase("1");
+    const saleEnd = (await pool.contract.saleEndTimestamp()).toNumber();
+
+    await mineAt(saleEnd + 1);
+    let lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.EndedFailed);
+    expect(lifecycle.nextChangeTimestamp).to.be.undefined;
+    expect(lifecycle.actions).to.deep.equal({ owner: ["claimPurchaseToken", "setManager"], manager: ["claimPurchaseToken"], buyer: ["claimTokens"] });
+    expect((await pool.getLifecycle(other.address)).actions.buyer).to.be.empty;
+
+    // refunds stay claimable after the sponsor retrieved the offer tokens
+    await pool.connect(manager).contract.claimPurchaseToken();
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.EndedFailed);
+    expect(lifecycle.actions).to.deep.equal({ owner: ["setManager"], manager: [], buyer: ["claimTokens"] });
+  });
+
+  it("should let contributors claim refunds of a cancelled sale", async () => {
+    const pool = await createPool({ reserveAmount: "1", vestingPeriod: 3600 });
+    await pool.initiateSale();
+    await pool.connect(buyer).purchase("2");
+
+    await pool.cancelSale();
+    let lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.Cancelled);
+    expect(lifecycle.nextChangeTimestamp).to.be.undefined;
+    expect(lifecycle.actions).to.deep.equal({ owner: ["setManager"], manager: [], buyer: ["claimTokens"] });
+    expect((await pool.getLifecycle(other.address)).actions.buyer).to.be.empty;
+
+    await pool.connect(buyer).claimTokens();
+    expect((await pool.getLifecycle(buyer.address)).actions.buyer).to.be.empty;
+  });
+
+  it("should only let contributors claim refunds while paused", async () => {
+    const pool = await createPool({ reserveAmount: "10" });
+    await pool.initiateSale();
+    await pool.connect(buyer).purchase("1");
+    const originationCore = await ethers.getContractAt("OriginationCore", client.address);
+
+    await pool.pause();
+    let lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.Public);
+    expect(lifecycle.paused).to.be.true;
+    expect(lifecycle.actions).to.deep.equal({ owner: ["cancelSale", "unpause", "setManager"], manager: ["cancelSale", "unpause"], buyer: [] });
+
+    // the protocol pause can't be lifted by the pool
+    await pool.unpause();
+    await originationCore.pause();
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.paused).to.be.true;
+    expect(lifecycle.actions.owner).to.deep.equal(["cancelSale", "pause", "setManager"]);
+    expect(lifecycle.actions.buyer).to.be.empty;
+
+    await pool.cancelSale();
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.actions).to.deep.equal({ owner: ["setManager"], manager: [], buyer: ["claimTokens"] });
+    await pool.connect(buyer).claimTokens();
+  });
+
+  it("should let contributors withdraw during the withdrawal period, even while paused", async () => {
+    const pool = await createPool({ reserveAmount: "10", withdrawalPeriod: 3600 });
+    await pool.initiateSale();
+    const saleStart = (await pool.contract.saleInitiatedTimestamp()).toNumber();
+    await mineAt(saleStart + 1);
+    let lifecycle = await pool.getLifecycle();
+    expect(lifecycle.timestamps.withdrawalEnd).to.equal(saleStart + 3600);
+    expect(lifecycle.nextChangeTimestamp).to.equal(saleStart + 3601);
+    expect(lifecycle.actions.buyer).to.deep.equal(["purchase", "withdrawContribution"]);
+    expect((await pool.getLifecycle(buyer.address)).actions.buyer).to.deep.equal(["purchase"]);
+
+    await pool.connect(buyer).purchase("2");
+    await pool.pause();
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.actions.buyer).to.deep.equal(["withdrawContribution"]);
+    await pool.connect(buyer).withdrawContribution("1");
+    expect(await pool.contract.purchaseTokenContribution(buyer.address)).to.equal(ethers.utils.parseEther("1"));
+
+    await pool.unpause();
+    await mineAt(saleStart + 3601);
+    lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.nextChangeTimestamp).to.equal(saleStart + 86401);
+    expect(lifecycle.actions.buyer).to.deep.equal(["purchase"]);
+  });
+
+  it("should end when sold out", async () => {
+    const pool = await createPool({ reserveAmount: "1" });
+    await pool.initiateSale();
+    await pool.connect(buyer).purchase("100");
+
+    let lifecycle = await pool.getLifecycle(buyer.address);
+    expect(lifecycle.state).to.equal(LifecycleState.EndedSuccess);
+    expect(lifecycle.actions.buyer).to.deep.equal(["claimTokens"]);
+    expect(lifecycle.actions.manager).to.deep.equal(["claimPurchaseToken", "pause"]);
+
+    await pool.contract.claimPurchaseToken();
+    expect((await pool.getLifecycle()).state).to.equal(LifecycleState.SponsorSettled);
+  });
+
+  it("should let the sponsor claim the purchase tokens of pools without reserve and vesting during the sale", async () => {
+    const state = {
+      saleInitiated: true,
+      saleCancelled: false,
+      sponsorTokensClaimed: false,
+      paused: false,
+      corePaused: false,
+      vestingEntryNFT: ethers.constants.AddressZero,
+      saleInitiatedTimestamp: 1000,
+      saleEndTimestamp: 2000,
+      whitelistSaleDuration: 0,
+      publicSaleDuration: 1000,
+      vestingPeriod: 0,
+      cliffPeriod: 0,
+      withdrawalPeriod: 0,
+      totalOfferingAmount: ethers.BigNumber.from(100),
+      offerTokenAmountSold: ethers.BigNumber.from(10),
+      reserveAmount: ethers.constants.Zero,
+      purchaseTokensAcquired: ethers.BigNumber.from(10),
+    };
+    expect(getLifecycle(state, 1500)).to.deep.equal({
+      state: LifecycleState.Public,
+      nextChangeTimestamp: 2001,
+      timestamps: { saleStart: 1000, whitelistEnd: 1000, saleEnd: 2000 },
+      paused: false,
+      actions: { owner: ["claimPurchaseToken", "pause", "setManager"], manager: ["claimPurchaseToken", "pause"], buyer: ["purchase"] },
+    });
+    // offer tokens are sent on purchase, there is nothing for buyers to claim
+    const ended = getLifecycle(state, 2001);
+    expect(ended.state).to.equal(LifecycleState.EndedSuccess);
+    expect(ended.actions.buyer).to.be.empty;
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./originationCoreFixture");
+const { parseDuration, parseTimestamp } = require("../scripts/listing");
+const { getMerkleTree } = require("../scripts/helpers");
+const { expectError } = require("./utils");
+
+describe("listing:create task", async () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, purchaseToken, offerToken } = await createFixture());
+    [deployer, user] = accounts;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "listing-"));
+  });
+
+  afterEach(async () => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeSpec = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  it("should parse durations", async () => {
+    expect(parseDuration(90)).to.equal(90);
+    expect(parseDuration("90")).to.equal(90);
+    expect(parseDuration("30m")).to.equal(1800);
+    expect(parseDuration("24h")).to.equal(86400);
+    expect(parseDuration("1d12h")).to.equal(129600);
+    expect(parseDuration("2w")).to.equal(1209600);
+    expect(() => parseDuration("1 day")).to.throw("Invalid duration");
+  });
+
+  it("should create and initiate a sale from a yaml spec", async () => {
+    const rootHash = (await getMerkleTree()).getHexRoot();
+    const spec = writeSpec(
+      "sale.yaml",
+      [
+        `offerToken: "${offerToken.address}"`,
+        `purchaseToken: "${purchaseToken.address}"`,
+        `publicStartingPrice: "0.1"`,
+        `publicEndingPrice: "0.2"`,
+        `whitelistStartingPrice: "0.05"`,
+        `publicSaleDuration: 24h`,
+        `whitelistSaleDuration: 12h`,
+        `totalOfferingAmount: "1000000"`,
+        `reserveAmount: "1.5"`,
+        `vestingPeriod: 7d`,
+        `cliffPeriod: 2d`,
+        `whitelist: "${rootHash}"`,
+        `manager: "${user.address}"`,
+      ].join("\n")
+    );
+
+    const { pool } = await hre.run("listing:create", { spec, core: originationCore.address });
+    const originationPool = await ethers.getContractAt("FungibleOriginationPool", pool);
+
+    expect(await originationPool.publicStartingPrice()).to.equal(ethers.utils.parseEther("0.1"));
+    expect(await originationPool.publicEndingPrice()).to.equal(ethers.utils.parseEther("0.2"));
+    expect(await originationPool.whitelistStartingPrice()).to.equal(ethers.utils.parseEther("0.05"));
+    expect(await originationPool.whitelistEndingPrice()).to.equal(ethers.utils.parseEther("0.05"));
+    expect(await originationPool.publicSaleDuration()).to.equal(86400);
+    expect(await originationPool.whitelistSaleDuration()).to.equal(43200);
+    expect(await originationPool.totalOfferingAmount()).to.equal(ethers.utils.parseUnits("1000000", 10));
+    expect(await originationPool.reserveAmount()).to.equal(ethers.utils.parseEther("1.5"));
+    expect(await originationPool.vestingPeriod()).to.equal(604800);
+    expect(await originationPool.cliffPeriod()).to.equal(172800);
+    expect(await originationPool.whitelistMerkleRoot()).to.equal(rootHash);
+    expect(await originationPool.manager()).to.equal(user.address);
+
+    expect(await originationPool.saleInitiated()).to.equal(true);
+    expect(await offerToken.balanceOf(pool)).to.equal(ethers.utils.parseUnits("1000000", 10));
+  });
+
+  it("should create an ETH sale without initiating it from a json spec", async () => {
+    const spec = writeSpec(
+      "sale.json",
+      JSON.stringify({
+        offerToken: offerToken.address,
+        purchaseToken: "ETH",
+        publicStartingPrice: "0.1",
+        publicSaleDuration: "1d",
+        totalOfferingAmount: "1000",
+      })
+    );
+
+    const { pool, saleInitiated } = await hre.run("listing:create", { spec, core: originationCore.address, noInitiate: true });
+    const originationPool = await ethers.getContractAt("FungibleOriginationPool", pool);
+
+    expect(saleInitiated).to.equal(false);
+    expect(await originationPool.saleInitiated()).to.equal(false);
+    expect(await originationPool.purchaseToken()).to.equal(ethers.constants.AddressZero);
+    expect(await originationPool.publicEndingPrice()).to.equal(ethers.utils.parseEther("0.1"));
+  });
+
+  it("should schedule the start of the sale", async () => {
+    const saleStart = (await ethers.provider.getBlock("latest")).timestamp + 86400;
+    const spec = writeSpec(
+      "sale.yaml",
+      [
+        `offerToken: "${offerToken.address}"`,
+        `purchaseToken: "${purchaseToken.address}"`,
+        `publicStartingPrice: "0.1"`,
+        `publicSaleDuration: 24h`,
+        `totalOfferingAmount: "1000"`,
+        `saleStart: ${new Date(saleStart * 1000).toISOString()}`,
+      ].join("\n")
+    );
+
+    const { pool, saleInitiated } = await hre.run("listing:create", { spec, core: originationCore.address });
+    const originationPool = await ethers.getContractAt("FungibleOriginationPool", pool);
+    expect(saleInitiated).to.equal(true);
+    expect(await originationPool.saleInitiatedTimestamp()).to.equal(saleStart);
+    expect(await offerToken.balanceOf(pool)).to.equal(ethers.utils.parseUnits("1000", 10));
+
+    expect(parseTimestamp(saleStart)).to.equal(saleStart);
+    expect(parseTimestamp(String(saleStart))).to.equal(saleStart);
+    expect(parseTimestamp("1970-01-02T00:00:00Z")).to.equal(86400);
+    expect(() => parseTimestamp("tomorrow")).to.throw("Invalid timestamp");
+    const pastSpec = writeSpec(
+      "past.json",
+      JSON.stringify({ offerToken: offerToken.address, publicStartingPrice: "1", publicSaleDuration: "1d", totalOfferingAmount: "1", saleStart: 1 })
+    );
+    await expectError(hre.run("listing:create", { spec: pastSpec, core: originationCore.address }), "is in the past");
+  });
+
+  it("should pay the custom listing fee of the sponsor", async () => {
+    const customFee = ethers.utils.parseEther("0.5");
+    await originationCore.enableCustomListingFee(deployer.address, customFee);
+    const spec = writeSpec(
+      "sale.json",
+      JSON.stringify({ offerToken: offerToken.address, purchaseToken: purchaseToken.address, publicStartingPrice: "1", publicSaleDuration: "1d", totalOfferingAmount: "1" })
+    );
+
+    const balanceBefore = await ethers.provider.getBalance(originationCore.address);
+    await hre.run("listing:create", { spec, core: originationCore.address, noInitiate: true });
+    expect(await ethers.provider.getBalance(originationCore.address)).to.equal(balanceBefore.add(customFee));
+  });
+
+  it("should fail to create a listing with an invalid duration", async () => {
+    const spec = writeSpec(
+      "sale.json",
+      JSON.stringify({ offerToken: offerToken.address, publicStartingPrice: "1", publicSaleDuration: "one day", totalOfferingAmount: "1" })
+    );
+    await expectError(hre.run("listing:create", { spec, core: originationCore.address }), "Invalid duration");
+  });
+});
@@ -70,6 +70,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: vestingPeriod,
       cliffPeriod: cliffPeriod,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
@@ -104,6 +106,8 @@ const createFixture = deployments.createFixture(async () => {
       reserveAmount: saleThreshold,
       vestingPeriod: 604800, // duration of 1 week
       cliffPeriod: 172800, // duration of 2 days
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
     },
     { value: listingFee }
   );
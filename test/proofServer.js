@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { loadWhitelists, createProofServer } = require("../scripts/proofServer");
+
+describe("Whitelist proof server", async () => {
+  let tmpDir, server, baseUrl, whitelistFile;
+
+  const get = (url) =>
+    new Promise((resolve, reject) => {
+      http
+        .get(baseUrl + url, (res) => {
+          let body = "";
+          res.on("data", (chunk) => (body += chunk));
+          res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        })
+        .on("error", reject);
+    });
+
+  const startServer = async () => {
+    server = createProofServer(ethers.provider, loadWhitelists([whitelistFile]));
+    await server.refreshRoots();
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  beforeEach(async () => {
+    ({ accounts, originationPoolWhitelist } = await createFixture());
+    [deployer, user, user1] = accounts;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "proofs-"));
+
+    const input = path.join(tmpDir, "whitelist.csv");
+    fs.writeFileSync(input, [`${user.address},1000`, `${user1.address},10`].join("\n"));
+    whitelistFile = path.join(tmpDir, "whitelist.merkle.json");
+    const { merkleRoot } = await hre.run("whitelist:build", { input, pool: originationPoolWhitelist.address, out: whitelistFile });
+    await originationPoolWhitelist.setWhitelist(merkleRoot);
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = undefined;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should serve the proof and remaining contribution of a whitelisted address", async () => {
+    await startServer();
+    await originationPoolWhitelist.initiateSale();
+
+    let { status, body } = await get(`/pools/${originationPoolWhitelist.address}/proof/${user.address.toLowerCase()}`);
+    expect(status).to.equal(200);
+    expect(body.address).to.equal(user.address);
+    expect(body.maxContributionAmount).to.equal(ethers.utils.parseEther("1000").toString());
+    expect(body.remainingContribution).to.equal(body.maxContributionAmount);
+
+    const amountIn = ethers.utils.parseEther("100");
+    await originationPoolWhitelist.connect(user).whitelistPurchase(body.proof, amountIn, body.maxContributionAmount);
+
+    ({ status, body } = await get(`/pools/${originationPoolWhitelist.address}/proof/${user.address}`));
+    expect(body.contribution).to.equal(amountIn.toString());
+    expect(body.remainingContribution).to.equal(ethers.utils.parseEther("900").toString());
+  });
+
+  it("should report the pool root status", async () => {
+    await startServer();
+    const { status, body } = await get(`/pools/${originationPoolWhitelist.address}`);
+    expect(status).to.equal(200);
+    expect(body.rootMatches).to.equal(true);
+  });
+
+  it("should refuse to serve proofs if the pool root does not match", async () => {
+    await originationPoolWhitelist.setWhitelist(ethers.utils.formatBytes32String("0"));
+    await startServer();
+
+    const { status } = await get(`/pools/${originationPoolWhitelist.address}/proof/${user.address}`);
+    expect(status).to.equal(409);
+  });
+
+  it("should stop serving proofs once the pool root changes", async () => {
+    await startServer();
+    expect((await get(`/pools/${originationPoolWhitelist.address}/proof/${user.address}`)).status).to.equal(200);
+
+    await originationPoolWhitelist.setWhitelist(ethers.utils.formatBytes32String("0"));
+    const { status, body } = await get(`/pools/${originationPoolWhitelist.address}/proof/${user.address}`);
+    expect(status).to.equal(409);
+    expect(body.error).to.equal(`Whitelist root does not match the root of pool ${originationPoolWhitelist.address}`);
+    expect((await get(`/pools/${originationPoolWhitelist.address}`)).body.rootMatches).to.equal(false);
+  });
+
+  it("should return not found for unknown pools and addresses", async () => {
+    await startServer();
+    expect((await get(`/pools/${deployer.address}/proof/${user.address}`)).status).to.equal(404);
+    expect((await get(`/pools/${originationPoolWhitelist.address}/proof/${deployer.address}`)).status).to.equal(404);
+    expect((await get(`/pools/${originationPoolWhitelist.address}/proof/0x1234`)).status).to.equal(400);
+  });
+});
@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+const { parseCommand, buildSafeBatch, simulateSafeBatch } = require("../scripts/safe");
+
+describe("Safe admin batches", async () => {
+  let deployment, safe, originationCore, poolDeployer;
+
+  beforeEach(async () => {
+    await deployments.fixture();
+    deployment = {};
+    for (const [key, { address }] of Object.entries(await deployments.all())) {
+      deployment[key] = address;
+    }
+    // the deployer owns the core and the pool deployer and is the revenue controller on hardhat
+    [safe] = await ethers.getSigners();
+    originationCore = await ethers.getContractAt("OriginationCore", deployment.originationCore);
+    poolDeployer = await ethers.getContractAt("PoolDeployer", deployment.poolDeployer);
+  });
+
+  it("should encode the admin commands for the recorded contracts", async () => {
+    const commands = [
+      "setListingFee 0.2",
+      `enableCustomListingFee ${safe.address} 0.05`,
+      `disableCustomListingFee ${safe.address}`,
+      `setPoolImplementation ${deployment.originationPoolImpl}`,
+      "claimFees ETH",
+    ];
+    const batch = await buildSafeBatch(hre, deployment, commands, { chainId: 31337, safe: safe.address });
+
+    expect(batch.chainId).to.equal("31337");
+    expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+    expect(batch.transactions.map(({ to }) => to)).to.deep.equal([
+      originationCore.address,
+      originationCore.address,
+      originationCore.address,
+      poolDeployer.address,
+      originationCore.address,
+    ]);
+    expect(batch.transactions[0].data).to.equal(originationCore.interface.encodeFunctionData("setListingFee", [ethers.utils.parseEther("0.2")]));
+    expect(batch.transactions[1].contractInputsValues).to.deep.equal({
+      deployer: safe.address,
+      feeAmount: ethers.utils.parseEther("0.05").toString(),
+    });
+    expect(batch.transactions[3].data).to.equal(
+      poolDeployer.interface.encodeFunctionData("setFungibleOriginationPoolImplementation", [deployment.originationPoolImpl])
+    );
+    expect(batch.transactions[4].contractInputsValues).to.deep.equal({ _feeToken: ethers.constants.AddressZero });
+  });
+
+  it("should reject invalid commands", async () => {
+    expect(() => parseCommand("setFee 0.1")).to.throw("Unknown command setFee");
+    expect(() => parseCommand("setListingFee")).to.throw("Invalid arguments for setListingFee, usage: setListingFee <fee in ETH>");
+    expect(() => parseCommand("setListingFee ten")).to.throw("Invalid amount ten");
+    expect(() => parseCommand("pause now")).to.throw("Invalid arguments for pause, usage: pause");
+    expect(() => parseCommand("disableCustomListingFee 0x1234")).to.throw("Invalid address 0x1234");
+  });
+
+  it("should simulate the batch and revert the fork state", async () => {
+    await originationCore.receiveFees({ value: ethers.utils.parseEther("1") });
+    const listingFee = await originationCore.listingFee();
+    const commands = ["setListingFee 0.2", `setPoolImplementation ${deployment.vestingEntryNFTImpl}`, "claimFees ETH", "pause"];
+    const batch = await buildSafeBatch(hre, deployment, commands, { chainId: 31337, safe: safe.address });
+
+    const { results, diff } = await simulateSafeBatch(hre, ethers.provider, deployment, commands, batch);
+    expect(results).to.deep.equal([
+      { method: "setListingFee", success: true },
+      { method: "setFungibleOriginationPoolImplementation", success: true },
+      { method: "claimFees", success: true },
+      { method: "pause", success: true },
+    ]);
+    expect(diff["originationCore.listingFee()"]).to.deep.equal([listingFee.toString(), ethers.utils.parseEther("0.2").toString()]);
+    expect(diff["poolDeployer.fungibleOriginationPoolImplementation()"]).to.deep.equal([
+      deployment.originationPoolImpl,
+      deployment.vestingEntryNFTImpl,
+    ]);
+    expect(diff["originationCore.paused()"]).to.deep.equal(["false", "true"]);
+    expect(diff["ETH balance of originationCore"]).to.deep.equal([ethers.utils.parseEther("1").toString(), "0"]);
+    const [safeBefore, safeAfter] = diff[`ETH balance of ${safe.address}`];
+    expect(ethers.BigNumber.from(safeAfter).sub(safeBefore)).to.equal(ethers.utils.parseEther("1"));
+
+    expect(await originationCore.listingFee()).to.equal(listingFee);
+    expect(await originationCore.paused()).to.be.false;
+    expect(await poolDeployer.fungibleOriginationPoolImplementation()).to.equal(deployment.originationPoolImpl);
+    expect(await ethers.provider.getBalance(originationCore.address)).to.equal(ethers.utils.parseEther("1"));
+  });
+
+  it("should report reverted transactions", async () => {
+    const [, , other] = await ethers.getSigners();
+    const commands = ["claimFees ETH"];
+    const batch = await buildSafeBatch(hre, deployment, commands, { chainId: 31337, safe: other.address });
+
+    const { results, diff } = await simulateSafeBatch(hre, ethers.provider, deployment, commands, batch);
+    expect(results[0].success).to.be.false;
+    expect(results[0].error).to.include("Only callable by revenue controller.");
+    expect(diff).to.be.empty;
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./originationCoreFixture");
+const { deployArgs } = require("../scripts/helpers");
+const { buildWhitelistTree } = require("../scripts/whitelist");
+const { SDK_CONTRACTS, getSdkAbis, loadSdkAbis, generateSdkTypes } = require("../scripts/sdk");
+const { advanceTime } = require("./utils");
+const { OriginationClient, PoolClient, toUnits } = require("../sdk/src");
+
+describe("SDK", async () => {
+  let originationCore, client, offerToken, purchaseToken, deployer, buyer;
+
+  const listingParams = (params = {}) => ({
+    offerToken: offerToken.address,
+    purchaseToken: purchaseToken.address,
+    publicStartingPrice: "0.5",
+    publicSaleDuration: 86400,
+    totalOfferingAmount: "1000",
+    ...params,
+  });
+
+  beforeEach(async () => {
+    ({ accounts, originationCore } = await createFixture());
+    [deployer, , buyer] = accounts;
+    offerToken = await deployArgs("MockERC20", "Offer", "OFFR", 18);
+    purchaseToken = await deployArgs("MockERC20", "Purchase", "PRCH", 6);
+    await purchaseToken.transfer(buyer.address, ethers.utils.parseUnits("1000", 6));
+    client = new OriginationClient(originationCore.address, deployer);
+  });
+
+  it("should ship the abis of the compiled contracts", async () => {
+    expect(loadSdkAbis()).to.deep.equal(await getSdkAbis(hre));
+  });
+
+  it("should generate typechain types for all contracts", async () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "sdk-types-"));
+    try {
+      generateSdkTypes(hre.config.paths.root, outDir);
+      const files = fs.readdirSync(outDir);
+      for (const contractName of SDK_CONTRACTS.concat(["PoolDeployer", "NFTDeployer", "OriginationProxyAdmin", "IxTokenManager"])) {
+        // typechain renames acronyms such as NFT to Nft
+        expect(files.map((file) => file.toLowerCase())).to.include(`${contractName.toLowerCase()}.d.ts`);
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should scale amounts given as strings and keep BigNumbers as token units", async () => {
+    expect(toUnits("1.5", 6)).to.equal(1500000);
+    expect(toUnits(2, 18)).to.equal(ethers.utils.parseEther("2"));
+    expect(toUnits(ethers.BigNumber.from(15), 6)).to.equal(15);
+    expect(() => toUnits({}, 6)).to.throw("Invalid amount");
+  });
+
+  it("should query the listing and origination fees", async () => {
+    expect(await client.getListingFee()).to.equal(await originationCore.listingFee());
+    await originationCore.enableCustomListingFee(deployer.address, 1234);
+    expect(await client.getListingFee()).to.equal(1234);
+    expect(await client.getListingFee(buyer.address)).to.equal(await originationCore.listingFee());
+    expect(await client.getOriginationFee()).to.equal(await originationCore.originationFee());
+  });
+
+  it("should create a listing scaling the prices by the purchase token decimals", async () => {
+    await originationCore.enableCustomListingFee(deployer.address, 1234);
+    const feesBefore = await ethers.provider.getBalance(originationCore.address);
+    const { pool } = await client.createListing(listingParams({ reserveAmount: "100", vestingPeriod: 3600 }));
+
+    expect(pool).to.be.instanceOf(PoolClient);
+    expect(await pool.contract.owner()).to.equal(deployer.address);
+    expect(await pool.contract.publicStartingPrice()).to.equal(500000);
+    expect(await pool.contract.publicEndingPrice()).to.equal(500000);
+    expect(await pool.contract.reserveAmount()).to.equal(100000000);
+    expect(await pool.contract.totalOfferingAmount()).to.equal(ethers.utils.parseEther("1000"));
+    expect(await pool.contract.vestingPeriod()).to.equal(3600);
+    expect((await ethers.provider.getBalance(originationCore.address)).sub(feesBefore)).to.equal(1234);
+
+    const pools = await client.getPools();
+    expect(pools.map(({ pool, owner }) => ({ pool, owner }))).to.deep.include({ pool: pool.address, owner: deployer.address });
+  });
+
+  it("should approve and purchase with an erc20 purchase token", async () => {
+    // with a reserve the offer tokens are claimed after the sale
+    const { pool } = await client.createListing(listingParams({ reserveAmount: "1" }));
+    await pool.initiateSale();
+    expect(await offerToken.balanceOf(pool.address)).to.equal(ethers.utils.parseEther("1000"));
+
+    const buyerPool = pool.connect(buyer);
+    await buyerPool.purchase("10");
+    expect(await pool.contract.purchaseTokenContribution(buyer.address)).to.equal(10000000);
+    expect(await pool.contract.offerTokenAmountPurchased(buyer.address)).to.equal(ethers.utils.parseEther("20"));
+
+    // the approval of the first purchase is spent, the next purchase approves again
+    await buyerPool.purchase(ethers.BigNumber.from(5000000));
+    expect(await pool.contract.purchaseTokenContribution(buyer.address)).to.equal(15000000);
+
+    await advanceTime(86401);
+    await buyerPool.claimTokens();
+    expect(await offerToken.balanceOf(buyer.address)).to.equal(ethers.utils.parseEther("30"));
+  });
+
+  it("should purchase with ETH and claim the vested tokens", async () => {
+    const { pool } = await client.createListing(listingParams({ purchaseToken: "ETH", vestingPeriod: 3600 }));
+    const { purchaseToken: purchaseTokenInfo } = await pool.getTokens();
+    expect(purchaseTokenInfo).to.deep.equal({ address: ethers.constants.AddressZero, isEth: true, decimals: 18, symbol: "ETH" });
+    await pool.initiateSale();
+
+    const buyerPool = pool.connect(buyer);
+    const receipt = await (await buyerPool.purchase("1")).wait();
+    expect(await pool.contract.purchaseTokenContribution(buyer.address)).to.equal(ethers.utils.parseEther("1"));
+    const vestingId = receipt.events.find((e) => e.event === "CreateVestingEntry").args.vestingId;
+
+    await advanceTime(86401 + 3600);
+    await buyerPool.claimVested([vestingId]);
+    expect(await offerToken.balanceOf(buyer.address)).to.equal(ethers.utils.parseEther("2"));
+  });
+
+  it("should set the whitelist and manager and cap ETH whitelist purchases", async () => {
+    const { pool } = await client.createListing(
+      listingParams({ purchaseToken: "ETH", whitelistStartingPrice: "0.5", whitelistSaleDuration: 3600 })
+    );
+    const { merkleRoot, claims } = buildWhitelistTree({ [buyer.address]: ethers.utils.parseEther("2") });
+    await pool.setWhitelist(merkleRoot);
+    await pool.setManager(accounts[3].address);
+    expect(await pool.contract.whitelistMerkleRoot()).to.equal(merkleRoot);
+    expect(await pool.contract.manager()).to.equal(accounts[3].address);
+
+    // the manager can initiate the sale
+    await offerToken.transfer(accounts[3].address, ethers.utils.parseEther("1000"));
+    await pool.connect(accounts[3]).initiateSale();
+
+    const { proof, maxContributionAmount } = claims[buyer.address];
+    const buyerPool = pool.connect(buyer);
+    await buyerPool.whitelistPurchase(proof, "1.5", maxContributionAmount);
+    // only the remaining 0.5 ETH of the max contribution is sent
+    const balanceBefore = await ethers.provider.getBalance(pool.address);
+    await buyerPool.whitelistPurchase(proof, "1.5", maxContributionAmount);
+    expect((await ethers.provider.getBalance(pool.address)).sub(balanceBefore)).to.equal(ethers.utils.parseEther("0.5"));
+    expect(await pool.contract.purchaseTokenContribution(buyer.address)).to.equal(ethers.utils.parseEther("2"));
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { deploy } = require("../scripts/helpers");
+const { advanceTime, expectError } = require("./utils");
+const { buildSettlementReport } = require("../scripts/settlement");
+
+describe("Settlement report", async () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, originationPool, purchaseToken, offerToken } = await createFixture());
+    [deployer, user] = accounts;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "settlement-"));
+  });
+
+  afterEach(async () => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should report contributions, overflow refunds and claims of a successful sale", async () => {
+    await originationPool.initiateSale();
+    await originationPool.purchase(ethers.utils.parseEther("1"));
+    // the whole offering costs 100k purchase tokens, the rest is refunded
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("150000"));
+    await advanceTime(1);
+    await originationPool.connect(user).claimTokens();
+    await originationPool.claimPurchaseToken();
+
+    const report = await buildSettlementReport(originationPool);
+    expect(report.saleEnded).to.be.true;
+    expect(report.reserveMet).to.be.true;
+    expect(report.discrepancies).to.be.empty;
+
+    const [deployerRow, userRow] = report.contributors;
+    expect(deployerRow.address).to.equal(deployer.address);
+    expect(deployerRow.status).to.equal("unclaimed");
+    expect(userRow.status).to.equal("claimed");
+    expect(userRow.contribution).to.equal(await originationPool.purchaseTokenContribution(user.address));
+    expect(userRow.overflowRefunds).to.equal(ethers.utils.parseEther("150000").sub(userRow.contribution));
+    expect(userRow.fees).to.equal(userRow.contribution.mul(ethers.utils.parseEther("0.01")).div(ethers.utils.parseEther("1")));
+    expect(report.totals.offerTokensBought).to.equal(await originationPool.totalOfferingAmount());
+  });
+
+  it("should report refunds of a sale which did not reach the reserve", async () => {
+    await originationPool.initiateSale();
+    await originationPool.purchase(ethers.utils.parseEther("0.5"));
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("0.2"));
+    await advanceTime(86401);
+    await originationPool.connect(user).claimTokens();
+
+    const out = path.join(tmpDir, "report");
+    const report = await hre.run("report:settlement", { pool: originationPool.address, out });
+    expect(report.reserveMet).to.be.false;
+    expect(report.discrepancies).to.be.empty;
+    expect(report.contributors.map(({ status }) => status)).to.deep.equal(["refund pending", "refunded"]);
+
+    const csv = fs.readFileSync(`${out}.csv`, "utf8").trim().split("\n");
+    expect(csv[0]).to.equal(
+      "address,contribution,offerTokensBought,fees,overflowRefunds,capRefunds,contributionWithdrawn,purchaseTokensRetrieved,offerTokensClaimed,status"
+    );
+    expect(csv[2]).to.equal(`${user.address},0.2,2.0,0.002,0.0,0.0,0.0,0.2,0.0,refunded`);
+    expect(csv[3]).to.equal("total,0.7,7.0,0.007,0.0,0.0,0.0,0.2,0.0,");
+
+    const json = JSON.parse(fs.readFileSync(`${out}.json`, "utf8"));
+    expect(json.totals.contribution).to.equal("0.7");
+  });
+
+  it("should report refunds of a cancelled sale without fees", async () => {
+    await originationPool.initiateSale();
+    await originationPool.purchase(ethers.utils.parseEther("2"));
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("1"));
+    await originationPool.cancelSale();
+    await originationPool.connect(user).claimTokens();
+
+    const report = await buildSettlementReport(originationPool);
+    expect(report.saleCancelled).to.be.true;
+    expect(report.saleEnded).to.be.true;
+    // the reserve was met before the cancellation
+    expect(report.reserveMet).to.be.true;
+    expect(report.discrepancies).to.be.empty;
+    expect(report.contributors.map(({ status }) => status)).to.deep.equal(["refund pending", "refunded"]);
+  });
+
+  /**
+   * Create and initiate a pool selling 1m OFFR at 0.1 purchase tokens, with a reserve of 1 purchase token
+   */
+  const createPool = async (params) => {
+    const receipt = await (
+      await originationCore.createFungibleListing(
+        {
+          offerToken: offerToken.address,
+          purchaseToken: purchaseToken.address,
+          publicStartingPrice: ethers.utils.parseEther("0.1"),
+          publicEndingPrice: ethers.utils.parseEther("0.1"),
+          whitelistStartingPrice: 0,
+          whitelistEndingPrice: 0,
+          publicSaleDuration: 86400,
+          whitelistSaleDuration: 0,
+          totalOfferingAmount: ethers.utils.parseUnits("1000000", 10),
+          reserveAmount: ethers.utils.parseEther("1"),
+          vestingPeriod: 0,
+          cliffPeriod: 0,
+          publicMaxContributionAmount: 0,
+          withdrawalPeriod: 0,
+          ...params,
+        },
+        { value: await originationCore.listingFee() }
+      )
+    ).wait();
+    const pool = await ethers.getContractAt("FungibleOriginationPool", receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool);
+    await offerToken.approve(pool.address, ethers.utils.parseUnits("1000000", 10));
+    await purchaseToken.approve(pool.address, ethers.constants.MaxUint256);
+    await purchaseToken.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.initiateSale();
+    return pool;
+  };
+
+  it("should deduct contribution withdrawals", async () => {
+    const pool = await createPool({ withdrawalPeriod: 3600 });
+    await pool.purchase(ethers.utils.parseEther("1"));
+    await pool.connect(user).purchase(ethers.utils.parseEther("3"));
+    await pool.connect(user).withdrawContribution(ethers.utils.parseEther("1"));
+    await advanceTime(86401);
+
+    const report = await buildSettlementReport(pool);
+    expect(report.discrepancies).to.be.empty;
+    const userRow = report.contributors[1];
+    expect(userRow.contribution).to.equal(ethers.utils.parseEther("2"));
+    expect(userRow.offerTokensBought).to.equal(ethers.utils.parseUnits("20", 10));
+    expect(userRow.fees).to.equal(ethers.utils.parseEther("0.02"));
+    expect(userRow.contributionWithdrawn).to.equal(ethers.utils.parseEther("1"));
+    expect(userRow.purchaseTokensRetrieved).to.equal(0);
+    expect(userRow.status).to.equal("unclaimed");
+  });
+
+  it("should report fully withdrawn contributors as withdrawn", async () => {
+    const pool = await createPool({ withdrawalPeriod: 3600 });
+    await pool.purchase(ethers.utils.parseEther("1"));
+    await pool.connect(user).purchase(ethers.utils.parseEther("2"));
+    await pool.connect(user).withdrawContribution(ethers.utils.parseEther("2"));
+    expect((await buildSettlementReport(pool)).contributors[1].status).to.equal("withdrawn");
+
+    await advanceTime(86401);
+    await pool.claimTokens();
+    const report = await buildSettlementReport(pool);
+    expect(report.discrepancies).to.be.empty;
+    expect(report.contributors.map(({ status }) => status)).to.deep.equal(["claimed", "withdrawn"]);
+    expect(report.contributors[1].contribution).to.equal(0);
+    expect(report.contributors[1].offerTokensBought).to.equal(0);
+    expect(report.contributors[1].contributionWithdrawn).to.equal(ethers.utils.parseEther("2"));
+  });
+
+  it("should split refunds above the public max contribution from refunds over the offering", async () => {
+    // the whole offering costs 10 purchase tokens
+    const pool = await createPool({
+      totalOfferingAmount: ethers.utils.parseUnits("100", 10),
+      publicMaxContributionAmount: ethers.utils.parseEther("6"),
+    });
+    await pool.purchase(ethers.utils.parseEther("5"));
+    await pool.connect(user).purchase(ethers.utils.parseEther("2"));
+    // 1 above the max contribution, then 2 over the offering
+    await pool.connect(user).purchase(ethers.utils.parseEther("5"));
+
+    const report = await buildSettlementReport(pool);
+    expect(report.discrepancies).to.be.empty;
+    const [deployerRow, userRow] = report.contributors;
+    expect(deployerRow.capRefunds).to.equal(0);
+    expect(deployerRow.overflowRefunds).to.equal(0);
+    expect(userRow.contribution).to.equal(ethers.utils.parseEther("5"));
+    expect(userRow.capRefunds).to.equal(ethers.utils.parseEther("1"));
+    expect(userRow.overflowRefunds).to.equal(ethers.utils.parseEther("1"));
+    expect(report.totals.capRefunds).to.equal(ethers.utils.parseEther("1"));
+  });
+
+  it("should attribute the purchase tokens sent to each purchase of a transaction", async () => {
+    const pool = await createPool({ publicMaxContributionAmount: ethers.utils.parseEther("6") });
+    const router = await deploy("MockPurchaseRouter");
+    await purchaseToken.approve(router.address, ethers.constants.MaxUint256);
+    // 2 above the max contribution are refunded on the second purchase
+    await router.purchase(pool.address, purchaseToken.address, [ethers.utils.parseEther("5"), ethers.utils.parseEther("3")]);
+
+    const report = await buildSettlementReport(pool);
+    expect(report.discrepancies).to.be.empty;
+    const [routerRow] = report.contributors;
+    expect(routerRow.address).to.equal(router.address);
+    expect(routerRow.contribution).to.equal(ethers.utils.parseEther("6"));
+    expect(routerRow.capRefunds).to.equal(ethers.utils.parseEther("2"));
+    expect(routerRow.overflowRefunds).to.equal(0);
+  });
+
+  it("should reject ETH transactions with several purchases", async () => {
+    const pool = await createPool({ purchaseToken: ethers.constants.AddressZero });
+    const router = await deploy("MockPurchaseRouter");
+    await router.purchase(pool.address, ethers.constants.AddressZero, [ethers.utils.parseEther("1"), ethers.utils.parseEther("2")], {
+      value: ethers.utils.parseEther("3"),
+    });
+
+    await expectError(buildSettlementReport(pool), "makes 2 purchases, the ETH sent by each is unknown");
+  });
+
+  it("should flag totals which don't match the pool storage", async () => {
+    await originationPool.initiateSale();
+    await originationPool.purchase(ethers.utils.parseEther("1"));
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await originationPool.connect(user).purchase(ethers.utils.parseEther("2"));
+
+    // the first purchase is missing from the events
+    const { discrepancies } = await buildSettlementReport(originationPool, { fromBlock });
+    const names = discrepancies.map(({ name }) => name);
+    expect(names).to.include.members(["purchaseTokensAcquired", "offerTokenAmountSold", "originationCoreFees"]);
+    expect(names).to.not.include(`purchaseTokenContribution(${user.address})`);
+  });
+});
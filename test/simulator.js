@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const createFixture = require("./originationCoreFixture");
+const { deployArgs, setBalance } = require("../scripts/helpers");
+const { buildWhitelistTree } = require("../scripts/whitelist");
+const simulator = require("../scripts/simulator");
+const { getCurrentTimestamp, createRandom, toBigInt } = require("./utils");
+
+// Fixed seed so runs are reproducible, set SIMULATOR_SEED to try other seeds or replay a failing run
+const SEED = process.env.SIMULATOR_SEED ? parseInt(process.env.SIMULATOR_SEED) : 1;
+const POOL_COUNT = 10;
+const STEPS_PER_POOL = 6;
+
+describe("Pool simulator", async () => {
+  let random;
+
+  before(async () => {
+    console.log(`      simulator seed: ${SEED}`);
+    random = createRandom(SEED);
+  });
+
+  beforeEach(async () => {
+    ({ accounts, originationCore } = await createFixture());
+    [deployer] = accounts;
+  });
+
+  /**
+   * Create and initiate or schedule a pool with random sale params
+   * The deployer is whitelisted with a random max contribution
+   */
+  const createRandomPool = async () => {
+    const offerDecimals = random.pick([0, 6, 8, 10, 18]);
+    const purchaseDecimals = random.pick([6, 8, 18, "ETH"]);
+    const isEth = purchaseDecimals == "ETH";
+    const purchaseUnits = 10n ** BigInt(isEth ? 18 : purchaseDecimals);
+
+    const offerToken = await deployArgs("MockERC20", "Offer", "OFFR", offerDecimals);
+    const purchaseToken = isEth ? undefined : await deployArgs("MockERC20", "Purchase", "PRCH", purchaseDecimals);
+
+    // prices between 0.0001 and 100 purchase tokens
+    const price = () => random.bigint(purchaseUnits / 10000n + 1n, purchaseUnits * 100n);
+    const whitelistSaleDuration = random.chance(0.5) ? random.int(60, 3 * 86400) : 0;
+    const publicSaleDuration = whitelistSaleDuration == 0 || random.chance(0.7) ? random.int(60, 3 * 86400) : 0;
+    const maxContributionAmount = random.bigint(purchaseUnits, purchaseUnits * 1000000n);
+    const { merkleRoot, claims } = buildWhitelistTree({ [deployer.address]: ethers.BigNumber.from(maxContributionAmount) });
+    // withdrawals need a reserve
+    const withdrawalPeriod = random.chance(0.4) ? random.int(1, whitelistSaleDuration + publicSaleDuration) : 0;
+
+    const saleParams = {
+      offerToken: offerToken.address,
+      purchaseToken: isEth ? ethers.constants.AddressZero : purchaseToken.address,
+      publicStartingPrice: price(),
+      publicEndingPrice: price(),
+      whitelistStartingPrice: whitelistSaleDuration > 0 ? price() : 0n,
+      whitelistEndingPrice: whitelistSaleDuration > 0 ? price() : 0n,
+      publicSaleDuration,
+      whitelistSaleDuration,
+      totalOfferingAmount: random.bigint(1n, 1000000n) * 10n ** BigInt(offerDecimals),
+      reserveAmount: withdrawalPeriod > 0 ? purchaseUnits : 0n,
+      vestingPeriod: 0,
+      cliffPeriod: 0,
+      publicMaxContributionAmount: random.chance(0.5) ? random.bigint(purchaseUnits, purchaseUnits * 1000n) : 0n,
+      withdrawalPeriod,
+    };
+    for (const key of Object.keys(saleParams)) {
+      if (typeof saleParams[key] == "bigint") {
+        saleParams[key] = saleParams[key].toString();
+      }
+    }
+
+    const receipt = await (await originationCore.createFungibleListing(saleParams, { value: await originationCore.listingFee() })).wait();
+    const poolAddress = receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool;
+    const pool = await ethers.getContractAt("FungibleOriginationPool", poolAddress);
+
+    await pool.setWhitelist(merkleRoot);
+    await offerToken.approve(pool.address, saleParams.totalOfferingAmount);
+    if (isEth) {
+      await setBalance(deployer.address, ethers.BigNumber.from(2).pow(200));
+    } else {
+      await purchaseToken.approve(pool.address, ethers.constants.MaxUint256);
+    }
+    if (random.chance(0.3)) {
+      // views before the start of a scheduled sale
+      await pool.scheduleSale((await getCurrentTimestamp()) + random.int(60, 86400));
+    } else {
+      await pool.initiateSale();
+    }
+
+    return { pool, claim: claims[deployer.address], isEth };
+  };
+
+  /**
+   * Send a purchase at a timestamp and compare the result with the simulation
+   */
+  const purchaseAndCompare = async ({ pool, claim, isEth }, state, contributionAmount, timestamp) => {
+    const isWhitelist = simulator.isWhitelistMintPeriod(state, timestamp);
+    const currentContribution = toBigInt(await pool.purchaseTokenContribution(deployer.address));
+    const whitelist = isWhitelist ? { maxContributionAmount: BigInt(claim.maxContributionAmount), currentContribution } : undefined;
+
+    let expected;
+    try {
+      expected = simulator.simulatePurchase(state, contributionAmount, timestamp, whitelist, currentContribution);
+    } catch (err) {
+      if (!(err instanceof simulator.PoolRevert)) {
+        throw err;
+      }
+    }
+
+    await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+    const overrides = isEth ? { value: contributionAmount } : {};
+    const tx = isWhitelist
+      ? pool.whitelistPurchase(claim.proof, contributionAmount, claim.maxContributionAmount, overrides)
+      : pool.purchase(contributionAmount, overrides);
+
+    if (expected === undefined) {
+      await expect(tx).to.be.reverted;
+      return state;
+    }
+    const receipt = await (await tx).wait();
+    const { contributionAmount: actualContribution, offerAmount, purchaseFee } = receipt.events.find((e) => e.event === "Purchase").args;
+    expect(toBigInt(actualContribution)).to.equal(expected.contributionAmount);
+    expect(toBigInt(offerAmount)).to.equal(expected.offerTokenAmount);
+    expect(toBigInt(purchaseFee)).to.equal(expected.fee);
+
+    const nextState = simulator.applyPurchase(state, expected, timestamp);
+    expect(toBigInt(await pool.offerTokenAmountSold())).to.equal(nextState.offerTokenAmountSold);
+    expect(toBigInt(await pool.saleEndTimestamp())).to.equal(nextState.saleEndTimestamp);
+    expect(toBigInt(await pool.originationCoreFees())).to.equal(nextState.originationCoreFees);
+    return nextState;
+  };
+
+  /**
+   * Send a withdrawal of part of the deployer's contribution and compare the result with the simulation
+   */
+  const withdrawAndCompare = async ({ pool }, state, timestamp) => {
+    const position = {
+      contribution: toBigInt(await pool.purchaseTokenContribution(deployer.address)),
+      offerTokenAmountPurchased: toBigInt(await pool.offerTokenAmountPurchased(deployer.address)),
+    };
+    const contributionAmount = random.bigint(0n, position.contribution);
+
+    let expected;
+    try {
+      expected = simulator.simulateWithdrawal(state, position, contributionAmount, timestamp);
+    } catch (err) {
+      if (!(err instanceof simulator.PoolRevert)) {
+        throw err;
+      }
+    }
+
+    await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+    const tx = pool.withdrawContribution(contributionAmount);
+    if (expected === undefined) {
+      await expect(tx).to.be.reverted;
+      return state;
+    }
+    const receipt = await (await tx).wait();
+    const { offerAmount, purchaseFee } = receipt.events.find((e) => e.event === "WithdrawContribution").args;
+    expect(toBigInt(offerAmount)).to.equal(expected.offerTokenAmount);
+    expect(toBigInt(purchaseFee)).to.equal(expected.fee);
+
+    const nextState = simulator.applyWithdrawal(state, expected);
+    expect(toBigInt(await pool.offerTokenAmountSold())).to.equal(nextState.offerTokenAmountSold);
+    expect(toBigInt(await pool.originationCoreFees())).to.equal(nextState.originationCoreFees);
+    return nextState;
+  };
+
+  it("should compute the same price and mint amounts as the pool views", async () => {
+    for (let i = 0; i < POOL_COUNT; ++i) {
+      const { pool } = await createRandomPool();
+      let state = await simulator.readPoolState(pool);
+      const saleEnd = state.saleEndTimestamp;
+
+      for (let step = 0; step < STEPS_PER_POOL; ++step) {
+        const now = BigInt(await getCurrentTimestamp());
+        if (now >= saleEnd + 10n) {
+          break;
+        }
+        const timestamp = now + BigInt(random.int(1, Number(saleEnd + 10n - now)));
+        await network.provider.send("evm_setNextBlockTimestamp", [Number(timestamp)]);
+        await network.provider.send("evm_mine");
+
+        const amount = random.bigint(1n, state.totalOfferingAmount);
+        expect(toBigInt(await pool.getOfferTokenPrice())).to.equal(simulator.getOfferTokenPrice(state, timestamp));
+        expect(toBigInt(await pool.getCurrentMintAmount(amount))).to.equal(simulator.getCurrentMintAmount(state, amount, timestamp));
+        expect(toBigInt(await pool.getPurchaseAmountFromOfferAmount(amount))).to.equal(
+          simulator.getPurchaseAmountFromOfferAmount(state, amount, timestamp)
+        );
+        expect(await pool.isWhitelistMintPeriod()).to.equal(simulator.isWhitelistMintPeriod(state, timestamp));
+        expect(await pool.isPublicMintPeriod()).to.equal(simulator.isPublicMintPeriod(state, timestamp));
+      }
+    }
+  });
+
+  it("should compute the same purchase results as the pool, including refunds over the offering, pauses and withdrawals", async () => {
+    for (let i = 0; i < POOL_COUNT; ++i) {
+      const poolInfo = await createRandomPool();
+      let state = await simulator.readPoolState(poolInfo.pool);
+
+      for (let step = 0; step < STEPS_PER_POOL; ++step) {
+        if (random.chance(0.1)) {
+          // purchases revert while paused
+          await (state.paused ? poolInfo.pool.unpause() : poolInfo.pool.pause());
+          state = { ...state, paused: !state.paused };
+        }
+        const now = BigInt(await getCurrentTimestamp());
+        if (now >= state.saleEndTimestamp) {
+          break;
+        }
+        const timestamp = now + BigInt(random.int(1, Number(state.saleEndTimestamp - now)));
+
+        // buy up to 1.5x the remaining offering to trigger refunds
+        const remaining = state.totalOfferingAmount - state.offerTokenAmountSold;
+        const remainingCost = simulator.getPurchaseAmountFromOfferAmount(state, remaining, timestamp);
+        const contributionAmount = random.bigint(state.minContributionAmount / 2n, ((remainingCost + 1n) * 3n) / 2n + state.minContributionAmount);
+
+        state = await purchaseAndCompare(poolInfo, state, contributionAmount, timestamp);
+        if (state.withdrawalPeriod > 0n && random.chance(0.5)) {
+          const withdrawalTimestamp = BigInt(await getCurrentTimestamp()) + BigInt(random.int(1, Number(state.withdrawalPeriod)));
+          state = await withdrawAndCompare(poolInfo, state, withdrawalTimestamp);
+        }
+      }
+    }
+  });
+});
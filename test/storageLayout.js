@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { advanceTime } = require("./utils");
+const { UPGRADEABLE_CONTRACTS, getSlotLayout, diffSlotLayouts, loadStorageSnapshot } = require("../scripts/upgrades");
+
+describe("Storage layouts", async () => {
+  for (const contractName of UPGRADEABLE_CONTRACTS) {
+    it(`should keep the snapshotted storage layout of ${contractName}`, async () => {
+      const snapshot = loadStorageSnapshot(contractName);
+      expect(snapshot, `no storage layout snapshot of ${contractName}, run npx hardhat storage:snapshot`).to.not.be.undefined;
+
+      const { incompatible, appended } = diffSlotLayouts(snapshot, await getSlotLayout(hre, contractName));
+      expect(incompatible, `incompatible storage layout changes in ${contractName}:\n  ${incompatible.join("\n  ")}`).to.be.empty;
+      expect(appended, `storage layout snapshot of ${contractName} is outdated, run npx hardhat storage:snapshot`).to.be.empty;
+    });
+  }
+
+  it("should report the slots of reordered variables", async () => {
+    const snapshot = loadStorageSnapshot("FungibleOriginationPool");
+    const layout = snapshot.map((item) => ({ ...item }));
+    const purchased = layout.find(({ label }) => label == "offerTokenAmountPurchased");
+    const contribution = layout.find(({ label }) => label == "purchaseTokenContribution");
+    [purchased.label, contribution.label] = [contribution.label, purchased.label];
+
+    const { incompatible } = diffSlotLayouts(snapshot, layout);
+    expect(incompatible).to.deep.equal([
+      `slot ${purchased.slot} offset 0: offerTokenAmountPurchased (mapping(address => uint256)) replaced by purchaseTokenContribution (mapping(address => uint256))`,
+      `slot ${contribution.slot} offset 0: purchaseTokenContribution (mapping(address => uint256)) replaced by offerTokenAmountPurchased (mapping(address => uint256))`,
+    ]);
+  });
+
+  it("should report removed variables and shifted slots", async () => {
+    const snapshot = loadStorageSnapshot("VestingEntryNFT");
+    // drop tokenIdVestingAmounts, pool moves to its slot
+    const layout = snapshot.filter(({ label }) => label != "tokenIdVestingAmounts").map((item) => ({ ...item }));
+    const tokenIdVestingAmounts = snapshot.find(({ label }) => label == "tokenIdVestingAmounts");
+    layout[layout.length - 1].slot = tokenIdVestingAmounts.slot;
+
+    const { incompatible } = diffSlotLayouts(snapshot, layout);
+    expect(incompatible[0]).to.equal(
+      `slot ${tokenIdVestingAmounts.slot} offset 0: tokenIdVestingAmounts (mapping(uint256 => struct IVestingEntryNFT.VestingAmounts)) ` +
+        "replaced by pool (address)"
+    );
+    expect(incompatible[1]).to.include("removed pool (address)");
+  });
+
+  it("should only append variables in the pool upgrade fixture", async () => {
+    const snapshot = loadStorageSnapshot("FungibleOriginationPool");
+    const { incompatible, appended } = diffSlotLayouts(snapshot, await getSlotLayout(hre, "OriginationPoolUpgrade"));
+    expect(incompatible).to.be.empty;
+    expect(appended).to.deep.equal([`slot ${Number(snapshot[snapshot.length - 1].slot) + 1} offset 0: added upgradeVersion (uint256)`]);
+  });
+
+  describe("Pool upgrade through OriginationProxyAdmin", async () => {
+    let pool, proxyAdmin, poolDeployer;
+
+    const views = [
+      "owner",
+      "manager",
+      "offerToken",
+      "purchaseToken",
+      "vestingEntryNFT",
+      "whitelistMerkleRoot",
+      "saleInitiated",
+      "saleInitiatedTimestamp",
+      "saleEndTimestamp",
+      "totalOfferingAmount",
+      "reserveAmount",
+      "vestingPeriod",
+      "cliffPeriod",
+      "vestableTokenAmount",
+      "vestingID",
+      "offerTokenAmountSold",
+      "purchaseTokensAcquired",
+      "originationCoreFees",
+    ];
+    const readState = async () => {
+      const state = {};
+      for (const name of views) {
+        state[name] = (await pool[name]()).toString();
+      }
+      for (const account of [deployer, user]) {
+        state[`userToVestingId(${account.address})`] = (await pool.userToVestingId(account.address)).toString();
+        state[`purchaseTokenContribution(${account.address})`] = (await pool.purchaseTokenContribution(account.address)).toString();
+        state[`offerTokenAmountPurchased(${account.address})`] = (await pool.offerTokenAmountPurchased(account.address)).toString();
+      }
+      return state;
+    };
+
+    beforeEach(async () => {
+      ({ accounts, originationCore, originationPoolVesting, originationPoolUpgrade } = await createFixture());
+      [deployer, user] = accounts;
+      pool = originationPoolVesting;
+      proxyAdmin = await ethers.getContractAt("OriginationProxyAdmin", await originationCore.proxyAdmin());
+      poolDeployer = await ethers.getContractAt("PoolDeployer", await originationCore.poolDeployer());
+
+      await pool.setManager(user.address);
+      await pool.initiateSale();
+      await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+      await pool.purchase(ethers.utils.parseEther("2"));
+      await poolDeployer.setFungibleOriginationPoolImplementation(originationPoolUpgrade.address);
+    });
+
+    it("should keep the pool state and initialize the appended state", async () => {
+      const stateBefore = await readState();
+      const data = originationPoolUpgrade.interface.encodeFunctionData("initializeUpgrade", [2]);
+      await proxyAdmin.upgradeAndCall(pool.address, originationPoolUpgrade.address, data);
+
+      expect(await readState()).to.deep.equal(stateBefore);
+      const upgradedPool = await ethers.getContractAt("OriginationPoolUpgrade", pool.address);
+      expect(await upgradedPool.upgradeVersion()).to.equal(2);
+      expect(await upgradedPool.newFunction()).to.equal(10);
+      await expect(upgradedPool.initializeUpgrade(3)).to.be.revertedWith("Upgrade already initialized");
+    });
+
+    it("should keep purchases and vesting claims working after the upgrade", async () => {
+      await proxyAdmin.upgrade(pool.address, originationPoolUpgrade.address);
+
+      await pool.connect(user).purchase(ethers.utils.parseEther("1"));
+      expect(await pool.purchaseTokenContribution(user.address)).to.equal(ethers.utils.parseEther("2"));
+
+      await advanceTime(86401); // end of sale
+      await advanceTime(259200); // 3 days
+      const vestingId = await pool.userToVestingId(user.address);
+      const offerToken = await ethers.getContractAt("IERC20", await pool.offerToken());
+      const balanceBefore = await offerToken.balanceOf(user.address);
+      await pool.connect(user).claimVested([vestingId]);
+      // the second purchase created a new vesting entry of 10 offer tokens
+      expect((await offerToken.balanceOf(user.address)).sub(balanceBefore)).to.equal(ethers.utils.parseUnits("10", 10));
+    });
+
+    it("should only let the pool admin upgrade the pool", async () => {
+      await expect(proxyAdmin.connect(user).upgrade(pool.address, originationPoolUpgrade.address)).to.be.revertedWith("User is not admin of proxy");
+    });
+  });
+});
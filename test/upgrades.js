@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { deploy } = require("../scripts/helpers");
+const { IMPLEMENTATION_SLOT, readAddressSlot } = require("../scripts/deployment");
+const { expectError } = require("./utils");
+
+describe("Pool upgrades", async () => {
+  let poolDeployer, proxyAdmin;
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, originationPool, originationPoolETH, originationPoolUpgrade } = await createFixture());
+    [deployer, user] = accounts;
+    poolDeployer = await ethers.getContractAt("PoolDeployer", await originationCore.poolDeployer());
+    proxyAdmin = await ethers.getContractAt("OriginationProxyAdmin", await originationCore.proxyAdmin());
+  });
+
+  const getImplementation = (pool) => readAddressSlot(ethers.provider, pool, IMPLEMENTATION_SLOT);
+  const upgradePools = (args = {}) => hre.run("pools:upgrade", { core: originationCore.address, ...args });
+
+  it("should upgrade every pool administered by the signer to the latest implementation", async () => {
+    const originalImplementation = await getImplementation(originationPool.address);
+    await proxyAdmin.transferProxyOwnership(originationPoolETH.address, user.address);
+    await poolDeployer.setFungibleOriginationPoolImplementation(originationPoolUpgrade.address);
+
+    const results = await upgradePools();
+    expect(results.length).to.be.gt(1);
+    expect(results.map(({ pool }) => pool)).to.not.include(originationPoolETH.address);
+    for (const { pool, status, from, to } of results) {
+      expect(status).to.equal("upgraded");
+      expect(from).to.equal(originalImplementation);
+      expect(to).to.equal(originationPoolUpgrade.address);
+      expect(await getImplementation(pool)).to.equal(originationPoolUpgrade.address);
+    }
+    const upgradedPool = await ethers.getContractAt("OriginationPoolUpgrade", originationPool.address);
+    expect(await upgradedPool.newFunction()).to.equal(10);
+    expect(await getImplementation(originationPoolETH.address)).to.equal(originalImplementation);
+
+    // nothing left to upgrade
+    expect(await upgradePools()).to.be.empty;
+  });
+
+  it("should upgrade and call a function of the new implementation", async () => {
+    await poolDeployer.setFungibleOriginationPoolImplementation(originationPoolUpgrade.address);
+
+    const results = await upgradePools({ call: "newFunction" });
+    expect(results.every(({ status }) => status == "upgraded")).to.be.true;
+    const receipt = await ethers.provider.getTransactionReceipt(results[0].transactionHash);
+    expect(receipt.to).to.equal(proxyAdmin.address);
+  });
+
+  it("should only list the pools to upgrade in a dry run", async () => {
+    const originalImplementation = await getImplementation(originationPool.address);
+    await poolDeployer.setFungibleOriginationPoolImplementation(originationPoolUpgrade.address);
+
+    const results = await upgradePools({ dryRun: true });
+    expect(results.every(({ status }) => status == "pending")).to.be.true;
+    expect(await getImplementation(originationPool.address)).to.equal(originalImplementation);
+  });
+
+  it("should skip pools if the storage layout of the new implementation is incompatible", async () => {
+    const originalImplementation = await getImplementation(originationPool.address);
+    const incompatibleImplementation = await deploy("VestingEntryNFT");
+    await poolDeployer.setFungibleOriginationPoolImplementation(incompatibleImplementation.address);
+
+    const results = await upgradePools();
+    expect(results.every(({ status }) => status == "skipped")).to.be.true;
+    expect(results[0].reason).to.include("incompatible storage layout");
+    expect(await getImplementation(originationPool.address)).to.equal(originalImplementation);
+  });
+
+  it("should check the storage layout against the reference contract set over the one matching the bytecode", async () => {
+    const originalImplementation = await getImplementation(originationPool.address);
+    await poolDeployer.setFungibleOriginationPoolImplementation(originationPoolUpgrade.address);
+
+    const results = await upgradePools({ referenceContract: "VestingEntryNFT" });
+    expect(results.every(({ status }) => status == "skipped")).to.be.true;
+    expect(results[0].layoutErrors).to.not.be.empty;
+    expect(await getImplementation(originationPool.address)).to.equal(originalImplementation);
+  });
+
+  it("should not upgrade pools before origination core exposes the protocol pause", async () => {
+    await poolDeployer.setFungibleOriginationPoolImplementation(originationPoolUpgrade.address);
+    const implementation = await getImplementation(originationPool.address);
+
+    // any contract without paused() stands in for an origination core deployed before the pause
+    const legacyCore = await deploy("VestingEntryNFT");
+    await expectError(upgradePools({ core: legacyCore.address }), "upgrade origination core before the pools");
+    expect(await getImplementation(originationPool.address)).to.equal(implementation);
+  });
+});
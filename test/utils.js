@@ -1,3 +1,5 @@
+const { expect } = require("chai");
+
 const advanceTime = async (seconds) => {
   await network.provider.send("evm_increaseTime", [seconds - 1]);
   await network.provider.send("evm_mine");
@@ -16,4 +18,35 @@ const getCurrentTimestamp = async () => {
   return (await ethers.provider.getBlock(currentBlockNumber)).timestamp;
 };
 
-module.exports = { advanceTime, getCurrentTimestamp, getEvmSnapshot, revertEvm };
+const expectError = async (promise, message) => {
+  try {
+    await promise;
+  } catch (err) {
+    expect(err.message).to.include(message);
+    return;
+  }
+  expect.fail(`Expected error "${message}"`);
+};
+
+/**
+ * Seeded pseudo random generator (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed;
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bigint: (min, max) => min + (BigInt(Math.floor(next() * 2 ** 52)) * (max - min + 1n)) / 2n ** 52n,
+    pick: (values) => values[Math.floor(next() * values.length)],
+    chance: (probability) => next() < probability,
+  };
+}
+
+const toBigInt = (value) => BigInt(value.toString());
+
+module.exports = { advanceTime, getCurrentTimestamp, getEvmSnapshot, revertEvm, expectError, createRandom, toBigInt };
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./originationCoreFixture");
+const { validateSaleParams, validateCoreParams } = require("../scripts/validation");
+
+describe("Sale params validation", async () => {
+  let saleParams;
+  const options = { offerDecimals: 10, purchaseDecimals: 18 };
+
+  beforeEach(async () => {
+    ({ accounts, originationCore, purchaseToken, offerToken } = await createFixture());
+    saleParams = {
+      offerToken: offerToken.address,
+      purchaseToken: purchaseToken.address,
+      publicStartingPrice: ethers.utils.parseEther("0.1"),
+      publicEndingPrice: ethers.utils.parseEther("0.1"),
+      whitelistStartingPrice: 0,
+      whitelistEndingPrice: 0,
+      publicSaleDuration: 86400,
+      whitelistSaleDuration: 0,
+      totalOfferingAmount: ethers.utils.parseUnits("1000000", 10),
+      reserveAmount: ethers.utils.parseEther("1"),
+      vestingPeriod: 0,
+      cliffPeriod: 0,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
+    };
+  });
+
+  const expectRejectedOnchain = async (params, message) => {
+    const listingFee = await originationCore.listingFee();
+    await expect(originationCore.createFungibleListing(params, { value: listingFee })).to.be.revertedWith(message);
+  };
+
+  it("should accept valid sale params", async () => {
+    const { errors, warnings } = validateSaleParams(saleParams, options);
+    expect(errors).to.be.empty;
+    expect(warnings).to.be.empty;
+  });
+
+  it("should reject offer token equal to purchase token", async () => {
+    saleParams.purchaseToken = offerToken.address;
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("Invalid offering");
+    await expectRejectedOnchain(saleParams, "Invalid offering");
+  });
+
+  it("should reject vesting period shorter than the cliff period", async () => {
+    saleParams.vestingPeriod = 86400;
+    saleParams.cliffPeriod = 86401;
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("Invalid vesting terms");
+    await expectRejectedOnchain(saleParams, "Invalid vesting terms");
+  });
+
+  it("should reject sale durations longer than 365 days", async () => {
+    saleParams.publicSaleDuration = 365 * 86400 + 1;
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("Invalid sale duration");
+    await expectRejectedOnchain(saleParams, "Invalid sale duration");
+
+    saleParams.publicSaleDuration = 86400;
+    saleParams.whitelistSaleDuration = 365 * 86400 + 1;
+    saleParams.whitelistStartingPrice = saleParams.whitelistEndingPrice = ethers.utils.parseEther("0.1");
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("Invalid whitelist sale duration");
+    await expectRejectedOnchain(saleParams, "Invalid whitelist sale duration");
+  });
+
+  it("should reject withdrawal periods longer than the sale or without a reserve", async () => {
+    saleParams.withdrawalPeriod = 86400;
+    expect(validateSaleParams(saleParams, options).errors).to.be.empty;
+
+    saleParams.withdrawalPeriod = 86401;
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("Invalid withdrawal period");
+    await expectRejectedOnchain(saleParams, "Invalid withdrawal period");
+
+    saleParams.withdrawalPeriod = 3600;
+    saleParams.reserveAmount = 0;
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("Withdrawals require a reserve amount");
+    await expectRejectedOnchain(saleParams, "Withdrawals require a reserve amount");
+  });
+
+  it("should reject zero prices and zero durations", async () => {
+    saleParams.publicEndingPrice = 0;
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("Invalid public sale price");
+
+    saleParams.publicSaleDuration = 0;
+    expect(validateSaleParams(saleParams, options).errors[0]).to.include("both the whitelist and the public sale durations are 0");
+  });
+
+  it("should reject an incorrect listing fee", async () => {
+    const { errors } = validateSaleParams(saleParams, { ...options, listingFee: 10, value: 9 });
+    expect(errors[0]).to.include("Incorrect listing fee");
+  });
+
+  it("should warn if the reserve is above the maximum possible raise", async () => {
+    // 1m offer tokens at 0.1 purchase tokens raise at most 100k purchase tokens
+    saleParams.reserveAmount = ethers.utils.parseEther("100001");
+    const { errors, warnings } = validateSaleParams(saleParams, options);
+    expect(errors).to.be.empty;
+    expect(warnings[0]).to.include("above the maximum possible raise");
+  });
+
+  it("should warn if there is a whitelist period without a whitelist root", async () => {
+    saleParams.whitelistSaleDuration = 86400;
+    saleParams.whitelistStartingPrice = saleParams.whitelistEndingPrice = ethers.utils.parseEther("0.05");
+    expect(validateSaleParams(saleParams, options).warnings[0]).to.include("no whitelist merkle root");
+
+    const { warnings } = validateSaleParams(saleParams, { ...options, whitelistMerkleRoot: ethers.utils.formatBytes32String("root") });
+    expect(warnings).to.be.empty;
+  });
+
+  it("should warn if there is a public max contribution without a public sale", async () => {
+    saleParams.whitelistSaleDuration = 86400;
+    saleParams.whitelistStartingPrice = saleParams.whitelistEndingPrice = ethers.utils.parseEther("0.05");
+    saleParams.publicSaleDuration = 0;
+    saleParams.publicMaxContributionAmount = ethers.utils.parseEther("10");
+    const { warnings } = validateSaleParams(saleParams, { ...options, whitelistMerkleRoot: ethers.utils.formatBytes32String("root") });
+    expect(warnings[0]).to.include("Public max contribution amount is set but the public sale duration is 0");
+  });
+
+  it("should warn if the minimum contribution buys zero offer tokens", async () => {
+    // min contribution is 1e9 wei, a single offer token costs 100 purchase tokens
+    saleParams.publicStartingPrice = saleParams.publicEndingPrice = ethers.utils.parseEther("100");
+    expect(validateSaleParams(saleParams, { offerDecimals: 0, purchaseDecimals: 18 }).warnings[0]).to.include("buys 0 offer tokens");
+  });
+
+  it("should reject origination fees above 100%", async () => {
+    expect(validateCoreParams({ originationFee: ethers.utils.parseEther("1") }).errors).to.be.empty;
+    expect(validateCoreParams({ originationFee: ethers.utils.parseEther("1.01") }).errors[0]).to.include("Invalid origination fee");
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const { ethers, deployments } = require("hardhat");
+const { deployArgs } = require("../scripts/helpers");
+const { getVerificationTargets, verifyTargets } = require("../scripts/verify");
+
+describe("Deployment verification", async () => {
+  let deployment;
+
+  beforeEach(async () => {
+    await deployments.fixture();
+    deployment = {};
+    for (const [key, { address }] of Object.entries(await deployments.all())) {
+      deployment[key] = address;
+    }
+  });
+
+  const createListing = async (vestingPeriod) => {
+    const originationCore = await ethers.getContractAt("OriginationCore", deployment.originationCore);
+    const offerToken = await deployArgs("MockERC20", "Offer", "OFFR", 18);
+    const saleParams = {
+      offerToken: offerToken.address,
+      purchaseToken: ethers.constants.AddressZero,
+      publicStartingPrice: ethers.utils.parseEther("0.1"),
+      publicEndingPrice: ethers.utils.parseEther("0.1"),
+      whitelistStartingPrice: 0,
+      whitelistEndingPrice: 0,
+      publicSaleDuration: 86400,
+      whitelistSaleDuration: 0,
+      totalOfferingAmount: ethers.utils.parseEther("1000"),
+      reserveAmount: 0,
+      vestingPeriod,
+      cliffPeriod: 0,
+      publicMaxContributionAmount: 0,
+      withdrawalPeriod: 0,
+    };
+    const receipt = await (await originationCore.createFungibleListing(saleParams, { value: await originationCore.listingFee() })).wait();
+    return receipt.events.find((e) => e.event === "CreateFungibleListing").args.pool;
+  };
+
+  it("should find the constructor arguments of the core contracts", async () => {
+    const targets = await getVerificationTargets(hre, deployment);
+    const byName = Object.fromEntries(targets.map((target) => [target.name, target]));
+
+    expect(byName.poolDeployer.contract).to.equal("contracts/PoolDeployer.sol:PoolDeployer");
+    expect(byName.poolDeployer.constructorArguments).to.deep.equal([deployment.originationPoolImpl]);
+    expect(byName.nftDeployer.constructorArguments).to.deep.equal([deployment.vestingEntryNFTImpl]);
+    expect(byName.originationCore.contract).to.equal("contracts/proxies/OriginationCoreProxy.sol:OriginationCoreProxy");
+    expect(byName.originationCore.constructorArguments[0]).to.equal(deployment.originationCoreImpl);
+    expect(byName.originationPoolImpl.constructorArguments).to.be.empty;
+  });
+
+  it("should find every pool and vesting entry nft proxy", async () => {
+    const pool = await createListing(0);
+    const vestingPool = await createListing(86400);
+    const vestingEntryNFT = await (await ethers.getContractAt("FungibleOriginationPool", vestingPool)).vestingEntryNFT();
+
+    // pools created after an implementation change keep their initial implementation as constructor argument
+    const poolDeployer = await ethers.getContractAt("PoolDeployer", deployment.poolDeployer);
+    await poolDeployer.setFungibleOriginationPoolImplementation((await deployArgs("FungibleOriginationPool")).address);
+
+    const targets = await getVerificationTargets(hre, deployment);
+    const byName = Object.fromEntries(targets.map((target) => [target.name, target]));
+    for (const address of [pool, vestingPool]) {
+      expect(byName[`pool ${address}`].contract).to.equal("contracts/proxies/FungibleOriginationPoolProxy.sol:FungibleOriginationPoolProxy");
+      expect(byName[`pool ${address}`].constructorArguments).to.deep.equal([
+        deployment.originationPoolImpl,
+        deployment.originationProxyAdmin,
+        deployment.poolDeployer,
+      ]);
+    }
+    expect(byName[`vestingEntryNFT ${vestingEntryNFT}`].constructorArguments).to.deep.equal([deployment.vestingEntryNFTImpl]);
+    expect(targets.filter(({ name }) => name.startsWith("vestingEntryNFT "))).to.have.length(1);
+    expect(byName.poolDeployer.constructorArguments).to.deep.equal([deployment.originationPoolImpl]);
+  });
+
+  it("should retry failed verifications and report the unverified contracts", async () => {
+    const attempts = {};
+    const fakeHre = {
+      run: async (taskName, { address }) => {
+        attempts[address] = (attempts[address] || 0) + 1;
+        if (address == "0x1" && attempts[address] < 3) {
+          throw new Error("Etherscan API timeout");
+        }
+        if (address == "0x2") {
+          throw new Error("Contract source code already verified");
+        }
+        if (address == "0x3") {
+          throw new Error("Bytecode mismatch");
+        }
+      },
+    };
+    const targets = ["0x1", "0x2", "0x3"].map((address) => ({ name: address, address, contract: "", constructorArguments: [] }));
+
+    const { verified, unverified } = await verifyTargets(fakeHre, targets, { retries: 2, retryDelay: 0 });
+    expect(verified.map(({ address }) => address)).to.deep.equal(["0x1", "0x2"]);
+    expect(unverified).to.have.length(1);
+    expect(unverified[0].error).to.equal("Bytecode mismatch");
+    expect(attempts).to.deep.equal({ "0x1": 3, "0x2": 1, "0x3": 3 });
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { getCurrentTimestamp, expectError } = require("./utils");
+const {
+  getHolderVestingIds,
+  readVestingSchedule,
+  getClaimableAmount,
+  getDailyClaimable,
+  dailyClaimableToCsv,
+  vestingScheduleToIcs,
+} = require("../scripts/vesting");
+
+describe("Vesting calendar", async () => {
+  let tmpDir, vestingEntryNFT, ids, saleEnd;
+
+  const mineAt = async (timestamp) => {
+    await network.provider.send("evm_mine", [timestamp]);
+  };
+
+  const purchase = async (buyer, amount) => {
+    const receipt = await (await originationPoolVesting.connect(buyer).purchase(ethers.utils.parseEther(amount))).wait();
+    return receipt.events.find((e) => e.event === "CreateVestingEntry").args.vestingId;
+  };
+
+  beforeEach(async () => {
+    ({ accounts, purchaseToken, originationPool, originationPoolVesting, originationPoolVestingDecimals } = await createFixture());
+    [deployer, user, user1] = accounts;
+    await purchaseToken.connect(user1).approve(originationPoolVesting.address, ethers.constants.MaxUint256);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-"));
+
+    // 0.1 purchase tokens per offer token, 2 days cliff and 3 days vesting
+    await originationPoolVesting.initiateSale();
+    ids = [await purchase(user, "1"), await purchase(user, "2"), await purchase(user1, "1")];
+    vestingEntryNFT = await ethers.getContractAt("VestingEntryNFT", await originationPoolVesting.vestingEntryNFT());
+    await vestingEntryNFT.connect(user).transferFrom(user.address, user1.address, ids[1]);
+    saleEnd = (await originationPoolVesting.saleEndTimestamp()).toNumber();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should find the vesting entry nfts a holder owns", async () => {
+    expect(await getHolderVestingIds(originationPoolVesting, user.address)).to.deep.equal([BigInt(ids[0])]);
+    expect(await getHolderVestingIds(originationPoolVesting, user1.address)).to.deep.equal([BigInt(ids[1]), BigInt(ids[2])]);
+    expect(await getHolderVestingIds(originationPoolVesting, deployer.address)).to.be.empty;
+  });
+
+  it("should match calculateClaimableVestedAmount of the pool", async () => {
+    for (const timestamp of [saleEnd + 172801, saleEnd + 200000, saleEnd + 259200, saleEnd + 300000]) {
+      await mineAt(timestamp);
+      const schedule = await readVestingSchedule(originationPoolVesting, ids);
+      for (const entry of schedule.entries) {
+        const claimable = await originationPoolVesting.calculateClaimableVestedAmount(entry.tokenAmount, entry.tokenAmountClaimed);
+        expect(getClaimableAmount(schedule, entry, timestamp)).to.equal(BigInt(claimable.toString()));
+      }
+      // partial claims are taken into account
+      if (timestamp < saleEnd + 259200) {
+        await originationPoolVesting.connect(user).claimVested([ids[0]]);
+      }
+    }
+    // nothing is claimable before the cliff
+    const schedule = await readVestingSchedule(originationPoolVesting, ids);
+    expect(getClaimableAmount(schedule, schedule.entries[1], saleEnd + 172800)).to.equal(0n);
+  });
+
+  it("should compute the daily claimable amounts until the end of the vesting", async () => {
+    const now = await getCurrentTimestamp();
+    const schedule = await readVestingSchedule(originationPoolVesting, [ids[1], ids[2]]);
+    const rows = getDailyClaimable(schedule, now);
+
+    const total = schedule.entries.reduce((sum, { tokenAmount }) => sum + tokenAmount, 0n);
+    // 20 and 10 offer tokens with 10 decimals
+    expect(total).to.equal(300000000000n);
+    expect(rows[0].date).to.equal(new Date(now * 1000).toISOString().slice(0, 10));
+    expect(rows[rows.length - 1].timestamp).to.be.gte(saleEnd + 259200);
+    expect(rows[rows.length - 1].claimable).to.equal(total);
+    for (const row of rows) {
+      const expected = row.timestamp <= saleEnd + 172800 ? 0n : (BigInt(Math.min(row.timestamp - saleEnd, 259200)) * 200000000000n) / 259200n;
+      expect(getClaimableAmount(schedule, schedule.entries[0], row.timestamp)).to.equal(expected);
+    }
+    for (let i = 1; i < rows.length; ++i) {
+      expect(rows[i].claimable >= rows[i - 1].claimable).to.be.true;
+    }
+
+    const csv = dailyClaimableToCsv(schedule, rows).trim().split("\n");
+    expect(csv[0]).to.equal("date,timestamp,unlocked,claimable");
+    expect(csv[csv.length - 1]).to.equal(`${rows[rows.length - 1].date},${rows[rows.length - 1].timestamp},30.0,30.0`);
+  });
+
+  it("should export the unlock events as icalendar", async () => {
+    const schedule = await readVestingSchedule(originationPoolVesting, [ids[1], ids[2]]);
+    const ics = vestingScheduleToIcs(schedule, saleEnd);
+    const icsDate = (seconds) => new Date(seconds * 1000).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+    const lines = ics.split("\r\n");
+    expect(lines[0]).to.equal("BEGIN:VCALENDAR");
+    expect(lines.filter((line) => line == "BEGIN:VEVENT")).to.have.length(2);
+    expect(lines).to.include(`DTSTART:${icsDate(saleEnd + 172801)}`);
+    expect(lines).to.include(`DTSTART:${icsDate(saleEnd + 259200)}`);
+    // 2 of 3 days and a second are unlocked at the cliff
+    expect(lines).to.include("SUMMARY:OFFR vesting: 20.0001157407 OFFR unlocked and claimable");
+    expect(lines).to.include("SUMMARY:OFFR vesting: 30.0 OFFR fully vested");
+    for (const line of lines) {
+      expect(line.length).to.be.lte(75);
+    }
+  });
+
+  it("should write the calendar of a holder and print the amount claimable now", async () => {
+    await mineAt(saleEnd + 200000);
+    const out = path.join(tmpDir, "calendar");
+    const { schedule, claimable } = await hre.run("vesting:calendar", { pool: originationPoolVesting.address, holder: user1.address, out });
+
+    expect(schedule.entries.map(({ id }) => id)).to.deep.equal([BigInt(ids[1]), BigInt(ids[2])]);
+    let expected = 0n;
+    for (const entry of schedule.entries) {
+      expected += BigInt((await originationPoolVesting.calculateClaimableVestedAmount(entry.tokenAmount, entry.tokenAmountClaimed)).toString());
+    }
+    expect(claimable).to.equal(expected);
+    expect(fs.readFileSync(`${out}.ics`, "utf8")).to.contain("BEGIN:VCALENDAR");
+    expect(fs.readFileSync(`${out}.csv`, "utf8")).to.match(/^date,timestamp,unlocked,claimable\n/);
+
+    const { claimable: claimableById } = await hre.run("vesting:calendar", {
+      pool: originationPoolVesting.address,
+      ids: `${ids[1]}, ${ids[2]}`,
+      out,
+    });
+    expect(claimableById).to.equal(claimable);
+  });
+
+  it("should fail for pools without vesting, cancelled sales or sales which ended below the reserve", async () => {
+    await expectError(hre.run("vesting:calendar", { pool: originationPoolVesting.address }), "Set either --holder or --ids");
+    await expectError(readVestingSchedule(originationPool, [1]), "has no vesting");
+    await expectError(readVestingSchedule(originationPoolVesting, [100]), "Vesting entry 100 doesn't exist");
+    await originationPoolVesting.cancelSale();
+    await expectError(readVestingSchedule(originationPoolVesting, ids), "Sale cancelled");
+
+    // no contributions to the pool with a reserve
+    await originationPoolVestingDecimals.initiateSale();
+    await mineAt((await originationPoolVestingDecimals.saleEndTimestamp()).toNumber() + 1);
+    await expectError(readVestingSchedule(originationPoolVestingDecimals, [1]), "Sale ended below the reserve amount");
+  });
+});
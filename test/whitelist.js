@@ -0,0 +1,83 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const createFixture = require("./fungiblePool/fungibleFixture");
+const { getMerkleTree } = require("../scripts/helpers");
+const { expectError } = require("./utils");
+
+describe("Whitelist merkle tree builder", async () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    ({ accounts, originationPoolWhitelist } = await createFixture());
+    [deployer, user, user1] = accounts;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "whitelist-"));
+  });
+
+  afterEach(async () => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  it("should build the same root as the test whitelist", async () => {
+    const input = writeFile(
+      "whitelist.csv",
+      ["address,maxContributionAmount", `${deployer.address},10000`, `${user.address},1000`, `${user1.address},1000`, `${accounts[3].address},1000`].join(
+        "\n"
+      )
+    );
+    const { merkleRoot } = await hre.run("whitelist:build", { input, pool: originationPoolWhitelist.address });
+
+    const merkleTree = await getMerkleTree();
+    expect(merkleRoot).to.equal(merkleTree.getHexRoot());
+  });
+
+  it("should generate proofs accepted by the pool", async () => {
+    const input = writeFile("whitelist.json", JSON.stringify({ [user.address]: "1000", [user1.address]: "500.5" }));
+    const out = path.join(tmpDir, "proofs.json");
+    await hre.run("whitelist:build", { input, pool: originationPoolWhitelist.address, out });
+
+    const { merkleRoot, decimals, claims } = JSON.parse(fs.readFileSync(out, "utf8"));
+    expect(decimals).to.equal(18);
+    expect(claims[user1.address].maxContributionAmount).to.equal(ethers.utils.parseEther("500.5").toString());
+
+    await originationPoolWhitelist.setWhitelist(merkleRoot);
+    await originationPoolWhitelist.initiateSale();
+
+    const { proof, maxContributionAmount } = claims[user.address];
+    const amountIn = ethers.utils.parseEther("1");
+    await originationPoolWhitelist.connect(user).whitelistPurchase(proof, amountIn, maxContributionAmount);
+    expect(await originationPoolWhitelist.purchaseTokenContribution(user.address)).to.equal(amountIn);
+  });
+
+  it("should scale amounts by the given decimals", async () => {
+    const input = writeFile("whitelist.csv", `${user.address},1.5`);
+    const { decimals, claims } = await hre.run("whitelist:build", { input, decimals: 6, out: path.join(tmpDir, "out.json") });
+
+    expect(decimals).to.equal(6);
+    expect(claims[user.address].maxContributionAmount).to.equal(ethers.utils.parseUnits("1.5", 6).toString());
+  });
+
+  it("should fail to build a whitelist with duplicate addresses", async () => {
+    const input = writeFile("whitelist.csv", [`${user.address},1000`, `${user.address.toLowerCase()},10`].join("\n"));
+    await expectError(hre.run("whitelist:build", { input, decimals: 18 }), "Duplicate address");
+  });
+
+  it("should fail to build a whitelist with an invalid checksum address", async () => {
+    const badChecksum = user.address.slice(0, 2) + user.address.slice(2).replace(/[a-f]/, (c) => c.toUpperCase());
+    const input = writeFile("whitelist.csv", `${badChecksum},1000`);
+    await expectError(hre.run("whitelist:build", { input, decimals: 18 }), "Invalid address");
+  });
+
+  it("should fail to build a whitelist with decimals not matching the pool", async () => {
+    const input = writeFile("whitelist.csv", `${user.address},1000`);
+    await expectError(hre.run("whitelist:build", { input, pool: originationPoolWhitelist.address, decimals: 6 }), "decimals");
+  });
+});